@@ -0,0 +1,64 @@
+// Time zone the analysis pages show times in. API timestamps carry explicit
+// offsets and query dates are NZ calendar days, whichever zone is shown.
+const displayZone = {
+    dataZone: "Pacific/Auckland",
+    zones: { "Pacific/Auckland": "NZ local", UTC: "UTC" },
+    storageKey: "displayZone",
+
+    get() {
+        const zone = localStorage.getItem(this.storageKey);
+        return this.zones[zone] ? zone : this.dataZone;
+    },
+
+    // Shared by both pages, so the choice follows the user between them
+    bindSelect(select, onChange) {
+        select.innerHTML = Object.entries(this.zones)
+            .map(([zone, label]) => `<option value="${zone}">${label}</option>`)
+            .join("");
+        select.value = this.get();
+        select.addEventListener("change", () => {
+            localStorage.setItem(this.storageKey, select.value);
+            onChange(select.value);
+        });
+    },
+
+    format(timestamp, options) {
+        return new Date(timestamp).toLocaleString("en-NZ", {
+            ...options,
+            timeZone: this.get(),
+        });
+    },
+
+    // Wall-clock date, time and UTC offset of a timestamp in a zone
+    parts(timestamp, zone = this.get()) {
+        const parts = {};
+        new Intl.DateTimeFormat("en-NZ", {
+            timeZone: zone,
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            hourCycle: "h23",
+            timeZoneName: "longOffset",
+        })
+            .formatToParts(new Date(timestamp))
+            .forEach(({ type, value }) => {
+                parts[type] = value;
+            });
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            time: `${parts.hour}:${parts.minute}`,
+            // "GMT+13:00", or plain "GMT" at zero offset
+            offset: parts.timeZoneName.replace("GMT", "") || "+00:00",
+        };
+    },
+
+    // Today's (or an offset day's) date in NZ, the calendar the API uses
+    nzDate(daysAgo = 0) {
+        const date = new Date();
+        date.setDate(date.getDate() - daysAgo);
+        return this.parts(date, this.dataZone).date;
+    },
+};
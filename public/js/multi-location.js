@@ -1,19 +1,82 @@
 class MultiLocationAnalysisApp {
     constructor() {
         this.currentAnalysis = null;
+        this.correlationAnalysis = null;
+        this.currentTimePeriods = null;
+        this.currentTimePeriodsAnalysis = null;
+        this.currentSet = null;
+        this.currentRunId = null;
+        this.charts = {};
         this.init();
     }
 
     init() {
+        this.setDefaultCorrelationDates();
         this.bindEvents();
+        runHistory.bind({
+            type: "time-periods",
+            describe: (run) =>
+                `${run.summary.totalTimePeriods} periods, ${run.summary.farmsWithData} farms with data`,
+            onLoad: (run) => this.loadRun(run),
+            onError: (message) => this.showError(message),
+        });
+        this.loadPeriodSetFromUrl();
+    }
+
+    setDefaultCorrelationDates() {
+        document.getElementById("correlationEndDate").value =
+            displayZone.nzDate();
+        document.getElementById("correlationStartDate").value =
+            displayZone.nzDate(30);
     }
 
     bindEvents() {
+        displayZone.bindSelect(document.getElementById("displayZone"), () => {
+            if (this.currentSet) this.showPeriodSet(this.currentSet);
+            if (this.currentTimePeriodsAnalysis) {
+                this.displayTimePeriodsResults(this.currentTimePeriodsAnalysis);
+            }
+        });
+
+        document
+            .getElementById("periodSetFile")
+            .addEventListener("change", (e) => {
+                if (e.target.files[0]) this.importPeriodSet(e.target.files[0]);
+                e.target.value = "";
+            });
+
+        // Editing the text box means the loaded set no longer applies
+        document
+            .getElementById("timePeriodsInput")
+            .addEventListener("input", () => {
+                this.clearPeriodSet();
+            });
+
         document
             .getElementById("analyzeTimePeriodsBtn")
             .addEventListener("click", () => {
                 this.analyzeTimePeriods();
             });
+
+        document.querySelectorAll(".download-btn").forEach((button) => {
+            button.addEventListener("click", () => {
+                this.downloadTimePeriods(button.dataset.format);
+            });
+        });
+
+        document
+            .getElementById("analyzeCorrelationsBtn")
+            .addEventListener("click", () => {
+                this.analyzeCorrelations();
+            });
+
+        document
+            .getElementById("correlationMatrix")
+            .addEventListener("change", () => {
+                if (this.correlationAnalysis) {
+                    this.displayHeatmap(this.correlationAnalysis);
+                }
+            });
     }
 
     async analyzeTimePeriods() {
@@ -28,7 +91,10 @@ class MultiLocationAnalysisApp {
             return;
         }
 
-        const timePeriods = this.parseTimePeriods(timePeriodsText);
+        // A loaded set keeps its farm names and peak speeds
+        const timePeriods = this.currentSet
+            ? this.currentSet.periods
+            : this.parseTimePeriods(timePeriodsText);
         if (timePeriods.length === 0) {
             this.showError(
                 "No valid time periods found. Please check the format."
@@ -45,15 +111,30 @@ class MultiLocationAnalysisApp {
                 headers: {
                     "Content-Type": "application/json",
                 },
-                body: JSON.stringify({ timePeriods }),
+                body: JSON.stringify({
+                    timePeriods,
+                    timeZone: displayZone.get(),
+                }),
             });
 
+            if (response.status === 400) {
+                // e.g. a time in the hour skipped when daylight saving starts
+                const { error } = await response.json();
+                this.showError(error);
+                return;
+            }
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
             const analysis = await response.json();
-            this.displayTimePeriodsResults(analysis, timePeriods);
+            // The server's periods are exact instants, so downloads repeat them
+            // without depending on the zone the text was pasted in
+            this.currentTimePeriods = analysis.timePeriods;
+            this.currentTimePeriodsAnalysis = analysis;
+            this.currentRunId = null;
+            this.displayTimePeriodsResults(analysis);
+            runHistory.refresh();
         } catch (error) {
             console.error("Error analyzing time periods:", error);
             this.showError("Failed to analyze time periods. Please try again.");
@@ -62,19 +143,228 @@ class MultiLocationAnalysisApp {
         }
     }
 
+    loadRun(run) {
+        this.clearPeriodSet();
+        this.fillPeriodsInput(run.result.timePeriods);
+
+        this.hideError();
+        this.currentTimePeriods = run.result.timePeriods;
+        this.currentTimePeriodsAnalysis = run.result;
+        this.currentRunId = run.id;
+        this.displayTimePeriodsResults(run.result);
+    }
+
+    async downloadTimePeriods(format) {
+        // Saved runs download their stored result instead of re-running
+        if (this.currentRunId) {
+            window.location.href = `/api/runs/${this.currentRunId}?format=${format}`;
+            return;
+        }
+        if (!this.currentTimePeriods) return;
+
+        try {
+            // The analysis is a POST, so fetch the file and hand it to the browser
+            const response = await fetch("/api/time-periods-analysis", {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({
+                    timePeriods: this.currentTimePeriods,
+                    format,
+                }),
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const disposition = response.headers.get("Content-Disposition");
+            const match =
+                disposition && disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement("a");
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = match ? match[1] : `time-periods.${format}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error("Error downloading time periods analysis:", error);
+            this.showError(
+                "Failed to download the analysis. Please try again."
+            );
+        }
+    }
+
+    loadPeriodSetFromUrl() {
+        const setId = new URLSearchParams(window.location.search).get("set");
+        if (setId) this.loadPeriodSet(setId);
+    }
+
+    async loadPeriodSet(setId) {
+        try {
+            const response = await fetch(
+                `/api/period-sets/${encodeURIComponent(setId)}`
+            );
+            if (response.status === 404) {
+                this.showError("That period set no longer exists.");
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            this.showPeriodSet(await response.json());
+            this.analyzeTimePeriods();
+        } catch (error) {
+            console.error("Error loading period set:", error);
+            this.showError("Failed to load the period set. Please try again.");
+        }
+    }
+
+    async importPeriodSet(file) {
+        try {
+            const content = await file.text();
+            const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+
+            let request;
+            if (isCsv) {
+                const params = new URLSearchParams({
+                    name: file.name,
+                    timeZone: displayZone.get(),
+                });
+                request = {
+                    url: `/api/period-sets?${params}`,
+                    contentType: "text/csv",
+                    body: content,
+                };
+            } else {
+                // A bare array of periods, or a set exported from this page
+                const data = JSON.parse(content);
+                const set = Array.isArray(data) ? { periods: data } : data;
+                request = {
+                    url: "/api/period-sets",
+                    contentType: "application/json",
+                    body: JSON.stringify({
+                        name: set.name || file.name,
+                        source: set.source || null,
+                        periods: set.periods,
+                        timeZone: displayZone.get(),
+                    }),
+                };
+            }
+
+            const response = await fetch(request.url, {
+                method: "POST",
+                headers: { "Content-Type": request.contentType },
+                body: request.body,
+            });
+            if (response.status === 400) {
+                const { error, details = [] } = await response.json();
+                this.showError([error, ...details].join(". "));
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const set = await response.json();
+            window.history.replaceState(
+                null,
+                "",
+                `?set=${encodeURIComponent(set.id)}`
+            );
+            this.showPeriodSet(set);
+            this.analyzeTimePeriods();
+        } catch (error) {
+            console.error("Error importing period set:", error);
+            this.showError(
+                "Failed to import the period set. Please check the file."
+            );
+        }
+    }
+
+    showPeriodSet(set) {
+        this.currentSet = set;
+        this.fillPeriodsInput(set.periods);
+
+        const setUrl = `/api/period-sets/${encodeURIComponent(set.id)}`;
+        document.getElementById("periodSetName").textContent = set.name;
+        document.getElementById("periodSetSummary").textContent = `${
+            set.periods.length
+        } periods, saved ${displayZone.format(set.createdAt, {
+            dateStyle: "medium",
+            timeStyle: "short",
+        })}`;
+        document.getElementById(
+            "periodSetCsvLink"
+        ).href = `${setUrl}?format=csv`;
+        document.getElementById("periodSetJsonLink").href = setUrl;
+        document.getElementById("periodSetInfo").classList.remove("hidden");
+    }
+
+    // Periods show in the text box with their labels after a #
+    fillPeriodsInput(periods) {
+        document.getElementById("timePeriodsInput").value = periods
+            .map((period) => {
+                const line = `${this.formatPeriodTime(
+                    period.start
+                )} - ${this.formatPeriodTime(period.end)}`;
+                const labels = this.getPeriodLabels(period);
+                return labels.length ? `${line}  # ${labels.join(", ")}` : line;
+            })
+            .join("\n");
+    }
+
+    clearPeriodSet() {
+        if (!this.currentSet) return;
+
+        this.currentSet = null;
+        document.getElementById("periodSetInfo").classList.add("hidden");
+        window.history.replaceState(null, "", window.location.pathname);
+    }
+
+    formatPeriodTime(timestamp) {
+        const { date, time, offset } = displayZone.parts(timestamp);
+        return `${date} ${time} ${offset}`;
+    }
+
+    getPeriodLabels(period) {
+        return [
+            period.windFarm,
+            period.maxWindSpeed !== null && period.maxWindSpeed !== undefined
+                ? `peak ${period.maxWindSpeed.toFixed(1)} km/h`
+                : null,
+        ].filter(Boolean);
+    }
+
     parseTimePeriods(text) {
         const lines = text.split("\n").filter((line) => line.trim());
         const periods = [];
+        // An optional offset (+13:00, Z or UTC) after each time; without one
+        // the server reads the time in the display zone
+        const pattern =
+            /(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})(?:\s*([+-]\d{2}:\d{2}|Z|UTC))?\s+-\s+(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})(?:\s*([+-]\d{2}:\d{2}|Z|UTC))?/i;
+        const toTimestamp = (date, clock, offset) => {
+            if (!offset) return `${date}T${clock}:00`;
+            const zone = /^(z|utc)$/i.test(offset) ? "Z" : offset;
+            return `${date}T${clock}:00${zone}`;
+        };
 
         for (const line of lines) {
-            const match = line.match(
-                /(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})\s+-\s+(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})/
-            );
+            const match = line.match(pattern);
             if (match) {
-                const [, startDate, startTime, endDate, endTime] = match;
+                const [
+                    ,
+                    startDate,
+                    startTime,
+                    startOffset,
+                    endDate,
+                    endTime,
+                    endOffset,
+                ] = match;
                 periods.push({
-                    start: `${startDate}T${startTime}:00`,
-                    end: `${endDate}T${endTime}:00`,
+                    start: toTimestamp(startDate, startTime, startOffset),
+                    end: toTimestamp(endDate, endTime, endOffset),
                 });
             }
         }
@@ -82,7 +372,9 @@ class MultiLocationAnalysisApp {
         return periods;
     }
 
-    displayTimePeriodsResults(analysis, timePeriods) {
+    displayTimePeriodsResults(analysis) {
+        const { timePeriods } = analysis;
+
         // Update summary stats
         document.getElementById("totalTimePeriods").textContent =
             timePeriods.length;
@@ -106,8 +398,23 @@ class MultiLocationAnalysisApp {
                 const start = new Date(period.start);
                 const end = new Date(period.end);
                 const duration = (end - start) / (1000 * 60 * 60);
+                const labels = this.getPeriodLabels(period);
                 return `<th class="px-4 py-2 text-left text-xs">
                 Period ${index + 1}<br>
+                ${
+                    labels.length
+                        ? `<span class="text-gray-700">${labels.join(
+                              ", "
+                          )}</span><br>`
+                        : ""
+                }
+                <span class="text-gray-500">${displayZone.format(period.start, {
+                    month: "short",
+                    day: "numeric",
+                    hour: "2-digit",
+                    minute: "2-digit",
+                    timeZoneName: "short",
+                })}</span><br>
                 <span class="text-gray-500">${duration.toFixed(1)}h</span>
             </th>`;
             })
@@ -130,15 +437,22 @@ class MultiLocationAnalysisApp {
                     ? validSpeeds.reduce((sum, speed) => sum + speed, 0) /
                       validSpeeds.length
                     : 0;
+            const totalEnergy = (farm.energyMWh || [])
+                .filter((energy) => energy !== null)
+                .reduce((sum, energy) => sum + energy, 0);
 
             row.innerHTML = `
-                <td class="px-4 py-2 font-semibold">${farm.name}</td>
+                <td class="px-4 py-2 font-semibold"><a href="/wind-farm.html?name=${encodeURIComponent(
+                    farm.name
+                )}" class="text-blue-600 hover:underline">${farm.name}</a></td>
                 ${farm.averageSpeeds
                     .map(
-                        (speed) =>
+                        (speed, index) =>
                             `<td class="px-4 py-2 text-center ${
                                 speed === null ? "text-gray-400" : "font-medium"
-                            }">${
+                            }" title="${this.formatCoverage(
+                                farm.dataCoverage && farm.dataCoverage[index]
+                            )}">${
                                 speed === null ? "N/A" : speed.toFixed(1)
                             }</td>`
                     )
@@ -146,6 +460,9 @@ class MultiLocationAnalysisApp {
                 <td class="px-4 py-2 text-center font-bold text-blue-600">${overallAverage.toFixed(
                     1
                 )}</td>
+                <td class="px-4 py-2 text-center font-bold text-green-600">${totalEnergy.toFixed(
+                    0
+                )}</td>
             `;
 
             tableBody.appendChild(row);
@@ -154,6 +471,182 @@ class MultiLocationAnalysisApp {
         document.getElementById("results").classList.remove("hidden");
     }
 
+    async analyzeCorrelations() {
+        const startDate = document.getElementById("correlationStartDate").value;
+        const endDate = document.getElementById("correlationEndDate").value;
+
+        if (!startDate || !endDate) {
+            this.showError("Please select both start and end dates.");
+            return;
+        }
+
+        if (new Date(startDate) > new Date(endDate)) {
+            this.showError("Start date must be before end date.");
+            return;
+        }
+
+        this.showLoading(true);
+        this.hideError();
+
+        try {
+            const response = await fetch(
+                `/api/correlations?startDate=${startDate}&endDate=${endDate}`
+            );
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const analysis = await response.json();
+            this.correlationAnalysis = analysis;
+            this.displayCorrelations(analysis);
+        } catch (error) {
+            console.error("Error analyzing correlations:", error);
+            this.showError("Failed to analyze correlations. Please try again.");
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    displayCorrelations(analysis) {
+        const { portfolio } = analysis;
+        const format = (value, digits) =>
+            value === null || value === undefined
+                ? "N/A"
+                : value.toFixed(digits);
+
+        document.getElementById("diversificationScore").textContent = format(
+            portfolio.diversificationScore,
+            2
+        );
+        document.getElementById("fleetOutputStdDev").textContent = format(
+            portfolio.outputStdDevMW,
+            0
+        );
+        document.getElementById("averagePowerCorrelation").textContent = format(
+            portfolio.averagePowerCorrelation,
+            2
+        );
+
+        this.displayHeatmap(analysis);
+        this.displayDistanceChart(analysis);
+
+        document
+            .getElementById("correlationResults")
+            .classList.remove("hidden");
+    }
+
+    displayHeatmap(analysis) {
+        const [series, method] = document
+            .getElementById("correlationMatrix")
+            .value.split(".");
+        const matrix = analysis.matrices[series][method];
+        const table = document.getElementById("correlationHeatmap");
+
+        const header = `<tr><th></th>${analysis.farms
+            .map(
+                (name) =>
+                    `<th class="px-1 py-1 font-medium text-gray-700" style="writing-mode: vertical-rl">${name}</th>`
+            )
+            .join("")}</tr>`;
+
+        const rows = matrix
+            .map(
+                (row, i) => `<tr>
+                <th class="px-2 py-1 text-left font-medium text-gray-700 whitespace-nowrap">${
+                    analysis.farms[i]
+                }</th>
+                ${row
+                    .map(
+                        (value, j) =>
+                            `<td class="w-10 h-10 text-center" style="background-color: ${this.correlationColor(
+                                value
+                            )}" title="${analysis.farms[i]} / ${
+                                analysis.farms[j]
+                            }">${value === null ? "" : value.toFixed(2)}</td>`
+                    )
+                    .join("")}
+            </tr>`
+            )
+            .join("");
+
+        table.innerHTML = header + rows;
+    }
+
+    correlationColor(value) {
+        if (value === null) return "#f3f4f6";
+
+        // Blue for negative, white for none, red for positive correlation
+        const intensity = Math.round(Math.min(Math.abs(value), 1) * 200);
+        return value >= 0
+            ? `rgb(255, ${255 - intensity}, ${255 - intensity})`
+            : `rgb(${255 - intensity}, ${255 - intensity}, 255)`;
+    }
+
+    displayDistanceChart(analysis) {
+        const points = (series) =>
+            analysis.pairs
+                .filter((pair) => pair[series].pearson !== null)
+                .map((pair) => ({
+                    x: pair.distanceKm,
+                    y: pair[series].pearson,
+                    label: `${pair.farmA} / ${pair.farmB}`,
+                }));
+
+        if (this.charts.correlationDistance) {
+            this.charts.correlationDistance.destroy();
+        }
+
+        this.charts.correlationDistance = new Chart(
+            document.getElementById("correlationDistanceChart"),
+            {
+                type: "scatter",
+                data: {
+                    datasets: [
+                        {
+                            label: "100m Speed",
+                            data: points("speed"),
+                            backgroundColor: "rgba(37, 99, 235, 0.6)",
+                        },
+                        {
+                            label: "Est. Power",
+                            data: points("power"),
+                            backgroundColor: "rgba(22, 163, 74, 0.6)",
+                        },
+                    ],
+                },
+                options: {
+                    scales: {
+                        x: { title: { display: true, text: "Distance (km)" } },
+                        y: {
+                            min: -1,
+                            max: 1,
+                            title: { display: true, text: "Pearson r" },
+                        },
+                    },
+                    plugins: {
+                        tooltip: {
+                            callbacks: {
+                                label: (context) =>
+                                    `${
+                                        context.raw.label
+                                    }: ${context.raw.y.toFixed(
+                                        2
+                                    )} at ${context.raw.x.toFixed(0)} km`,
+                            },
+                        },
+                    },
+                },
+            }
+        );
+    }
+
+    formatCoverage(coverage) {
+        if (!coverage) return "No data";
+        return `${coverage.coveragePercent.toFixed(0)}% data coverage (${
+            coverage.readingsUsed
+        }/${coverage.expectedReadings} hours)`;
+    }
+
     showLoading(show) {
         const loading = document.getElementById("loading");
         if (show) {
@@ -0,0 +1,315 @@
+// Saved runs panel shared by the analysis pages. Each page lists its own
+// type of run and decides how to show one that is loaded.
+const runHistory = {
+    limit: 20,
+    runs: [],
+    selected: [],
+
+    bind({ type, describe, onLoad, onError }) {
+        Object.assign(this, { type, describe, onLoad, onError });
+        this.list = document.getElementById("runHistoryList");
+        this.diff = document.getElementById("runDiff");
+        this.compareButton = document.getElementById("compareRunsBtn");
+
+        this.list.addEventListener("click", (e) => {
+            const button = e.target.closest("button[data-action]");
+            if (button) this[button.dataset.action](button.dataset.id);
+        });
+        this.list.addEventListener("change", (e) => {
+            if (e.target.type === "checkbox") {
+                this.toggleSelected(e.target.value, e.target.checked);
+            }
+        });
+        this.compareButton.addEventListener("click", () => this.compare());
+        // Registered after the page's own handler, so the new zone is stored
+        document
+            .getElementById("displayZone")
+            .addEventListener("change", () => this.render());
+
+        this.refresh();
+    },
+
+    async refresh() {
+        try {
+            const params = new URLSearchParams({
+                type: this.type,
+                limit: this.limit,
+            });
+            const response = await fetch(`/api/runs?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            this.runs = await response.json();
+            this.selected = this.selected.filter((id) =>
+                this.runs.some((run) => run.id === id)
+            );
+            this.render();
+        } catch (error) {
+            console.error("Error loading run history:", error);
+            this.list.innerHTML =
+                '<p class="text-sm text-gray-500">Run history is unavailable.</p>';
+        }
+    },
+
+    render() {
+        this.compareButton.disabled = this.selected.length !== 2;
+
+        if (this.runs.length === 0) {
+            this.list.innerHTML =
+                '<p class="text-sm text-gray-500">No saved runs yet. Each analysis you run is kept here.</p>';
+            return;
+        }
+
+        this.list.innerHTML = this.runs
+            .map(
+                (run) => `
+                <div class="flex items-center justify-between gap-4 p-3 border border-gray-200 rounded-md">
+                    <label class="flex items-start gap-3 min-w-0">
+                        <input type="checkbox" value="${run.id}" class="mt-1" ${
+                    this.selected.includes(run.id) ? "checked" : ""
+                }>
+                        <span class="min-w-0">
+                            <span class="block font-medium text-gray-800 truncate">${this.escape(
+                                run.name
+                            )}</span>
+                            <span class="block text-xs text-gray-500">
+                                ${this.formatValue(run.finishedAt)} &middot; ${
+                    run.dataSource.provider
+                } data &middot; ${this.describe(run)}
+                            </span>
+                        </span>
+                    </label>
+                    <div class="flex shrink-0 space-x-2">
+                        <button data-action="load" data-id="${
+                            run.id
+                        }" class="bg-blue-600 text-white text-sm px-3 py-1 rounded-md hover:bg-blue-700">Load</button>
+                        <button data-action="rename" data-id="${
+                            run.id
+                        }" class="bg-gray-200 text-gray-800 text-sm px-3 py-1 rounded-md hover:bg-gray-300">Rename</button>
+                        <button data-action="remove" data-id="${
+                            run.id
+                        }" class="bg-gray-200 text-red-700 text-sm px-3 py-1 rounded-md hover:bg-gray-300">Delete</button>
+                    </div>
+                </div>
+            `
+            )
+            .join("");
+    },
+
+    toggleSelected(id, checked) {
+        this.selected = this.selected.filter((selectedId) => selectedId !== id);
+        if (checked) this.selected.push(id);
+        // Only two runs can be compared, so the oldest choice makes way
+        if (this.selected.length > 2) this.selected.shift();
+        this.render();
+    },
+
+    async load(id) {
+        try {
+            const response = await fetch(`/api/runs/${id}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            this.onLoad(await response.json());
+        } catch (error) {
+            console.error("Error loading run:", error);
+            this.onError("Failed to load the saved run. Please try again.");
+        }
+    },
+
+    async rename(id) {
+        const run = this.runs.find((r) => r.id === id);
+        const name = window.prompt("New name for this run:", run.name);
+        if (!name || name.trim() === run.name) return;
+
+        try {
+            const response = await fetch(`/api/runs/${id}`, {
+                method: "PUT",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ name }),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            await this.refresh();
+        } catch (error) {
+            console.error("Error renaming run:", error);
+            this.onError("Failed to rename the run. Please try again.");
+        }
+    },
+
+    async remove(id) {
+        const run = this.runs.find((r) => r.id === id);
+        if (!window.confirm(`Delete "${run.name}" from the run history?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/runs/${id}`, {
+                method: "DELETE",
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            await this.refresh();
+        } catch (error) {
+            console.error("Error deleting run:", error);
+            this.onError("Failed to delete the run. Please try again.");
+        }
+    },
+
+    async compare() {
+        if (this.selected.length !== 2) return;
+
+        // Always compare the older run to the newer one
+        const [from, to] = this.runs
+            .filter((run) => this.selected.includes(run.id))
+            .reverse();
+
+        try {
+            const response = await fetch(`/api/runs/${from.id}/diff/${to.id}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            this.renderDiff(await response.json());
+        } catch (error) {
+            console.error("Error comparing runs:", error);
+            this.onError("Failed to compare the runs. Please try again.");
+        }
+    },
+
+    renderDiff(diff) {
+        const { added, removed, changed } = diff.items;
+        const settings = [...diff.params, ...diff.dataSource];
+
+        this.diff.innerHTML = `
+            <h4 class="font-semibold text-gray-800 mb-2">
+                ${this.escape(diff.from.name)} &rarr; ${this.escape(
+            diff.to.name
+        )}
+            </h4>
+            <p class="text-sm text-gray-600 mb-4">
+                ${
+                    settings.length
+                        ? `Changed settings: ${settings
+                              .map(
+                                  (change) =>
+                                      `${change.field} ${this.formatValue(
+                                          change.from
+                                      )} &rarr; ${this.formatValue(change.to)}`
+                              )
+                              .join("; ")}`
+                        : "Same settings and data source."
+                }
+            </p>
+            ${
+                diff.summary.length
+                    ? `<table class="min-w-full text-sm mb-4">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-3 py-2 text-left">Summary</th>
+                        <th class="px-3 py-2 text-right">Before</th>
+                        <th class="px-3 py-2 text-right">After</th>
+                        <th class="px-3 py-2 text-right">Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${diff.summary
+                        .map(
+                            (change) => `
+                        <tr class="border-t border-gray-100">
+                            <td class="px-3 py-1">${change.field}</td>
+                            <td class="px-3 py-1 text-right">${this.formatValue(
+                                change.from
+                            )}</td>
+                            <td class="px-3 py-1 text-right">${this.formatValue(
+                                change.to
+                            )}</td>
+                            <td class="px-3 py-1 text-right ${
+                                change.change > 0
+                                    ? "text-green-700"
+                                    : "text-red-700"
+                            }">${
+                                change.change === null
+                                    ? ""
+                                    : `${
+                                          change.change > 0 ? "+" : ""
+                                      }${this.formatValue(change.change)}`
+                            }</td>
+                        </tr>
+                    `
+                        )
+                        .join("")}
+                </tbody>
+            </table>`
+                    : '<p class="text-sm text-gray-600 mb-4">No summary figures changed.</p>'
+            }
+            <p class="text-sm text-gray-700 mb-2">
+                ${added.length} added, ${removed.length} removed, ${
+            changed.length
+        } changed
+            </p>
+            <ul class="text-sm text-gray-700 space-y-1">
+                ${added
+                    .map((item) => `<li>+ ${this.describeItem(item)}</li>`)
+                    .join("")}
+                ${removed
+                    .map(
+                        (item) => `<li>&minus; ${this.describeItem(item)}</li>`
+                    )
+                    .join("")}
+                ${changed
+                    .map(
+                        (item) =>
+                            `<li>~ ${this.describeItem(item)}: ${item.changes
+                                .map(
+                                    (change) =>
+                                        `${change.field} ${this.formatValue(
+                                            change.from
+                                        )} &rarr; ${this.formatValue(
+                                            change.to
+                                        )}`
+                                )
+                                .join(", ")}</li>`
+                    )
+                    .join("")}
+            </ul>
+        `;
+        this.diff.classList.remove("hidden");
+    },
+
+    describeItem(item) {
+        return `${this.escape(item.windFarm)}, ${this.formatValue(
+            item.startTime || item.start
+        )}`;
+    },
+
+    formatValue(value) {
+        if (value === null || value === undefined) return "none";
+        if (Array.isArray(value)) return `${value.length} items`;
+        if (typeof value === "number") {
+            return Number.isInteger(value) ? value : value.toFixed(2);
+        }
+        // API timestamps carry an offset, so show them in the chosen zone
+        if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            return displayZone.format(value, {
+                dateStyle: "medium",
+                timeStyle: "short",
+            });
+        }
+        return this.escape(
+            typeof value === "object" ? JSON.stringify(value) : value
+        );
+    },
+
+    escape(text) {
+        const span = document.createElement("span");
+        span.textContent = String(text);
+        return span.innerHTML;
+    },
+};
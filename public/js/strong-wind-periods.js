@@ -2,25 +2,27 @@ class StrongWindPeriodsApp {
     constructor() {
         this.charts = {};
         this.currentAnalysis = null;
+        this.currentJobId = null;
+        this.currentParams = null;
+        this.currentRunId = null;
+        this.currentLullAnalysis = null;
         this.init();
     }
 
     init() {
         this.setDefaultDates();
         this.bindEvents();
+        runHistory.bind({
+            type: "strong-wind-periods",
+            describe: (run) =>
+                `${run.summary.totalStrongWindPeriods} periods at ${run.summary.windFarmsWithStrongWinds} farms`,
+            onLoad: (run) => this.loadRun(run),
+            onError: (message) => this.showError(message),
+        });
     }
 
     setDefaultDates() {
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - 7);
-
-        document.getElementById("endDate").value = endDate
-            .toISOString()
-            .split("T")[0];
-        document.getElementById("startDate").value = startDate
-            .toISOString()
-            .split("T")[0];
+        this.setDateRangeFromQuickSelect(7);
     }
 
     bindEvents() {
@@ -28,6 +30,32 @@ class StrongWindPeriodsApp {
             this.analyzeStrongWindPeriods();
         });
 
+        displayZone.bindSelect(document.getElementById("displayZone"), () => {
+            // Re-render so every time on the page switches zone
+            if (this.currentAnalysis) this.displayResults(this.currentAnalysis);
+            if (this.currentLullAnalysis) {
+                this.displayLullPeriods(this.currentLullAnalysis);
+            }
+        });
+
+        document.querySelectorAll(".download-btn").forEach((button) => {
+            button.addEventListener("click", () => {
+                this.downloadAnalysis(button.dataset.format);
+            });
+        });
+
+        document
+            .getElementById("cancelJobBtn")
+            .addEventListener("click", () => {
+                this.cancelJob();
+            });
+
+        document
+            .getElementById("analyzeLullsBtn")
+            .addEventListener("click", () => {
+                this.analyzeLullPeriods();
+            });
+
         document
             .getElementById("quickSelect")
             .addEventListener("change", (e) => {
@@ -54,16 +82,9 @@ class StrongWindPeriodsApp {
     }
 
     setDateRangeFromQuickSelect(days) {
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setDate(startDate.getDate() - days);
-
-        document.getElementById("endDate").value = endDate
-            .toISOString()
-            .split("T")[0];
-        document.getElementById("startDate").value = startDate
-            .toISOString()
-            .split("T")[0];
+        // Dates are NZ calendar days, which can differ from the UTC date
+        document.getElementById("endDate").value = displayZone.nzDate();
+        document.getElementById("startDate").value = displayZone.nzDate(days);
     }
 
     async analyzeStrongWindPeriods() {
@@ -84,27 +105,174 @@ class StrongWindPeriodsApp {
         this.hideError();
 
         try {
-            const response = await fetch(
-                `/api/strong-wind-periods?startDate=${startDate}&endDate=${endDate}`
-            );
+            // Long ranges can outlast request timeouts, so run as a background job
+            const response = await fetch("/api/jobs", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    type: "strong-wind-periods",
+                    params: { startDate, endDate, ...this.getRuleParams() },
+                }),
+            });
+            if (response.status === 400) {
+                // Rejected detection rules come back with a readable message
+                const { error } = await response.json();
+                this.showError(error);
+                return;
+            }
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const analysis = await response.json();
+            const job = await response.json();
+            this.currentParams = job.params;
+            this.currentJobId = job.id;
+            const finished = await this.waitForJob(job.id);
+
+            if (finished.status === "cancelled") {
+                return;
+            }
+            if (finished.status === "failed") {
+                throw new Error(finished.error);
+            }
+
+            const resultResponse = await fetch(`/api/jobs/${job.id}/result`);
+            if (!resultResponse.ok) {
+                throw new Error(`HTTP error! status: ${resultResponse.status}`);
+            }
+
+            const analysis = await resultResponse.json();
             this.currentAnalysis = analysis;
+            this.currentRunId = null;
             this.displayResults(analysis);
+            runHistory.refresh();
         } catch (error) {
             console.error("Error analyzing strong wind periods:", error);
             this.showError(
                 "Failed to analyze strong wind periods. Please try again."
             );
         } finally {
+            this.currentJobId = null;
+            this.showJobProgress(null);
             this.showLoading(false);
         }
     }
 
+    // A saved run shows its stored result rather than re-running the analysis
+    loadRun(run) {
+        const { start, end } = run.result.summary.dateRange;
+        document.getElementById("startDate").value = start;
+        document.getElementById("endDate").value = end;
+
+        this.hideError();
+        this.currentParams = run.params;
+        this.currentRunId = run.id;
+        this.currentAnalysis = run.result;
+        this.displayResults(run.result);
+    }
+
+    downloadAnalysis(format) {
+        if (this.currentRunId) {
+            window.location.href = `/api/runs/${this.currentRunId}?format=${format}`;
+            return;
+        }
+        if (!this.currentParams) return;
+
+        // The route sends the export as an attachment, so the page stays put
+        const params = new URLSearchParams({ ...this.currentParams, format });
+        window.location.href = `/api/strong-wind-periods?${params}`;
+    }
+
+    waitForJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const events = new EventSource(`/api/jobs/${jobId}/events`);
+            const handleUpdate = (event) => {
+                const job = JSON.parse(event.data);
+                this.showJobProgress(job);
+                if (job.finished) {
+                    events.close();
+                    resolve(job);
+                }
+            };
+
+            events.addEventListener("status", handleUpdate);
+            events.addEventListener("progress", handleUpdate);
+            events.onerror = () => {
+                events.close();
+                reject(new Error("Lost connection to analysis job"));
+            };
+        });
+    }
+
+    async cancelJob() {
+        if (!this.currentJobId) return;
+
+        try {
+            await fetch(`/api/jobs/${this.currentJobId}`, { method: "DELETE" });
+            document.getElementById("jobProgressText").textContent =
+                "Cancelling...";
+        } catch (error) {
+            console.error("Error cancelling job:", error);
+        }
+    }
+
+    showJobProgress(job) {
+        const container = document.getElementById("jobProgress");
+        if (!job) {
+            container.classList.add("hidden");
+            return;
+        }
+
+        const { completed, total, current, percent } = job.progress;
+        container.classList.remove("hidden");
+        document.getElementById("jobProgressBar").style.width = `${percent}%`;
+        document.getElementById("jobProgressText").textContent =
+            job.status === "queued"
+                ? "Waiting for other analyses to finish..."
+                : current
+                ? `Analyzing ${current} (${completed + 1} of ${total})`
+                : `${percent}% complete`;
+    }
+
+    getRuleParams() {
+        const params = {
+            metric: document.getElementById("metric").value,
+            height: document.getElementById("height").value,
+            threshold: document.getElementById("threshold").value,
+            minDuration: document.getElementById("minDuration").value,
+            gapTolerance: document.getElementById("gapTolerance").value,
+        };
+        const endThreshold = document.getElementById("endThreshold").value;
+        if (endThreshold) {
+            params.endThreshold = endThreshold;
+        }
+        return params;
+    }
+
+    describeRules(rules) {
+        const measure =
+            rules.metric === "gust" ? "gusts" : `at ${rules.height}`;
+        const details = [];
+        if (rules.endThreshold !== rules.threshold) {
+            details.push(`ending below ${rules.endThreshold} km/h`);
+        }
+        if (rules.gapToleranceHours > 0) {
+            details.push(
+                `allowing ${rules.gapToleranceHours}h below threshold`
+            );
+        }
+
+        return `Analyzing periods when NZ wind farms experience strong winds (${
+            rules.threshold
+        }+ km/h ${measure} for ${rules.minimumDurationHours}+ hours${
+            details.length ? `, ${details.join(", ")}` : ""
+        })`;
+    }
+
     displayResults(analysis) {
+        this.currentRules = analysis.summary.rules;
+        document.getElementById("rulesDescription").textContent =
+            this.describeRules(analysis.summary.rules);
         this.displayAllPeriods(analysis.nzStrongWindPeriods);
 
         document.getElementById("results").classList.remove("hidden");
@@ -127,12 +295,17 @@ class StrongWindPeriodsApp {
             <div class="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
                 <div class="flex items-center justify-between">
                     <div>
-                        <h4 class="font-semibold text-blue-800">Copy Time Periods for Multi-Location Analysis</h4>
-                        <p class="text-sm text-blue-600">Click the button to copy all time periods in the format needed for the Multi-Location page</p>
+                        <h4 class="font-semibold text-blue-800">Analyze These Periods Across All Farms</h4>
+                        <p class="text-sm text-blue-600">Open the periods on the Multi-Location page, keeping each period's farm and peak speed, or copy them as text</p>
+                    </div>
+                    <div class="flex space-x-2">
+                        <button id="openInMultiLocationBtn" class="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-500">
+                            Open in Multi-Location
+                        </button>
+                        <button id="copyTimePeriodsBtn" class="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500">
+                            Copy Time Periods
+                        </button>
                     </div>
-                    <button id="copyTimePeriodsBtn" class="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500">
-                        Copy Time Periods
-                    </button>
                 </div>
             </div>
         `;
@@ -203,7 +376,7 @@ class StrongWindPeriodsApp {
                                 )} hours</p>
                             </div>
                             <div>
-                                <p class="text-gray-600">Max Speed (100m):</p>
+                                <p class="text-gray-600">Max ${this.describeSpeedLabel()}:</p>
                                 <p class="font-medium text-red-600">${period.maxWindSpeed.toFixed(
                                     1
                                 )} km/h</p>
@@ -216,7 +389,12 @@ class StrongWindPeriodsApp {
                 )
                 .join("");
 
-        // Add event listener for copy button
+        // Add event listeners for the hand-off buttons
+        document
+            .getElementById("openInMultiLocationBtn")
+            .addEventListener("click", () => {
+                this.openInMultiLocation(periods);
+            });
         document
             .getElementById("copyTimePeriodsBtn")
             .addEventListener("click", () => {
@@ -224,27 +402,223 @@ class StrongWindPeriodsApp {
             });
     }
 
+    async openInMultiLocation(periods) {
+        const { startDate, endDate } = this.currentParams || {};
+
+        try {
+            // Saved server-side, so the other page gets the periods intact
+            const response = await fetch("/api/period-sets", {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({
+                    name: startDate
+                        ? `Strong wind periods ${startDate} to ${endDate}`
+                        : "Strong wind periods",
+                    source: {
+                        type: "strong-wind-periods",
+                        params: this.currentParams,
+                    },
+                    periods: periods.map((period) => ({
+                        windFarm: period.windFarm,
+                        start: period.startTime,
+                        end: period.endTime,
+                        maxWindSpeed: period.maxWindSpeed,
+                    })),
+                }),
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const set = await response.json();
+            window.location.href = `/multi-location?set=${encodeURIComponent(
+                set.id
+            )}`;
+        } catch (error) {
+            console.error("Error saving period set:", error);
+            this.showError("Failed to save the periods. Please try again.");
+        }
+    }
+
+    async analyzeLullPeriods() {
+        const startDate = document.getElementById("startDate").value;
+        const endDate = document.getElementById("endDate").value;
+        const threshold = document.getElementById("lullThreshold").value;
+        const minDuration = document.getElementById("lullMinDuration").value;
+        const farmShare = document.getElementById("lullFarmShare").value;
+
+        if (!startDate || !endDate) {
+            this.showError("Please select both start and end dates.");
+            return;
+        }
+
+        if (new Date(startDate) > new Date(endDate)) {
+            this.showError("Start date must be before end date.");
+            return;
+        }
+
+        this.showLoading(true);
+        this.hideError();
+
+        try {
+            const response = await fetch(
+                `/api/lull-periods?startDate=${startDate}&endDate=${endDate}&threshold=${threshold}&minDuration=${minDuration}&farmFraction=${
+                    farmShare / 100
+                }`
+            );
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const analysis = await response.json();
+            this.currentLullAnalysis = analysis;
+            this.displayLullPeriods(analysis);
+        } catch (error) {
+            console.error("Error analyzing lull periods:", error);
+            this.showError("Failed to analyze lull periods. Please try again.");
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    displayLullPeriods(analysis) {
+        const container = document.getElementById("lullResults");
+        const { summary, nzWideLulls, nzLullPeriods } = analysis;
+
+        const statsSection = `
+            <div class="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
+                    <div>
+                        <p class="text-2xl font-bold text-gray-700">${
+                            summary.totalNZWideLulls
+                        }</p>
+                        <p class="text-sm text-gray-600">NZ-wide Lulls</p>
+                    </div>
+                    <div>
+                        <p class="text-2xl font-bold text-gray-700">${summary.nzWideLullHours.toFixed(
+                            1
+                        )}</p>
+                        <p class="text-sm text-gray-600">NZ-wide Lull Hours</p>
+                    </div>
+                    <div>
+                        <p class="text-2xl font-bold text-gray-700">${
+                            summary.windFarmsWithLulls
+                        } / ${summary.totalWindFarms}</p>
+                        <p class="text-sm text-gray-600">Wind Farms with Lulls</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const nzWideSection = nzWideLulls.length
+            ? nzWideLulls
+                  .map(
+                      (lull) => `
+            <div class="border border-gray-300 rounded-lg p-4 bg-gray-50">
+                <h4 class="font-semibold text-gray-800 mb-2">NZ-wide lull: ${
+                    lull.windFarmCount
+                } wind farms becalmed</h4>
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                    <div>
+                        <p class="text-gray-600">Start:</p>
+                        <p class="font-medium">${this.formatDateTime(
+                            lull.startTime
+                        )}</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-600">End:</p>
+                        <p class="font-medium">${this.formatDateTime(
+                            lull.endTime
+                        )}</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-600">Duration:</p>
+                        <p class="font-medium">${lull.durationHours.toFixed(
+                            1
+                        )} hours</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-600">Capacity Becalmed:</p>
+                        <p class="font-medium text-gray-700">${lull.maxCapacityBecalmed.toFixed(
+                            0
+                        )} MW</p>
+                    </div>
+                </div>
+            </div>
+        `
+                  )
+                  .join("")
+            : `
+            <div class="text-center py-4 text-gray-500">
+                <p>No NZ-wide lulls found in the selected period</p>
+            </div>
+        `;
+
+        const farmSection = nzLullPeriods
+            .map(
+                (period) => `
+            <div class="border border-gray-200 rounded-lg p-4">
+                <h4 class="font-semibold text-gray-800 mb-2">${
+                    period.windFarm
+                }</h4>
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                    <div>
+                        <p class="text-gray-600">Start:</p>
+                        <p class="font-medium">${this.formatDateTime(
+                            period.startTime
+                        )}</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-600">End:</p>
+                        <p class="font-medium">${this.formatDateTime(
+                            period.endTime
+                        )}</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-600">Duration:</p>
+                        <p class="font-medium">${period.durationHours.toFixed(
+                            1
+                        )} hours</p>
+                    </div>
+                    <div>
+                        <p class="text-gray-600">Avg Speed (100m):</p>
+                        <p class="font-medium text-blue-600">${period.avgWindSpeed.toFixed(
+                            1
+                        )} km/h</p>
+                    </div>
+                </div>
+            </div>
+        `
+            )
+            .join("");
+
+        container.innerHTML = statsSection + nzWideSection + farmSection;
+        container.classList.remove("hidden");
+    }
+
+    describeSpeedLabel() {
+        const rules = this.currentRules;
+        if (!rules) return "Speed (100m)";
+        return rules.metric === "gust" ? "Gust" : `Speed (${rules.height})`;
+    }
+
     copyTimePeriods(periods) {
-        // Format periods for easy copying
+        // Format periods for easy copying, in the display zone with its offset
+        // so the hour repeated when daylight saving ends stays unambiguous
+        const formatTime = (timestamp) => {
+            const { date, time, offset } = displayZone.parts(timestamp);
+            return `${date} ${time} ${offset}`;
+        };
         const formattedPeriods = periods
-            .map((period) => {
-                const startDate = new Date(period.startTime)
-                    .toISOString()
-                    .split("T")[0];
-                const startTime = new Date(period.startTime)
-                    .toISOString()
-                    .split("T")[1]
-                    .substring(0, 5);
-                const endDate = new Date(period.endTime)
-                    .toISOString()
-                    .split("T")[0];
-                const endTime = new Date(period.endTime)
-                    .toISOString()
-                    .split("T")[1]
-                    .substring(0, 5);
-
-                return `${startDate} ${startTime} - ${endDate} ${endTime}`;
-            })
+            .map(
+                (period) =>
+                    `${formatTime(period.startTime)} - ${formatTime(
+                        period.endTime
+                    )}`
+            )
             .join("\n");
 
         // Copy to clipboard
@@ -291,7 +665,7 @@ class StrongWindPeriodsApp {
     }
 
     formatDate(dateString) {
-        return new Date(dateString).toLocaleDateString("en-NZ", {
+        return displayZone.format(dateString, {
             weekday: "short",
             year: "numeric",
             month: "short",
@@ -300,11 +674,12 @@ class StrongWindPeriodsApp {
     }
 
     formatDateTime(dateString) {
-        return new Date(dateString).toLocaleString("en-NZ", {
+        return displayZone.format(dateString, {
             month: "short",
             day: "numeric",
             hour: "2-digit",
             minute: "2-digit",
+            timeZoneName: "short",
         });
     }
 
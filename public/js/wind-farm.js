@@ -0,0 +1,162 @@
+class WindFarmApp {
+    constructor() {
+        this.farmName = new URLSearchParams(window.location.search).get("name");
+        this.currentAnalysis = null;
+        this.init();
+    }
+
+    init() {
+        this.setDefaultDates();
+        this.bindEvents();
+
+        if (!this.farmName) {
+            this.showError("No wind farm selected.");
+            return;
+        }
+
+        this.loadFarmDetails();
+    }
+
+    setDefaultDates() {
+        const endDate = new Date();
+        const startDate = new Date();
+        startDate.setDate(startDate.getDate() - 30);
+
+        document.getElementById("endDate").value = endDate
+            .toISOString()
+            .split("T")[0];
+        document.getElementById("startDate").value = startDate
+            .toISOString()
+            .split("T")[0];
+    }
+
+    bindEvents() {
+        document.getElementById("analyzeBtn").addEventListener("click", () => {
+            this.buildWindRose();
+        });
+
+        // Both roses come back in one response, so switching needs no refetch
+        document.getElementById("mode").addEventListener("change", () => {
+            if (this.currentAnalysis) {
+                this.displayWindRose(this.currentAnalysis);
+            }
+        });
+    }
+
+    async loadFarmDetails() {
+        try {
+            const response = await fetch("/api/wind-farms");
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const windFarms = await response.json();
+            const farm = windFarms.find(
+                (f) => f.name.toLowerCase() === this.farmName.toLowerCase()
+            );
+
+            if (!farm) {
+                this.showError(`Wind farm "${this.farmName}" not found.`);
+                return;
+            }
+
+            document.getElementById("farmName").textContent = farm.name;
+            document.getElementById("farmDetails").textContent = [
+                farm.capacity ? `${farm.capacity} MW` : null,
+                farm.turbineCount ? `${farm.turbineCount} turbines` : null,
+                farm.hubHeight ? `${farm.hubHeight}m hub height` : null,
+                `${farm.lat.toFixed(3)}, ${farm.lon.toFixed(3)}`,
+            ]
+                .filter(Boolean)
+                .join(" · ");
+            document.title = `${farm.name} - NZ Wind Farm Detail`;
+        } catch (error) {
+            console.error("Error loading wind farm:", error);
+            this.showError("Failed to load wind farm details.");
+        }
+    }
+
+    async buildWindRose() {
+        const startDate = document.getElementById("startDate").value;
+        const endDate = document.getElementById("endDate").value;
+        const height = document.getElementById("height").value;
+        const sectors = document.getElementById("sectors").value;
+
+        if (!startDate || !endDate) {
+            this.showError("Please select both start and end dates.");
+            return;
+        }
+
+        if (new Date(startDate) > new Date(endDate)) {
+            this.showError("Start date must be before end date.");
+            return;
+        }
+
+        this.showLoading(true);
+        this.hideError();
+
+        try {
+            const response = await fetch(
+                `/api/wind-farms/${encodeURIComponent(
+                    this.farmName
+                )}/wind-rose?startDate=${startDate}&endDate=${endDate}&height=${height}&sectors=${sectors}`
+            );
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const analysis = await response.json();
+            this.currentAnalysis = analysis;
+            this.displayWindRose(analysis);
+        } catch (error) {
+            console.error("Error building wind rose:", error);
+            this.showError("Failed to build wind rose. Please try again.");
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    displayWindRose(analysis) {
+        const mode = document.getElementById("mode").value;
+        const { windRose, dataCoverage } = analysis;
+
+        // The SVG is generated server-side from numeric data only
+        document.getElementById("windRose").innerHTML = analysis.svg[mode];
+        document.getElementById("roseNote").textContent = `${
+            windRose.totalReadings
+        } hours at ${windRose.height}, ${dataCoverage.coveragePercent.toFixed(
+            0
+        )}% data coverage${
+            mode === "energy"
+                ? `, ${windRose.totalEnergy.toFixed(0)} MWh estimated output`
+                : ""
+        }`;
+
+        document.getElementById("results").classList.remove("hidden");
+    }
+
+    showLoading(show) {
+        const loading = document.getElementById("loading");
+        if (show) {
+            loading.classList.remove("hidden");
+        } else {
+            loading.classList.add("hidden");
+        }
+    }
+
+    showError(message) {
+        const error = document.getElementById("error");
+        const errorMessage = document.getElementById("errorMessage");
+        errorMessage.textContent = message;
+        error.classList.remove("hidden");
+    }
+
+    hideError() {
+        document.getElementById("error").classList.add("hidden");
+    }
+}
+
+// Initialize the app when the page loads
+document.addEventListener("DOMContentLoaded", () => {
+    new WindFarmApp();
+});
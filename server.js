@@ -4,10 +4,30 @@ const path = require("path");
 require("dotenv").config();
 
 const windDataService = require("./services/wind-data-service");
+const windDataCacheService = require("./services/wind-data-cache-service");
 const windAnalysisService = require("./services/wind-analysis-service");
 const multiLocationAnalysisService = require("./services/multi-location-analysis-service");
 const strongWindPeriodsService = require("./services/strong-wind-periods-service");
+const lullPeriodsService = require("./services/lull-periods-service");
+const stormPropagationService = require("./services/storm-propagation-service");
+const correlationAnalysisService = require("./services/correlation-analysis-service");
+const climatologyService = require("./services/climatology-service");
+const windRoseService = require("./services/wind-rose-service");
 const timePeriodsAnalysisService = require("./services/time-periods-analysis-service");
+const energyEstimationService = require("./services/energy-estimation-service");
+const cutOutAnalysisService = require("./services/cut-out-analysis-service");
+const windShearService = require("./services/wind-shear-service");
+const windStatisticsService = require("./services/wind-statistics-service");
+const extremeValueService = require("./services/extreme-value-service");
+const rampDetectionService = require("./services/ramp-detection-service");
+const jobService = require("./services/job-service");
+const exportService = require("./services/export-service");
+const farmRegistryService = require("./services/farm-registry-service");
+const timeZoneService = require("./services/time-zone-service");
+const periodSetService = require("./services/period-set-service");
+const runHistoryService = require("./services/run-history-service");
+const schedulerService = require("./services/scheduler-service");
+const alertService = require("./services/alert-service");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,6 +37,302 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 
+// Timestamps are UTC internally and sent with an explicit NZ offset
+app.set("json replacer", timeZoneService.replaceTimestamps);
+
+// Request parsing shared by the analysis routes and analysis jobs.
+// Each parser returns { error } or the arguments for its service.
+function parseWindAnalysisQuery(query) {
+    const { lat, lon, height = "10m", hubHeight = 100, binWidth = 5 } = query;
+
+    if (lat === undefined || lon === undefined) {
+        return { error: "lat and lon are required" };
+    }
+
+    if (!windShearService.speedFields[height]) {
+        return { error: "height must be one of: 10m, 100m, hub" };
+    }
+
+    if (!(parseFloat(binWidth) >= windStatisticsService.minBinWidth)) {
+        return {
+            error: `binWidth must be at least ${windStatisticsService.minBinWidth} km/h`,
+        };
+    }
+
+    return {
+        lat,
+        lon,
+        options: {
+            height,
+            hubHeight: parseFloat(hubHeight),
+            binWidth: parseFloat(binWidth),
+        },
+    };
+}
+
+function parseMultiLocationQuery(query) {
+    const { startDate, endDate, threshold = 60, height = "10m" } = query;
+
+    if (!startDate || !endDate) {
+        return { error: "startDate and endDate are required parameters" };
+    }
+
+    // Height of the wind direction used for each farm's rose
+    if (!windRoseService.directionFields[height]) {
+        return { error: "height must be one of: 10m, 100m, hub" };
+    }
+
+    return { startDate, endDate, threshold: parseInt(threshold), height };
+}
+
+function parseTimePeriodsBody(body) {
+    const { timePeriods, timeZone = timeZoneService.zone } = body || {};
+
+    if (
+        !timePeriods ||
+        !Array.isArray(timePeriods) ||
+        timePeriods.length === 0
+    ) {
+        return { error: "timePeriods array is required and must not be empty" };
+    }
+
+    if (!timeZoneService.isDisplayZone(timeZone)) {
+        return {
+            error: `timeZone must be one of: ${timeZoneService.displayZones.join(
+                ", "
+            )}`,
+        };
+    }
+
+    // Times without an offset are wall-clock times in timeZone. Labels from a
+    // saved period set are kept for the results and exports.
+    try {
+        return {
+            timePeriods: periodSetService.normalizePeriods(
+                timePeriods,
+                timeZone
+            ),
+        };
+    } catch (error) {
+        return {
+            error: error.details.length
+                ? `${error.message}: ${error.details.join("; ")}`
+                : error.message,
+        };
+    }
+}
+
+function parseStrongWindQuery(query) {
+    const {
+        startDate,
+        endDate,
+        days,
+        threshold = strongWindPeriodsService.strongWindThreshold,
+        endThreshold,
+        minDuration = strongWindPeriodsService.minimumDurationHours,
+        height = "100m",
+        metric = "sustained",
+        gapTolerance = 0,
+    } = query;
+
+    if (!windShearService.speedFields[height]) {
+        return { error: "height must be one of: 10m, 100m, hub" };
+    }
+
+    if (!strongWindPeriodsService.metrics.includes(metric)) {
+        return { error: 'metric must be "sustained" or "gust"' };
+    }
+
+    if (!(parseFloat(threshold) > 0)) {
+        return { error: "threshold must be a positive speed in km/h" };
+    }
+
+    // Hysteresis: a period ends below endThreshold, which defaults to threshold
+    const effectiveEndThreshold =
+        endThreshold !== undefined
+            ? parseFloat(endThreshold)
+            : parseFloat(threshold);
+    if (
+        !(effectiveEndThreshold > 0) ||
+        effectiveEndThreshold > parseFloat(threshold)
+    ) {
+        return {
+            error: "endThreshold must be a positive speed no higher than threshold",
+        };
+    }
+
+    if (!(parseFloat(minDuration) >= 0)) {
+        return { error: "minDuration must be zero or more hours" };
+    }
+
+    if (!(parseInt(gapTolerance) >= 0)) {
+        return { error: "gapTolerance must be zero or more hours" };
+    }
+
+    return {
+        // Without a date range, default to the last 7 days
+        days: days ? parseInt(days) : startDate && endDate ? null : 7,
+        startDate,
+        endDate,
+        rules: {
+            threshold: parseFloat(threshold),
+            endThreshold: effectiveEndThreshold,
+            minimumDurationHours: parseFloat(minDuration),
+            height,
+            metric,
+            gapToleranceHours: parseInt(gapTolerance),
+        },
+    };
+}
+
+function runStrongWindAnalysis(parsed, context = {}) {
+    const options = { ...parsed.rules, ...context };
+
+    if (parsed.days) {
+        return strongWindPeriodsService.getStrongWindSummary(
+            parsed.days,
+            options
+        );
+    }
+    return strongWindPeriodsService.analyzeStrongWindPeriods(
+        parsed.startDate,
+        parsed.endDate,
+        options
+    );
+}
+
+// ?format=csv|xlsx|ndjson on the analysis routes returns a download instead of JSON
+function parseExportQuery(type, query) {
+    const { format = "json", table } = query;
+
+    if (!exportService.formats.includes(format)) {
+        return {
+            error: `format must be one of: ${exportService.formats.join(", ")}`,
+        };
+    }
+
+    const tables = exportService.getTableNames(type);
+    if (table && !tables.includes(table)) {
+        return { error: `table must be one of: ${tables.join(", ")}` };
+    }
+
+    return { format, table: table || null };
+}
+
+async function sendAnalysis(res, type, analysis, exportOptions, filename) {
+    if (exportOptions.format === "json") {
+        return res.json(analysis);
+    }
+
+    const file = await exportService.exportAnalysis(
+        type,
+        analysis,
+        exportOptions.format,
+        exportOptions.table
+    );
+    res.type(file.contentType);
+    res.attachment(`${filename}${file.suffix}.${exportOptions.format}`);
+    res.send(file.body);
+}
+
+// Analyses that can run as background jobs. POST /api/jobs takes the same
+// parameters as the matching route, with lat/lon for wind-analysis in params.
+const analysisJobs = {
+    "strong-wind-periods": {
+        parse: parseStrongWindQuery,
+        run: runStrongWindAnalysis,
+    },
+    "multi-location": {
+        parse: parseMultiLocationQuery,
+        run: (parsed, context) =>
+            multiLocationAnalysisService.analyzeStrongWindEvent(
+                parsed.startDate,
+                parsed.endDate,
+                parsed.threshold,
+                { ...context, height: parsed.height }
+            ),
+    },
+    "time-periods": {
+        parse: parseTimePeriodsBody,
+        run: (parsed, context) =>
+            timePeriodsAnalysisService.analyzeTimePeriods(
+                parsed.timePeriods,
+                context
+            ),
+    },
+    "wind-analysis": {
+        parse: parseWindAnalysisQuery,
+        run: (parsed, context) =>
+            windAnalysisService.analyzeWindPatterns(parsed.lat, parsed.lon, {
+                ...parsed.options,
+                ...context,
+            }),
+    },
+};
+
+// Tasks the scheduler can run. Params are checked when a schedule is created
+// and again before each run; analyses are saved to the run history.
+const scheduledTasks = {
+    "strong-wind-summary": {
+        parse: (params) => {
+            const { days = 1 } = params;
+            if (!(parseInt(days) >= 1)) {
+                return { error: "days must be at least 1" };
+            }
+            return parseStrongWindQuery({ ...params, days });
+        },
+        run: runStrongWindAnalysis,
+        historyType: "strong-wind-periods",
+        describe: ({ summary }) =>
+            `${summary.totalStrongWindPeriods} strong wind periods at ${summary.windFarmsWithStrongWinds} farms, ${summary.dateRange.start} to ${summary.dateRange.end}`,
+    },
+    "cache-warm-up": {
+        parse: ({ days = 7 }) =>
+            parseInt(days) >= 1 && parseInt(days) <= 31
+                ? { days: parseInt(days) }
+                : { error: "days must be between 1 and 31" },
+        run: (parsed) =>
+            windDataService.warmCache(
+                farmRegistryService.getWindFarms(),
+                parsed.days
+            ),
+        describe: (result) =>
+            result.cached
+                ? `Cached ${result.readings} readings for ${result.locations} farms, ${result.startDate} to ${result.endDate}`
+                : "Archive cache not in use, nothing to warm up",
+    },
+    "alert-check": {
+        parse: () => ({}),
+        run: () => alertService.evaluate(),
+        describe: (result) =>
+            `${result.new} new, ${result.ongoing} ongoing and ${
+                result.ended
+            } ended alerts from ${result.rules} rules${
+                result.farmsWithoutForecast.length
+                    ? `, no forecast for ${result.farmsWithoutForecast.join(
+                          ", "
+                      )}`
+                    : ""
+            }`,
+    },
+    "climatology-refresh": {
+        parse: ({ years = climatologyService.defaultYears }) =>
+            parseInt(years) >= 1 &&
+            parseInt(years) <= climatologyService.maxYears
+                ? { years: parseInt(years) }
+                : {
+                      error: `years must be between 1 and ${climatologyService.maxYears}`,
+                  },
+        run: (parsed) => climatologyService.refreshBaselines(parsed.years),
+        describe: (result) => {
+            const failed = result.farmResults.filter((farm) => farm.error);
+            return `Rebuilt ${result.years}-year baselines for ${
+                result.farmResults.length - failed.length
+            } farms${failed.length ? `, ${failed.length} failed` : ""}`;
+        },
+    },
+};
+
 // Routes
 app.get("/", (req, res) => {
     res.redirect("/strong-wind-periods");
@@ -30,6 +346,10 @@ app.get("/multi-location", (req, res) => {
     res.sendFile(path.join(__dirname, "public", "multi-location.html"));
 });
 
+app.get("/wind-farm", (req, res) => {
+    res.sendFile(path.join(__dirname, "public", "wind-farm.html"));
+});
+
 // API Routes
 app.get("/api/wind-data/:lat/:lon", async (req, res) => {
     try {
@@ -44,12 +364,28 @@ app.get("/api/wind-data/:lat/:lon", async (req, res) => {
 
 app.get("/api/analysis/:lat/:lon", async (req, res) => {
     try {
-        const { lat, lon } = req.params;
+        const parsed = parseWindAnalysisQuery({ ...req.query, ...req.params });
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const exportOptions = parseExportQuery("wind-analysis", req.query);
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+
         const analysis = await windAnalysisService.analyzeWindPatterns(
-            lat,
-            lon
+            parsed.lat,
+            parsed.lon,
+            parsed.options
+        );
+        await sendAnalysis(
+            res,
+            "wind-analysis",
+            analysis,
+            exportOptions,
+            `wind-analysis-${parsed.lat}-${parsed.lon}`
         );
-        res.json(analysis);
     } catch (error) {
         console.error("Error analyzing wind patterns:", error);
         res.status(500).json({ error: "Failed to analyze wind patterns" });
@@ -59,26 +395,35 @@ app.get("/api/analysis/:lat/:lon", async (req, res) => {
 // New multi-location analysis endpoint
 app.get("/api/multi-location-analysis", async (req, res) => {
     try {
-        const { startDate, endDate, threshold = 60 } = req.query;
+        const parsed = parseMultiLocationQuery(req.query);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
 
-        if (!startDate || !endDate) {
-            return res.status(400).json({
-                error: "startDate and endDate are required parameters",
-            });
+        const exportOptions = parseExportQuery("multi-location", req.query);
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
         }
 
         console.log(
-            `Multi-location analysis requested for period: ${startDate} to ${endDate}`
+            `Multi-location analysis requested for period: ${parsed.startDate} to ${parsed.endDate}`
         );
 
         const analysis =
             await multiLocationAnalysisService.analyzeStrongWindEvent(
-                startDate,
-                endDate,
-                parseInt(threshold)
+                parsed.startDate,
+                parsed.endDate,
+                parsed.threshold,
+                { height: parsed.height }
             );
 
-        res.json(analysis);
+        await sendAnalysis(
+            res,
+            "multi-location",
+            analysis,
+            exportOptions,
+            `multi-location-${parsed.startDate}-${parsed.endDate}`
+        );
     } catch (error) {
         console.error("Error in multi-location analysis:", error);
         res.status(500).json({
@@ -87,84 +432,1280 @@ app.get("/api/multi-location-analysis", async (req, res) => {
     }
 });
 
-app.get("/api/wind-farms", async (req, res) => {
+// Validation and conflict errors from the registry, period sets and run
+// history carry their own status
+function sendServiceError(res, error, message) {
+    if (error.status) {
+        return res
+            .status(error.status)
+            .json({ error: error.message, details: error.details });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({ error: `Failed to ${message.toLowerCase()}` });
+}
+
+app.get("/api/wind-farms", (req, res) => {
+    res.json(farmRegistryService.getWindFarms());
+});
+
+app.get("/api/wind-farms/:name", (req, res) => {
+    const farm = farmRegistryService.getWindFarm(req.params.name);
+
+    if (!farm) {
+        return res.status(404).json({ error: "Wind farm not found" });
+    }
+
+    res.json(farm);
+});
+
+app.post("/api/wind-farms", async (req, res) => {
+    try {
+        const farm = await farmRegistryService.createFarm(req.body);
+        res.status(201)
+            .location(`/api/wind-farms/${encodeURIComponent(farm.name)}`)
+            .json(farm);
+    } catch (error) {
+        sendServiceError(res, error, "Create wind farm");
+    }
+});
+
+// Only the fields given are changed; null clears an optional field
+app.put("/api/wind-farms/:name", async (req, res) => {
+    try {
+        if (
+            !req.body ||
+            typeof req.body !== "object" ||
+            Array.isArray(req.body)
+        ) {
+            return res
+                .status(400)
+                .json({ error: "Request body must be a JSON object" });
+        }
+
+        const farm = await farmRegistryService.updateFarm(
+            req.params.name,
+            req.body
+        );
+
+        if (!farm) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        res.json(farm);
+    } catch (error) {
+        sendServiceError(res, error, "Update wind farm");
+    }
+});
+
+app.delete("/api/wind-farms/:name", async (req, res) => {
+    try {
+        const farm = await farmRegistryService.deleteFarm(req.params.name);
+
+        if (!farm) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        res.json(farm);
+    } catch (error) {
+        sendServiceError(res, error, "Delete wind farm");
+    }
+});
+
+// Estimated energy production for a single wind farm
+app.get("/api/wind-farms/:name/energy", async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                error: "startDate and endDate are required parameters",
+            });
+        }
+
+        const analysis = await energyEstimationService.analyzeFarmEnergy(
+            req.params.name,
+            startDate,
+            endDate
+        );
+
+        if (!analysis) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error estimating energy production:", error);
+        res.status(500).json({
+            error: "Failed to estimate energy production",
+        });
+    }
+});
+
+// Raw hourly readings for one farm, for spreadsheets and other tools
+app.get("/api/wind-farms/:name/readings", async (req, res) => {
     try {
-        const windFarms = await multiLocationAnalysisService.loadWindFarms();
-        res.json(windFarms);
+        const { startDate, endDate } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                error: "startDate and endDate are required parameters",
+            });
+        }
+
+        const exportOptions = parseExportQuery("readings", req.query);
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+
+        const farm = farmRegistryService.getWindFarm(req.params.name);
+
+        if (!farm) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        const readings = await windDataService.getHistoricalData(
+            farm.lat,
+            farm.lon,
+            startDate,
+            endDate
+        );
+
+        await sendAnalysis(
+            res,
+            "readings",
+            {
+                farm,
+                dateRange: { start: startDate, end: endDate },
+                readings,
+            },
+            exportOptions,
+            `${farm.name
+                .toLowerCase()
+                .normalize("NFD")
+                .replace(/[\u0300-\u036f]/g, "")
+                .replace(/[^a-z0-9]+/g, "-")}-${startDate}-${endDate}`
+        );
+    } catch (error) {
+        console.error("Error exporting wind farm readings:", error);
+        res.status(500).json({
+            error: "Failed to export wind farm readings",
+        });
+    }
+});
+
+// Wind rose of direction against speed for one farm
+app.get("/api/wind-farms/:name/wind-rose", async (req, res) => {
+    try {
+        const {
+            startDate,
+            endDate,
+            height = "100m",
+            sectors = windRoseService.defaultSectorCount,
+            bins,
+            mode = "frequency",
+            format = "json",
+        } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                error: "startDate and endDate are required parameters",
+            });
+        }
+
+        if (!windRoseService.directionFields[height]) {
+            return res.status(400).json({
+                error: "height must be one of: 10m, 100m, hub",
+            });
+        }
+
+        const sectorCount = parseInt(sectors);
+        if (!(sectorCount >= 4 && sectorCount <= 36)) {
+            return res.status(400).json({
+                error: "sectors must be between 4 and 36",
+            });
+        }
+
+        const speedBins = bins
+            ? bins.split(",").map((edge) => parseFloat(edge))
+            : windRoseService.defaultSpeedBins;
+        if (
+            speedBins.some(
+                (edge, i) =>
+                    isNaN(edge) ||
+                    edge < 0 ||
+                    (i > 0 && edge <= speedBins[i - 1])
+            )
+        ) {
+            return res.status(400).json({
+                error: "bins must be increasing, non-negative speeds in km/h",
+            });
+        }
+
+        if (!["frequency", "energy"].includes(mode)) {
+            return res.status(400).json({
+                error: 'mode must be "frequency" or "energy"',
+            });
+        }
+
+        const analysis = await windRoseService.analyzeFarmWindRose(
+            req.params.name,
+            startDate,
+            endDate,
+            { height, sectorCount, speedBins }
+        );
+
+        if (!analysis) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        if (format === "svg") {
+            return res.type("image/svg+xml").send(analysis.svg[mode]);
+        }
+
+        res.json(analysis);
     } catch (error) {
-        console.error("Error loading wind farms:", error);
-        res.status(500).json({ error: "Failed to load wind farms" });
+        console.error("Error building wind rose:", error);
+        res.status(500).json({
+            error: "Failed to build wind rose",
+        });
     }
 });
 
 // Strong wind periods analysis endpoint
 app.get("/api/strong-wind-periods", async (req, res) => {
     try {
-        const { startDate, endDate, days } = req.query;
+        const parsed = parseStrongWindQuery(req.query);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const exportOptions = parseExportQuery(
+            "strong-wind-periods",
+            req.query
+        );
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+
+        const startedAt = new Date().toISOString();
+        const analysis = await runStrongWindAnalysis(parsed);
+        // Downloads repeat an analysis the page has already run, so only
+        // JSON responses are added to the run history
+        if (exportOptions.format === "json") {
+            runHistoryService.tryRecordRun({
+                type: "strong-wind-periods",
+                params: req.query,
+                result: analysis,
+                startedAt,
+            });
+        }
+
+        const { start, end } = analysis.summary.dateRange;
+        await sendAnalysis(
+            res,
+            "strong-wind-periods",
+            analysis,
+            exportOptions,
+            `strong-wind-periods-${start}-${end}`
+        );
+    } catch (error) {
+        console.error("Error analyzing strong wind periods:", error);
+        res.status(500).json({
+            error: "Failed to analyze strong wind periods",
+        });
+    }
+});
+
+// Low-wind lulls per farm and across New Zealand
+app.get("/api/lull-periods", async (req, res) => {
+    try {
+        const {
+            startDate,
+            endDate,
+            days,
+            threshold = lullPeriodsService.lullThreshold,
+            minDuration = lullPeriodsService.minimumDurationHours,
+            farmFraction = lullPeriodsService.nzFarmFraction,
+        } = req.query;
+
+        if (!(parseFloat(threshold) > 0)) {
+            return res.status(400).json({
+                error: "threshold must be a positive speed in km/h",
+            });
+        }
+
+        if (!(parseFloat(minDuration) >= 1)) {
+            return res.status(400).json({
+                error: "minDuration must be at least 1 hour",
+            });
+        }
+
+        if (!(parseFloat(farmFraction) > 0 && parseFloat(farmFraction) <= 1)) {
+            return res.status(400).json({
+                error: "farmFraction must be between 0 and 1",
+            });
+        }
+
+        const options = {
+            threshold: parseFloat(threshold),
+            minimumDurationHours: parseFloat(minDuration),
+            farmFraction: parseFloat(farmFraction),
+        };
 
         let analysis;
 
         if (days) {
-            // Get analysis for last N days
-            analysis = await strongWindPeriodsService.getStrongWindSummary(
-                parseInt(days)
+            analysis = await lullPeriodsService.getLullSummary(
+                parseInt(days),
+                options
             );
         } else if (startDate && endDate) {
-            // Get analysis for specific date range
-            analysis = await strongWindPeriodsService.analyzeStrongWindPeriods(
+            analysis = await lullPeriodsService.analyzeLullPeriods(
                 startDate,
-                endDate
+                endDate,
+                options
             );
         } else {
             // Default to last 7 days
-            analysis = await strongWindPeriodsService.getStrongWindSummary(7);
+            analysis = await lullPeriodsService.getLullSummary(7, options);
         }
 
         res.json(analysis);
     } catch (error) {
-        console.error("Error analyzing strong wind periods:", error);
+        console.error("Error analyzing lull periods:", error);
         res.status(500).json({
-            error: "Failed to analyze strong wind periods",
+            error: "Failed to analyze lull periods",
         });
     }
 });
 
-// Time periods analysis endpoint
-app.post("/api/time-periods-analysis", async (req, res) => {
+app.get("/api/storm-propagation", async (req, res) => {
     try {
-        const { timePeriods } = req.body;
+        const {
+            startDate,
+            endDate,
+            days,
+            height = "100m",
+            minFarms = stormPropagationService.minimumFarms,
+        } = req.query;
 
-        if (
-            !timePeriods ||
-            !Array.isArray(timePeriods) ||
-            timePeriods.length === 0
-        ) {
+        if (!windShearService.speedFields[height]) {
             return res.status(400).json({
-                error: "timePeriods array is required and must not be empty",
+                error: "height must be one of: 10m, 100m, hub",
             });
         }
 
-        console.log(
-            `Time periods analysis requested for ${timePeriods.length} periods`
-        );
+        if (!(parseInt(minFarms) >= stormPropagationService.minimumFarms)) {
+            return res.status(400).json({
+                error: `minFarms must be at least ${stormPropagationService.minimumFarms}`,
+            });
+        }
 
-        const analysis = await timePeriodsAnalysisService.analyzeTimePeriods(
-            timePeriods
-        );
+        let analysis;
+
+        if (days) {
+            analysis = await stormPropagationService.getPropagationSummary(
+                parseInt(days),
+                height,
+                parseInt(minFarms)
+            );
+        } else if (startDate && endDate) {
+            analysis = await stormPropagationService.analyzeStormPropagation(
+                startDate,
+                endDate,
+                height,
+                parseInt(minFarms)
+            );
+        } else {
+            // Default to last 7 days
+            analysis = await stormPropagationService.getPropagationSummary(
+                7,
+                height,
+                parseInt(minFarms)
+            );
+        }
 
         res.json(analysis);
     } catch (error) {
-        console.error("Error in time periods analysis:", error);
+        console.error("Error analyzing storm propagation:", error);
         res.status(500).json({
-            error: "Failed to perform time periods analysis",
+            error: "Failed to analyze storm propagation",
         });
     }
 });
 
+app.get("/api/correlations", async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                error: "startDate and endDate are required parameters",
+            });
+        }
+
+        const analysis = await correlationAnalysisService.analyzeCorrelations(
+            startDate,
+            endDate
+        );
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error analyzing farm correlations:", error);
+        res.status(500).json({
+            error: "Failed to analyze farm correlations",
+        });
+    }
+});
+
+app.get("/api/climatology", async (req, res) => {
+    try {
+        const { years = climatologyService.defaultYears, farm } = req.query;
+
+        if (
+            !(parseInt(years) >= 1) ||
+            parseInt(years) > climatologyService.maxYears
+        ) {
+            return res.status(400).json({
+                error: `years must be between 1 and ${climatologyService.maxYears}`,
+            });
+        }
+
+        const climatology = await climatologyService.getClimatology(
+            parseInt(years),
+            farm || null
+        );
+
+        if (!climatology) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        res.json(climatology);
+    } catch (error) {
+        console.error("Error building climatology:", error);
+        res.status(500).json({
+            error: "Failed to build climatology",
+        });
+    }
+});
+
+app.get("/api/anomaly", async (req, res) => {
+    try {
+        const {
+            startDate,
+            endDate,
+            years = climatologyService.defaultYears,
+            farm,
+        } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                error: "startDate and endDate are required parameters",
+            });
+        }
+
+        if (
+            !(parseInt(years) >= 1) ||
+            parseInt(years) > climatologyService.maxYears
+        ) {
+            return res.status(400).json({
+                error: `years must be between 1 and ${climatologyService.maxYears}`,
+            });
+        }
+
+        const analysis = await climatologyService.analyzeAnomaly(
+            startDate,
+            endDate,
+            parseInt(years),
+            farm || null
+        );
+
+        if (!analysis) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error analyzing wind anomaly:", error);
+        res.status(500).json({
+            error: "Failed to analyze wind anomaly",
+        });
+    }
+});
+
+// Weibull fits and speed histograms for every farm in the fleet
+app.get("/api/wind-statistics", async (req, res) => {
+    try {
+        const { startDate, endDate, binWidth = 5 } = req.query;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                error: "startDate and endDate are required parameters",
+            });
+        }
+
+        if (!(parseFloat(binWidth) >= windStatisticsService.minBinWidth)) {
+            return res.status(400).json({
+                error: `binWidth must be at least ${windStatisticsService.minBinWidth} km/h`,
+            });
+        }
+
+        const analysis = await windStatisticsService.compareFleetDistributions(
+            startDate,
+            endDate,
+            parseFloat(binWidth)
+        );
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error fitting wind speed distributions:", error);
+        res.status(500).json({
+            error: "Failed to fit wind speed distributions",
+        });
+    }
+});
+
+// Extreme gust return levels from annual maxima or peaks over threshold
+app.get("/api/extreme-gusts", async (req, res) => {
+    try {
+        const { years = 20, method = "annual", threshold, farm } = req.query;
+
+        if (
+            !(parseInt(years) >= extremeValueService.minimumMaxima) ||
+            parseInt(years) > extremeValueService.maxYears
+        ) {
+            return res.status(400).json({
+                error: `years must be between ${extremeValueService.minimumMaxima} and ${extremeValueService.maxYears}`,
+            });
+        }
+
+        if (!["annual", "pot"].includes(method)) {
+            return res.status(400).json({
+                error: 'method must be "annual" or "pot"',
+            });
+        }
+
+        if (threshold !== undefined && !(parseFloat(threshold) > 0)) {
+            return res.status(400).json({
+                error: "threshold must be a positive number",
+            });
+        }
+
+        const analysis = await extremeValueService.analyzeExtremeGusts({
+            years: parseInt(years),
+            method,
+            threshold: threshold !== undefined ? parseFloat(threshold) : null,
+            farmName: farm || null,
+        });
+
+        if (!analysis) {
+            return res.status(404).json({ error: "Wind farm not found" });
+        }
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error analyzing extreme gusts:", error);
+        res.status(500).json({
+            error: "Failed to analyze extreme gusts",
+        });
+    }
+});
+
+// Turbine cut-out (high-wind shutdown) events endpoint
+app.get("/api/cut-out-events", async (req, res) => {
+    try {
+        const { startDate, endDate, days } = req.query;
+
+        let analysis;
+
+        if (days) {
+            analysis = await cutOutAnalysisService.getCutOutSummary(
+                parseInt(days)
+            );
+        } else if (startDate && endDate) {
+            analysis = await cutOutAnalysisService.analyzeCutOutEvents(
+                startDate,
+                endDate
+            );
+        } else {
+            // Default to last 7 days
+            analysis = await cutOutAnalysisService.getCutOutSummary(7);
+        }
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error analyzing cut-out events:", error);
+        res.status(500).json({
+            error: "Failed to analyze cut-out events",
+        });
+    }
+});
+
+// Fast changes in estimated output, per farm and across the fleet
+app.get("/api/ramp-events", async (req, res) => {
+    try {
+        const {
+            startDate,
+            endDate,
+            days,
+            threshold = rampDetectionService.defaultThresholdPercent,
+            window = rampDetectionService.defaultWindowHours,
+        } = req.query;
+
+        if (!(parseFloat(threshold) > 0 && parseFloat(threshold) <= 100)) {
+            return res.status(400).json({
+                error: "threshold must be a percentage of capacity between 0 and 100",
+            });
+        }
+
+        if (!(parseInt(window) >= 1)) {
+            return res.status(400).json({
+                error: "window must be a whole number of hours of at least 1",
+            });
+        }
+
+        const options = {
+            thresholdPercent: parseFloat(threshold),
+            windowHours: parseInt(window),
+        };
+
+        let analysis;
+
+        if (days) {
+            analysis = await rampDetectionService.getRampSummary(
+                parseInt(days),
+                options
+            );
+        } else if (startDate && endDate) {
+            analysis = await rampDetectionService.analyzeRampEvents(
+                startDate,
+                endDate,
+                options
+            );
+        } else {
+            // Default to last 7 days
+            analysis = await rampDetectionService.getRampSummary(7, options);
+        }
+
+        res.json(analysis);
+    } catch (error) {
+        console.error("Error detecting ramp events:", error);
+        res.status(500).json({
+            error: "Failed to detect ramp events",
+        });
+    }
+});
+
+// Time periods analysis endpoint
+app.post("/api/time-periods-analysis", async (req, res) => {
+    try {
+        const parsed = parseTimePeriodsBody(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        // Downloads are requested in the query string or alongside timePeriods
+        const exportOptions = parseExportQuery("time-periods", {
+            format: req.body.format,
+            table: req.body.table,
+            ...req.query,
+        });
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+
+        console.log(
+            `Time periods analysis requested for ${parsed.timePeriods.length} periods`
+        );
+
+        const startedAt = new Date().toISOString();
+        const analysis = await timePeriodsAnalysisService.analyzeTimePeriods(
+            parsed.timePeriods
+        );
+        if (exportOptions.format === "json") {
+            runHistoryService.tryRecordRun({
+                type: "time-periods",
+                params: {
+                    timePeriods: req.body.timePeriods,
+                    timeZone: req.body.timeZone,
+                },
+                result: analysis,
+                startedAt,
+            });
+        }
+
+        await sendAnalysis(
+            res,
+            "time-periods",
+            analysis,
+            exportOptions,
+            `time-periods-${parsed.timePeriods.length}`
+        );
+    } catch (error) {
+        console.error("Error in time periods analysis:", error);
+        res.status(500).json({
+            error: "Failed to perform time periods analysis",
+        });
+    }
+});
+
+// Saved period sets, e.g. strong wind periods handed to the multi-location page
+app.get("/api/period-sets", async (req, res) => {
+    try {
+        res.json(await periodSetService.listSets());
+    } catch (error) {
+        console.error("Error listing period sets:", error);
+        res.status(500).json({ error: "Failed to list period sets" });
+    }
+});
+
+// JSON bodies hold { name, periods, source, timeZone }; CSV bodies are the
+// periods alone, with name and timeZone in the query string
+app.post(
+    "/api/period-sets",
+    express.text({ type: "text/csv" }),
+    async (req, res) => {
+        try {
+            const body = req.is("text/csv")
+                ? {
+                      name: req.query.name,
+                      timeZone: req.query.timeZone,
+                      periods: periodSetService.parseCsv(req.body),
+                  }
+                : req.body || {};
+
+            const { timeZone = timeZoneService.zone } = body;
+            if (!timeZoneService.isDisplayZone(timeZone)) {
+                return res.status(400).json({
+                    error: `timeZone must be one of: ${timeZoneService.displayZones.join(
+                        ", "
+                    )}`,
+                });
+            }
+
+            const set = await periodSetService.createSet({ ...body, timeZone });
+            res.status(201).location(`/api/period-sets/${set.id}`).json(set);
+        } catch (error) {
+            sendServiceError(res, error, "Save period set");
+        }
+    }
+);
+
+app.get("/api/period-sets/:id", async (req, res) => {
+    try {
+        const exportOptions = parseExportQuery("period-set", req.query);
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+
+        const set = await periodSetService.getSet(req.params.id);
+        if (!set) {
+            return res.status(404).json({ error: "Period set not found" });
+        }
+
+        await sendAnalysis(
+            res,
+            "period-set",
+            set,
+            exportOptions,
+            `period-set-${set.id}`
+        );
+    } catch (error) {
+        console.error("Error loading period set:", error);
+        res.status(500).json({ error: "Failed to load period set" });
+    }
+});
+
+app.delete("/api/period-sets/:id", async (req, res) => {
+    try {
+        const set = await periodSetService.deleteSet(req.params.id);
+        if (!set) {
+            return res.status(404).json({ error: "Period set not found" });
+        }
+
+        res.json(set);
+    } catch (error) {
+        console.error("Error deleting period set:", error);
+        res.status(500).json({ error: "Failed to delete period set" });
+    }
+});
+
+// Analysis run history. Completed jobs and the JSON strong wind and time
+// periods routes record a run each.
+app.get("/api/runs", (req, res) => {
+    try {
+        const { type, limit } = req.query;
+
+        if (type && !analysisJobs[type]) {
+            return res.status(400).json({
+                error: `type must be one of: ${Object.keys(analysisJobs).join(
+                    ", "
+                )}`,
+            });
+        }
+        if (limit !== undefined && !(parseInt(limit) > 0)) {
+            return res
+                .status(400)
+                .json({ error: "limit must be a positive number" });
+        }
+
+        res.json(
+            runHistoryService.listRuns({
+                type: type || null,
+                limit: limit ? parseInt(limit) : undefined,
+            })
+        );
+    } catch (error) {
+        console.error("Error listing runs:", error);
+        res.status(500).json({ error: "Failed to list runs" });
+    }
+});
+
+// The whole run as JSON, or its result as a download with ?format=
+app.get("/api/runs/:id", async (req, res) => {
+    try {
+        const run = runHistoryService.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: "Run not found" });
+        }
+
+        const exportOptions = parseExportQuery(run.type, req.query);
+        if (exportOptions.error) {
+            return res.status(400).json({ error: exportOptions.error });
+        }
+        if (exportOptions.format === "json") {
+            return res.json(run);
+        }
+
+        await sendAnalysis(
+            res,
+            run.type,
+            run.result,
+            exportOptions,
+            `${run.type}-run-${run.id}`
+        );
+    } catch (error) {
+        console.error("Error loading run:", error);
+        res.status(500).json({ error: "Failed to load run" });
+    }
+});
+
+app.put("/api/runs/:id", (req, res) => {
+    try {
+        const run = runHistoryService.renameRun(
+            req.params.id,
+            (req.body || {}).name
+        );
+        if (!run) {
+            return res.status(404).json({ error: "Run not found" });
+        }
+
+        res.json(run);
+    } catch (error) {
+        sendServiceError(res, error, "Rename run");
+    }
+});
+
+app.delete("/api/runs/:id", (req, res) => {
+    try {
+        const run = runHistoryService.deleteRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: "Run not found" });
+        }
+
+        res.json(run);
+    } catch (error) {
+        console.error("Error deleting run:", error);
+        res.status(500).json({ error: "Failed to delete run" });
+    }
+});
+
+// Changes from run :id to run :otherId
+app.get("/api/runs/:id/diff/:otherId", (req, res) => {
+    try {
+        const diff = runHistoryService.diffRuns(
+            req.params.id,
+            req.params.otherId
+        );
+        if (!diff) {
+            return res.status(404).json({ error: "Run not found" });
+        }
+
+        res.json(diff);
+    } catch (error) {
+        sendServiceError(res, error, "Compare runs");
+    }
+});
+
+// Scheduled tasks
+app.get("/api/schedules", (req, res) => {
+    try {
+        res.json(schedulerService.listSchedules());
+    } catch (error) {
+        console.error("Error listing schedules:", error);
+        res.status(500).json({ error: "Failed to list schedules" });
+    }
+});
+
+// { name, task, cron, params, paused }; cron is in NZ time
+app.post("/api/schedules", (req, res) => {
+    try {
+        const schedule = schedulerService.createSchedule(req.body);
+        res.status(201)
+            .location(`/api/schedules/${schedule.id}`)
+            .json(schedule);
+    } catch (error) {
+        sendServiceError(res, error, "Create schedule");
+    }
+});
+
+app.get("/api/schedules/:id", (req, res) => {
+    try {
+        const schedule = schedulerService.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found" });
+        }
+
+        res.json(schedule);
+    } catch (error) {
+        console.error("Error loading schedule:", error);
+        res.status(500).json({ error: "Failed to load schedule" });
+    }
+});
+
+app.post("/api/schedules/:id/:action(pause|resume)", (req, res) => {
+    try {
+        const schedule = schedulerService.setPaused(
+            req.params.id,
+            req.params.action === "pause"
+        );
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found" });
+        }
+
+        res.json(schedule);
+    } catch (error) {
+        console.error("Error updating schedule:", error);
+        res.status(500).json({ error: "Failed to update schedule" });
+    }
+});
+
+// Runs a schedule now, paused or not; the outcome appears in its runs
+app.post("/api/schedules/:id/run", (req, res) => {
+    try {
+        const schedule = schedulerService.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found" });
+        }
+        if (schedule.running) {
+            return res
+                .status(409)
+                .json({ error: "Schedule is already running", schedule });
+        }
+
+        schedulerService
+            .runSchedule(schedule.id)
+            .catch((error) =>
+                console.error(`Error running schedule ${schedule.id}:`, error)
+            );
+        res.status(202).json(schedulerService.getSchedule(schedule.id));
+    } catch (error) {
+        console.error("Error starting schedule:", error);
+        res.status(500).json({ error: "Failed to start schedule" });
+    }
+});
+
+app.get("/api/schedules/:id/runs", (req, res) => {
+    try {
+        const { limit } = req.query;
+        if (limit !== undefined && !(parseInt(limit) > 0)) {
+            return res
+                .status(400)
+                .json({ error: "limit must be a positive number" });
+        }
+
+        const schedule = schedulerService.getSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found" });
+        }
+
+        res.json(
+            schedulerService.listRuns(
+                schedule.id,
+                limit ? parseInt(limit) : undefined
+            )
+        );
+    } catch (error) {
+        console.error("Error listing schedule runs:", error);
+        res.status(500).json({ error: "Failed to list schedule runs" });
+    }
+});
+
+app.delete("/api/schedules/:id", (req, res) => {
+    try {
+        const schedule = schedulerService.deleteSchedule(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: "Schedule not found" });
+        }
+
+        res.json(schedule);
+    } catch (error) {
+        console.error("Error deleting schedule:", error);
+        res.status(500).json({ error: "Failed to delete schedule" });
+    }
+});
+
+// Forecast alerting. Rules are checked by the "alert-check" scheduled task.
+app.get("/api/alert-channels", (req, res) => {
+    res.json(alertService.getChannelNames());
+});
+
+app.get("/api/alert-rules", (req, res) => {
+    try {
+        res.json(alertService.listRules());
+    } catch (error) {
+        console.error("Error listing alert rules:", error);
+        res.status(500).json({ error: "Failed to list alert rules" });
+    }
+});
+
+app.post("/api/alert-rules", (req, res) => {
+    try {
+        const rule = alertService.createRule(req.body);
+        res.status(201).location(`/api/alert-rules/${rule.id}`).json(rule);
+    } catch (error) {
+        sendServiceError(res, error, "Create alert rule");
+    }
+});
+
+app.get("/api/alert-rules/:id", (req, res) => {
+    try {
+        const rule = alertService.getRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: "Alert rule not found" });
+        }
+
+        res.json(rule);
+    } catch (error) {
+        console.error("Error loading alert rule:", error);
+        res.status(500).json({ error: "Failed to load alert rule" });
+    }
+});
+
+// Only the fields given are changed, e.g. { "paused": true }
+app.put("/api/alert-rules/:id", (req, res) => {
+    try {
+        const rule = alertService.updateRule(req.params.id, req.body || {});
+        if (!rule) {
+            return res.status(404).json({ error: "Alert rule not found" });
+        }
+
+        res.json(rule);
+    } catch (error) {
+        sendServiceError(res, error, "Update alert rule");
+    }
+});
+
+app.delete("/api/alert-rules/:id", (req, res) => {
+    try {
+        const rule = alertService.deleteRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: "Alert rule not found" });
+        }
+
+        res.json(rule);
+    } catch (error) {
+        console.error("Error deleting alert rule:", error);
+        res.status(500).json({ error: "Failed to delete alert rule" });
+    }
+});
+
+app.get("/api/alerts", (req, res) => {
+    try {
+        const { status, ruleId, windFarm, limit } = req.query;
+
+        if (status && !["active", "ended"].includes(status)) {
+            return res
+                .status(400)
+                .json({ error: 'status must be "active" or "ended"' });
+        }
+        if (limit !== undefined && !(parseInt(limit) > 0)) {
+            return res
+                .status(400)
+                .json({ error: "limit must be a positive number" });
+        }
+
+        res.json(
+            alertService.listAlerts({
+                status,
+                ruleId,
+                windFarm,
+                limit: limit ? parseInt(limit) : undefined,
+            })
+        );
+    } catch (error) {
+        console.error("Error listing alerts:", error);
+        res.status(500).json({ error: "Failed to list alerts" });
+    }
+});
+
+app.get("/api/alerts/:id", (req, res) => {
+    try {
+        const alert = alertService.getAlert(req.params.id);
+        if (!alert) {
+            return res.status(404).json({ error: "Alert not found" });
+        }
+
+        res.json(alert);
+    } catch (error) {
+        console.error("Error loading alert:", error);
+        res.status(500).json({ error: "Failed to load alert" });
+    }
+});
+
+// Analysis jobs
+app.post("/api/jobs", (req, res) => {
+    const { type, params = {} } = req.body || {};
+    const jobType = analysisJobs[type];
+
+    if (!jobType) {
+        return res.status(400).json({
+            error: `type must be one of: ${Object.keys(analysisJobs).join(
+                ", "
+            )}`,
+        });
+    }
+
+    const parsed = jobType.parse(params);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+
+    const job = jobService.createJob(type, params, async (context) => {
+        const startedAt = new Date().toISOString();
+        const result = await jobType.run(parsed, context);
+        runHistoryService.tryRecordRun({ type, params, result, startedAt });
+        return result;
+    });
+    res.status(202).location(`/api/jobs/${job.id}`).json(job);
+});
+
+app.get("/api/jobs", (req, res) => {
+    res.json({ jobs: jobService.listJobs() });
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+    const job = jobService.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+});
+
+app.get("/api/jobs/:id/result", (req, res) => {
+    const job = jobService.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+    }
+    if (job.status !== "completed") {
+        return res.status(409).json({
+            error: `Job is ${job.status}, no result available`,
+            job,
+        });
+    }
+    res.json(jobService.getResult(req.params.id));
+});
+
+app.get("/api/jobs/:id/events", (req, res) => {
+    const job = jobService.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(
+            `event: ${event}\ndata: ${JSON.stringify(
+                data,
+                timeZoneService.replaceTimestamps
+            )}\n\n`
+        );
+    };
+
+    send("status", job);
+    if (job.finished) {
+        return res.end();
+    }
+
+    const unsubscribe = jobService.subscribe(job.id, (event, update) => {
+        send(event, update);
+        if (update.finished) {
+            cleanup();
+            res.end();
+        }
+    });
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    req.on("close", cleanup);
+});
+
+app.delete("/api/jobs/:id", (req, res) => {
+    const job = jobService.cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+});
+
+// Archive cache endpoints
+app.get("/api/cache/stats", async (req, res) => {
+    try {
+        const stats = await windDataCacheService.getCacheStats();
+        res.json(stats);
+    } catch (error) {
+        console.error("Error reading cache stats:", error);
+        res.status(500).json({ error: "Failed to read cache stats" });
+    }
+});
+
+app.delete("/api/cache", async (req, res) => {
+    try {
+        const { lat, lon } = req.query;
+
+        if ((lat && !lon) || (!lat && lon)) {
+            return res.status(400).json({
+                error: "lat and lon must be provided together",
+            });
+        }
+
+        const result = await windDataCacheService.purge(
+            lat || null,
+            lon || null
+        );
+        res.json(result);
+    } catch (error) {
+        console.error("Error purging cache:", error);
+        res.status(500).json({ error: "Failed to purge cache" });
+    }
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`Wind Analysis Server running on http://localhost:${PORT}`);
     console.log(
-        "Using Open-Meteo API for historical weather data (free, no API key required)"
+        `Using "${windDataService.provider.name}" wind data provider for historical weather data`
     );
+    schedulerService.start(scheduledTasks);
 });
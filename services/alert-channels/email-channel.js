@@ -0,0 +1,26 @@
+const nodemailer = require("nodemailer");
+
+class EmailChannel {
+    constructor({ host, port, secure, user, pass, from, to }) {
+        this.name = "email";
+        this.from = from;
+        this.to = to;
+        this.transport = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined,
+        });
+    }
+
+    async send(notification) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: notification.subject,
+            text: notification.text,
+        });
+    }
+}
+
+module.exports = EmailChannel;
@@ -0,0 +1,24 @@
+const fs = require("fs").promises;
+const path = require("path");
+const timeZoneService = require("../time-zone-service");
+
+class LogFileChannel {
+    constructor(filePath) {
+        this.name = "log";
+        this.filePath = filePath;
+    }
+
+    // One JSON line per notification, so the file can be tailed or parsed
+    async send(notification) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.appendFile(
+            this.filePath,
+            `${JSON.stringify(
+                { sentAt: new Date().toISOString(), ...notification },
+                timeZoneService.replaceTimestamps
+            )}\n`
+        );
+    }
+}
+
+module.exports = LogFileChannel;
@@ -0,0 +1,24 @@
+const axios = require("axios");
+const timeZoneService = require("../time-zone-service");
+
+class WebhookChannel {
+    constructor(url) {
+        this.name = "webhook";
+        this.url = url;
+        this.timeoutMs = 10000;
+    }
+
+    // POSTs { subject, text, alert } as JSON, with NZ-offset timestamps
+    async send(notification) {
+        await axios.post(
+            this.url,
+            JSON.stringify(notification, timeZoneService.replaceTimestamps),
+            {
+                headers: { "Content-Type": "application/json" },
+                timeout: this.timeoutMs,
+            }
+        );
+    }
+}
+
+module.exports = WebhookChannel;
@@ -0,0 +1,634 @@
+const crypto = require("crypto");
+const path = require("path");
+const windDataService = require("./wind-data-service");
+const windShearService = require("./wind-shear-service");
+const farmRegistryService = require("./farm-registry-service");
+const runHistoryService = require("./run-history-service");
+const timeZoneService = require("./time-zone-service");
+const WebhookChannel = require("./alert-channels/webhook-channel");
+const EmailChannel = require("./alert-channels/email-channel");
+const LogFileChannel = require("./alert-channels/log-file-channel");
+
+class AlertService {
+    constructor() {
+        this.metrics = ["sustained", "gust"];
+        this.maxLeadTimeHours = 168; // the forecast covers about 7 days
+        this.fields = {
+            name: { type: "string", required: true },
+            // At most one of windFarm and region; neither means every farm
+            windFarm: { type: "string" },
+            region: { type: "string" },
+            metric: { type: "string" },
+            height: { type: "string" },
+            threshold: { type: "number", required: true }, // km/h
+            leadTimeHours: { type: "number" },
+            minDurationHours: { type: "number" },
+            channels: { type: "array" },
+            paused: { type: "boolean" },
+        };
+        this.defaults = {
+            metric: "sustained",
+            height: "100m",
+            leadTimeHours: 48,
+            minDurationHours: 1,
+            channels: null, // every configured channel
+            paused: false,
+        };
+        this.defaultLimit = 50;
+        this.maxLimit = 500;
+        this.channels = this.createChannels();
+        this.db = null;
+    }
+
+    createChannels() {
+        const channels = new Map();
+        const env = process.env;
+
+        if (env.ALERT_WEBHOOK_URL) {
+            channels.set("webhook", new WebhookChannel(env.ALERT_WEBHOOK_URL));
+        }
+        if (env.ALERT_SMTP_HOST && env.ALERT_EMAIL_TO) {
+            channels.set(
+                "email",
+                new EmailChannel({
+                    host: env.ALERT_SMTP_HOST,
+                    port: parseInt(env.ALERT_SMTP_PORT || "587"),
+                    secure: env.ALERT_SMTP_SECURE === "true",
+                    user: env.ALERT_SMTP_USER,
+                    pass: env.ALERT_SMTP_PASS,
+                    from: env.ALERT_EMAIL_FROM || env.ALERT_SMTP_USER,
+                    to: env.ALERT_EMAIL_TO,
+                })
+            );
+        }
+        // On unless ALERT_LOG_FILE is set empty, so alerts always land somewhere
+        const logFile =
+            env.ALERT_LOG_FILE ?? path.join(__dirname, "../data/alerts.log");
+        if (logFile) {
+            channels.set("log", new LogFileChannel(logFile));
+        }
+
+        return channels;
+    }
+
+    // Channels have a name and send({ subject, text, alert }), so others
+    // (chat, SMS) can be plugged in alongside the built-in ones
+    addChannel(channel) {
+        this.channels.set(channel.name, channel);
+    }
+
+    getChannelNames() {
+        return Array.from(this.channels.keys());
+    }
+
+    // Rules and alerts are kept in the run history database
+    getDb() {
+        if (this.db) return this.db;
+
+        const db = runHistoryService.getDb();
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS alert_rules (
+                id TEXT PRIMARY KEY,
+                rule TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS alerts (
+                id TEXT PRIMARY KEY,
+                rule_id TEXT NOT NULL,
+                wind_farm TEXT NOT NULL,
+                status TEXT NOT NULL,
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL,
+                details TEXT NOT NULL,
+                notifications TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                ended_at TEXT
+            );
+            CREATE INDEX IF NOT EXISTS alerts_by_rule
+                ON alerts (rule_id, wind_farm, status);
+            CREATE INDEX IF NOT EXISTS alerts_by_created
+                ON alerts (created_at);
+        `);
+
+        this.db = db;
+        return db;
+    }
+
+    createError(status, message, details = []) {
+        const error = new Error(message);
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+            return ["alert rule must be a JSON object"];
+        }
+
+        Object.keys(rule).forEach((field) => {
+            if (!this.fields[field]) {
+                errors.push(`unknown field "${field}"`);
+            }
+        });
+
+        const typeErrors = [];
+        Object.entries(this.fields).forEach(([field, schema]) => {
+            const value = rule[field];
+            if (value === undefined || value === null) {
+                if (schema.required) typeErrors.push(`${field} is required`);
+                return;
+            }
+
+            const type = Array.isArray(value) ? "array" : typeof value;
+            if (type !== schema.type) {
+                typeErrors.push(`${field} must be a ${schema.type}`);
+            } else if (type === "number" && !Number.isFinite(value)) {
+                typeErrors.push(`${field} must be a finite number`);
+            }
+        });
+
+        // Range checks only make sense once the types are right
+        if (typeErrors.length > 0) return [...errors, ...typeErrors];
+
+        const { metric, height, leadTimeHours, minDurationHours, channels } = {
+            ...this.defaults,
+            ...this.withoutNulls(rule),
+        };
+
+        if (!rule.name.trim()) {
+            errors.push("name must not be empty");
+        }
+        if (rule.windFarm && rule.region) {
+            errors.push("give either windFarm or region, not both");
+        }
+        if (rule.windFarm && !farmRegistryService.getWindFarm(rule.windFarm)) {
+            errors.push(`wind farm "${rule.windFarm}" not found`);
+        }
+        if (
+            rule.region &&
+            this.getFarms({ region: rule.region }).length === 0
+        ) {
+            errors.push(`no wind farms in region "${rule.region}"`);
+        }
+        if (!this.metrics.includes(metric)) {
+            errors.push('metric must be "sustained" or "gust"');
+        }
+        if (!windShearService.speedFields[height]) {
+            errors.push("height must be one of: 10m, 100m, hub");
+        }
+        if (rule.threshold <= 0) {
+            errors.push("threshold must be a positive speed in km/h");
+        }
+        if (leadTimeHours < 1 || leadTimeHours > this.maxLeadTimeHours) {
+            errors.push(
+                `leadTimeHours must be between 1 and ${this.maxLeadTimeHours}`
+            );
+        }
+        if (minDurationHours < 1 || minDurationHours > leadTimeHours) {
+            errors.push("minDurationHours must be between 1 and leadTimeHours");
+        }
+        if (channels) {
+            const unknown = channels.filter(
+                (channel) => !this.channels.has(channel)
+            );
+            if (channels.length === 0 || unknown.length > 0) {
+                errors.push(
+                    `channels must be a list of configured channels: ${this.getChannelNames().join(
+                        ", "
+                    )}`
+                );
+            }
+        }
+
+        return errors;
+    }
+
+    withoutNulls(rule) {
+        return Object.fromEntries(
+            Object.entries(rule).filter(([, value]) => value !== null)
+        );
+    }
+
+    serializeRule(rule) {
+        const stored = {
+            ...this.defaults,
+            ...this.withoutNulls(rule),
+            name: rule.name.trim(),
+        };
+        // Farm names are stored as the registry spells them
+        if (stored.windFarm) {
+            stored.windFarm = farmRegistryService.getWindFarm(
+                stored.windFarm
+            ).name;
+        }
+        return JSON.stringify(stored);
+    }
+
+    createRule(rule) {
+        const errors = this.validateRule(rule);
+        if (errors.length > 0) {
+            throw this.createError(400, "Invalid alert rule", errors);
+        }
+
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        this.getDb()
+            .prepare(
+                "INSERT INTO alert_rules (id, rule, created_at, updated_at) VALUES (?, ?, ?, ?)"
+            )
+            .run(id, this.serializeRule(rule), now, now);
+
+        return this.getRule(id);
+    }
+
+    // Fields set to null go back to their defaults (or are cleared)
+    updateRule(id, changes) {
+        const existing = this.getRule(id);
+        if (!existing) return null;
+
+        const { id: ruleId, createdAt, updatedAt, ...rule } = existing;
+        const updated = this.withoutNulls({ ...rule, ...changes });
+        const errors = this.validateRule(updated);
+        if (errors.length > 0) {
+            throw this.createError(400, "Invalid alert rule", errors);
+        }
+
+        this.getDb()
+            .prepare(
+                "UPDATE alert_rules SET rule = ?, updated_at = ? WHERE id = ?"
+            )
+            .run(this.serializeRule(updated), new Date().toISOString(), ruleId);
+
+        return this.getRule(ruleId);
+    }
+
+    deleteRule(id) {
+        const rule = this.getRule(id);
+        if (!rule) return null;
+
+        // Alerts stay in the history after their rule is gone
+        this.getDb()
+            .prepare("DELETE FROM alert_rules WHERE id = ?")
+            .run(rule.id);
+        return rule;
+    }
+
+    listRules() {
+        return this.getDb()
+            .prepare("SELECT * FROM alert_rules ORDER BY created_at")
+            .all()
+            .map((row) => this.describeRule(row));
+    }
+
+    getRule(id) {
+        const row = this.getDb()
+            .prepare("SELECT * FROM alert_rules WHERE id = ?")
+            .get(String(id));
+        return row ? this.describeRule(row) : null;
+    }
+
+    describeRule(row) {
+        return {
+            id: row.id,
+            ...JSON.parse(row.rule),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+        };
+    }
+
+    getFarms({ windFarm, region }) {
+        const farms = farmRegistryService.getWindFarms();
+        if (windFarm) {
+            return farms.filter(
+                (farm) => farm.name.toLowerCase() === windFarm.toLowerCase()
+            );
+        }
+        if (region) {
+            return farms.filter(
+                (farm) =>
+                    farm.region &&
+                    farm.region.toLowerCase() === region.toLowerCase()
+            );
+        }
+        return farms;
+    }
+
+    getSpeedField(rule) {
+        // Gusts are only forecast at 10m, as in the strong wind analysis
+        return rule.metric === "gust"
+            ? "windGustsKmh"
+            : windShearService.getSpeedField(rule.height);
+    }
+
+    // Checks every active rule against the latest forecast. New events are
+    // sent to the rule's channels; an event already alerted is only updated,
+    // and one no longer in the forecast is marked ended.
+    async evaluate() {
+        const rules = this.listRules().filter((rule) => !rule.paused);
+        const forecasts = new Map();
+        const summary = {
+            rules: rules.length,
+            new: 0,
+            ongoing: 0,
+            ended: 0,
+            farmsWithoutForecast: [],
+        };
+
+        for (const rule of rules) {
+            for (const farm of this.getFarms(rule)) {
+                if (!forecasts.has(farm.name)) {
+                    forecasts.set(farm.name, await this.getForecast(farm));
+                }
+                // A failed fetch mustn't end alerts that are still in force
+                if (forecasts.get(farm.name).length === 0) {
+                    if (!summary.farmsWithoutForecast.includes(farm.name)) {
+                        summary.farmsWithoutForecast.push(farm.name);
+                    }
+                    continue;
+                }
+
+                const events = this.findEvents(
+                    forecasts.get(farm.name),
+                    rule,
+                    farm
+                );
+                const result = await this.reconcile(rule, farm, events);
+                summary.new += result.new;
+                summary.ongoing += result.ongoing;
+                summary.ended += result.ended;
+            }
+        }
+
+        return summary;
+    }
+
+    async getForecast(farm) {
+        const { current, forecast } =
+            await windDataService.getCurrentForecastData(farm.lat, farm.lon);
+        // The forecast starts at local midnight, so drop the hours already past
+        const from = Date.now() - 60 * 60 * 1000;
+        const readings = [current, ...forecast].filter(
+            (reading) =>
+                reading.windSpeed100mKmh !== undefined &&
+                new Date(reading.timestamp).getTime() >= from
+        );
+
+        return windShearService.addHubHeightSpeeds(
+            readings,
+            farm.hubHeight || 100
+        );
+    }
+
+    // Runs of consecutive forecast hours at or above the threshold
+    findEvents(readings, rule, farm) {
+        const speedField = this.getSpeedField(rule);
+        const until = Date.now() + rule.leadTimeHours * 60 * 60 * 1000;
+        const events = [];
+        let current = null;
+
+        const close = () => {
+            if (current && current.durationHours >= rule.minDurationHours) {
+                events.push(current);
+            }
+            current = null;
+        };
+
+        readings
+            .filter((reading) => new Date(reading.timestamp).getTime() <= until)
+            .forEach((reading) => {
+                const speed = reading[speedField];
+                // Missing hours end an event rather than extend it
+                if (!(speed >= rule.threshold)) {
+                    close();
+                    return;
+                }
+
+                if (!current) {
+                    current = {
+                        windFarm: farm.name,
+                        startTime: reading.timestamp,
+                        durationHours: 0,
+                        peakSpeed: speed,
+                        peakTime: reading.timestamp,
+                    };
+                }
+                current.endTime = reading.timestamp;
+                current.durationHours++;
+                if (speed > current.peakSpeed) {
+                    current.peakSpeed = speed;
+                    current.peakTime = reading.timestamp;
+                }
+            });
+        close();
+
+        return events;
+    }
+
+    async reconcile(rule, farm, events) {
+        const result = { new: 0, ongoing: 0, ended: 0 };
+        const active = this.getDb()
+            .prepare(
+                "SELECT * FROM alerts WHERE rule_id = ? AND wind_farm = ? AND status = 'active'"
+            )
+            .all(rule.id, farm.name)
+            .map((row) => this.describeAlert(row));
+        const matched = new Set();
+
+        for (const event of events) {
+            // Forecast runs shift an event's times, so any overlap with an
+            // alert already sent counts as the same event
+            const existing = active.find(
+                (alert) =>
+                    !matched.has(alert.id) &&
+                    event.startTime <= alert.endTime &&
+                    event.endTime >= alert.startTime
+            );
+
+            if (existing) {
+                matched.add(existing.id);
+                this.updateAlert(existing.id, event);
+                result.ongoing++;
+            } else {
+                await this.raiseAlert(rule, farm, event);
+                result.new++;
+            }
+        }
+
+        active
+            .filter((alert) => !matched.has(alert.id))
+            .forEach((alert) => {
+                const now = new Date().toISOString();
+                this.getDb()
+                    .prepare(
+                        "UPDATE alerts SET status = 'ended', ended_at = ?, updated_at = ? WHERE id = ?"
+                    )
+                    .run(now, now, alert.id);
+                result.ended++;
+            });
+
+        return result;
+    }
+
+    updateAlert(id, event) {
+        const alert = this.getAlert(id);
+        this.getDb()
+            .prepare(
+                "UPDATE alerts SET start_time = ?, end_time = ?, details = ?, updated_at = ? WHERE id = ?"
+            )
+            .run(
+                event.startTime,
+                event.endTime,
+                JSON.stringify({
+                    ...alert.details,
+                    durationHours: event.durationHours,
+                    peakSpeed: event.peakSpeed,
+                    peakTime: event.peakTime,
+                }),
+                new Date().toISOString(),
+                id
+            );
+    }
+
+    async raiseAlert(rule, farm, event) {
+        const now = new Date().toISOString();
+        const alert = {
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            windFarm: farm.name,
+            status: "active",
+            startTime: event.startTime,
+            endTime: event.endTime,
+            details: {
+                ruleName: rule.name,
+                region: farm.region || null,
+                speedField: this.getSpeedField(rule),
+                threshold: rule.threshold,
+                durationHours: event.durationHours,
+                peakSpeed: event.peakSpeed,
+                peakTime: event.peakTime,
+            },
+            createdAt: now,
+        };
+        alert.notifications = await this.notify(rule, alert);
+
+        this.getDb()
+            .prepare(
+                `INSERT INTO alerts (id, rule_id, wind_farm, status, start_time,
+                    end_time, details, notifications, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            )
+            .run(
+                alert.id,
+                alert.ruleId,
+                alert.windFarm,
+                alert.status,
+                alert.startTime,
+                alert.endTime,
+                JSON.stringify(alert.details),
+                JSON.stringify(alert.notifications),
+                now,
+                now
+            );
+
+        return alert;
+    }
+
+    // A failing channel is recorded against the alert and doesn't stop the others
+    async notify(rule, alert) {
+        const notification = { ...this.formatMessage(alert), alert };
+        const names = rule.channels || this.getChannelNames();
+
+        return Promise.all(
+            names
+                .filter((name) => this.channels.has(name))
+                .map(async (name) => {
+                    try {
+                        await this.channels.get(name).send(notification);
+                        return { channel: name, status: "sent", error: null };
+                    } catch (error) {
+                        console.error(`Error sending alert to ${name}:`, error);
+                        return {
+                            channel: name,
+                            status: "failed",
+                            error: error.message,
+                        };
+                    }
+                })
+        );
+    }
+
+    formatMessage(alert) {
+        const { details } = alert;
+        const time = (timestamp) =>
+            timeZoneService.toZone(timestamp).format("ddd D MMM HH:mm");
+        const speed = (value) => `${Math.round(value)} km/h`;
+
+        return {
+            subject: `${alert.windFarm}: ${speed(
+                details.peakSpeed
+            )} forecast from ${time(alert.startTime)}`,
+            text: [
+                `${details.ruleName}`,
+                `${alert.windFarm}${
+                    details.region ? ` (${details.region})` : ""
+                } is forecast at or above ${speed(details.threshold)} (${
+                    details.speedField
+                }) for ${details.durationHours} hours.`,
+                `From ${time(alert.startTime)} to ${time(
+                    alert.endTime
+                )} NZ time, peaking at ${speed(details.peakSpeed)} at ${time(
+                    details.peakTime
+                )}.`,
+            ].join("\n"),
+        };
+    }
+
+    listAlerts({ status, ruleId, windFarm, limit = this.defaultLimit } = {}) {
+        return this.getDb()
+            .prepare(
+                `SELECT * FROM alerts
+                WHERE (@status IS NULL OR status = @status)
+                    AND (@ruleId IS NULL OR rule_id = @ruleId)
+                    AND (@windFarm IS NULL OR wind_farm = @windFarm COLLATE NOCASE)
+                ORDER BY created_at DESC
+                LIMIT @limit`
+            )
+            .all({
+                status: status || null,
+                ruleId: ruleId || null,
+                windFarm: windFarm || null,
+                limit: Math.min(limit, this.maxLimit),
+            })
+            .map((row) => this.describeAlert(row));
+    }
+
+    getAlert(id) {
+        const row = this.getDb()
+            .prepare("SELECT * FROM alerts WHERE id = ?")
+            .get(String(id));
+        return row ? this.describeAlert(row) : null;
+    }
+
+    describeAlert(row) {
+        return {
+            id: row.id,
+            ruleId: row.rule_id,
+            windFarm: row.wind_farm,
+            status: row.status,
+            startTime: row.start_time,
+            endTime: row.end_time,
+            details: JSON.parse(row.details),
+            notifications: JSON.parse(row.notifications),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            endedAt: row.ended_at,
+        };
+    }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,402 @@
+const moment = require("moment");
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const timeZoneService = require("./time-zone-service");
+const energyEstimationService = require("./energy-estimation-service");
+const windStatisticsService = require("./wind-statistics-service");
+
+class ClimatologyService {
+    constructor() {
+        this.defaultYears = 10;
+        // Baselines hold every hour of every year for each farm
+        this.maxYears = 30;
+        this.strongWindThreshold = 60; // km/h at 100m height
+        this.speedField = "windSpeed100mKmh";
+        this.monthNames = moment.months();
+        // Southern hemisphere seasons
+        this.seasons = [
+            { name: "Summer", months: [12, 1, 2] },
+            { name: "Autumn", months: [3, 4, 5] },
+            { name: "Winter", months: [6, 7, 8] },
+            { name: "Spring", months: [9, 10, 11] },
+        ];
+        // Baselines take a full archive fetch per farm, so keep them in memory
+        this.baselines = new Map();
+    }
+
+    getBaselineRange(years) {
+        const endDate = moment()
+            .subtract(1, "year")
+            .endOf("year")
+            .format("YYYY-MM-DD");
+        const startDate = moment(endDate)
+            .subtract(years - 1, "years")
+            .startOf("year")
+            .format("YYYY-MM-DD");
+
+        return { start: startDate, end: endDate };
+    }
+
+    async loadFarms(farmName = null) {
+        const windFarms = await energyEstimationService.loadWindFarms();
+        if (!farmName) return windFarms;
+
+        return windFarms.filter(
+            (f) => f.name.toLowerCase() === farmName.toLowerCase()
+        );
+    }
+
+    async getBaseline(farm, years = this.defaultYears) {
+        const range = this.getBaselineRange(years);
+        // Coordinates are part of the key so a farm moved in the registry is refetched
+        const key = `${farm.name}|${farm.lat}|${farm.lon}|${range.start}|${range.end}`;
+        if (this.baselines.has(key)) {
+            return this.baselines.get(key);
+        }
+
+        const rawData = await windDataService.getHistoricalData(
+            farm.lat,
+            farm.lon,
+            range.start,
+            range.end
+        );
+        const { readings, quality } =
+            dataQualityService.prepareReadings(rawData);
+
+        // Only the summaries are kept, not the hourly readings
+        const baseline = {
+            range,
+            dailyTotals: this.buildDailyTotals(readings),
+            climatology: this.buildFarmClimatology(
+                readings,
+                range,
+                dataQualityService.summarizeCoverage(quality)
+            ),
+        };
+        this.baselines.set(key, baseline);
+
+        return baseline;
+    }
+
+    buildDailyTotals(data) {
+        // Per-day sums let any date window be averaged for every baseline year
+        const dailyTotals = new Map();
+
+        data.forEach((reading) => {
+            const speed = reading[this.speedField];
+            if (speed === null) return;
+
+            const day = timeZoneService.localDate(reading.timestamp);
+            if (!dailyTotals.has(day)) {
+                dailyTotals.set(day, {
+                    speedTotal: 0,
+                    hours: 0,
+                    strongHours: 0,
+                });
+            }
+            const totals = dailyTotals.get(day);
+            totals.speedTotal += speed;
+            totals.hours++;
+            if (speed >= this.strongWindThreshold) totals.strongHours++;
+        });
+
+        return dailyTotals;
+    }
+
+    describeReadings(data) {
+        const speeds = dataQualityService.getValues(data, this.speedField);
+        const gusts = dataQualityService.getValues(data, "windGustsKmh");
+
+        return {
+            hours: speeds.length,
+            meanSpeed: dataQualityService.average(speeds),
+            p10: windStatisticsService.percentile(speeds, 10),
+            p50: windStatisticsService.percentile(speeds, 50),
+            p90: windStatisticsService.percentile(speeds, 90),
+            strongWindFrequency:
+                speeds.length > 0
+                    ? (speeds.filter((s) => s >= this.strongWindThreshold)
+                          .length /
+                          speeds.length) *
+                      100
+                    : null,
+            meanGust: dataQualityService.average(gusts),
+        };
+    }
+
+    describeYearlyMeans(data) {
+        const byYear = {};
+        data.forEach((reading) => {
+            const year = timeZoneService
+                .localDate(reading.timestamp)
+                .substring(0, 4);
+            if (!byYear[year]) byYear[year] = [];
+            byYear[year].push(reading);
+        });
+
+        return Object.entries(byYear).map(([year, readings]) => ({
+            year: parseInt(year),
+            meanSpeed: dataQualityService.average(
+                dataQualityService.getValues(readings, this.speedField)
+            ),
+        }));
+    }
+
+    buildFarmClimatology(readings, range, dataCoverage) {
+        const byMonth = {};
+        for (let month = 1; month <= 12; month++) {
+            byMonth[month] = [];
+        }
+        readings.forEach((reading) => {
+            byMonth[timeZoneService.localMonth(reading.timestamp)].push(
+                reading
+            );
+        });
+
+        const monthly = Object.entries(byMonth).map(([month, readings]) => ({
+            month: parseInt(month),
+            name: this.monthNames[month - 1],
+            ...this.describeReadings(readings),
+            yearlyMeans: this.describeYearlyMeans(readings),
+        }));
+
+        const seasonal = this.seasons.map((season) => {
+            const readings = season.months.flatMap((month) => byMonth[month]);
+            return {
+                season: season.name,
+                months: season.months,
+                ...this.describeReadings(readings),
+            };
+        });
+
+        return {
+            baselineRange: range,
+            speedField: this.speedField,
+            strongWindThreshold: this.strongWindThreshold,
+            dataCoverage,
+            annual: this.describeReadings(readings),
+            monthly,
+            seasonal,
+        };
+    }
+
+    async getClimatology(years = this.defaultYears, farmName = null) {
+        try {
+            const windFarms = await this.loadFarms(farmName);
+            if (farmName && windFarms.length === 0) return null;
+
+            console.log(
+                `Building ${years}-year climatology for ${windFarms.length} wind farms...`
+            );
+
+            const farmResults = [];
+
+            for (const farm of windFarms) {
+                try {
+                    console.log(`Analyzing ${farm.name}...`);
+
+                    const baseline = await this.getBaseline(farm, years);
+                    farmResults.push({
+                        farm: farm,
+                        ...baseline.climatology,
+                    });
+                } catch (error) {
+                    console.error(`Error analyzing ${farm.name}:`, error);
+                    farmResults.push({
+                        farm: farm,
+                        error: error.message,
+                    });
+                }
+            }
+
+            return {
+                baselineRange: this.getBaselineRange(years),
+                years,
+                unit: "km/h",
+                farmResults,
+            };
+        } catch (error) {
+            console.error("Error building climatology:", error);
+            throw error;
+        }
+    }
+
+    // Drops the stored baselines and rebuilds them from the archive, picking up
+    // revised archive data and farms added to the registry
+    async refreshBaselines(years = this.defaultYears) {
+        this.baselines.clear();
+        return this.getClimatology(years);
+    }
+
+    windowTotals(dailyTotals, startDate, endDate) {
+        const totals = { speedTotal: 0, hours: 0, strongHours: 0 };
+        const end = moment(endDate);
+
+        for (
+            let day = moment(startDate);
+            !day.isAfter(end);
+            day.add(1, "day")
+        ) {
+            const daily = dailyTotals.get(day.format("YYYY-MM-DD"));
+            if (!daily) continue;
+            totals.speedTotal += daily.speedTotal;
+            totals.hours += daily.hours;
+            totals.strongHours += daily.strongHours;
+        }
+
+        return totals;
+    }
+
+    percentileRank(values, value) {
+        if (values.length === 0) return null;
+
+        const below = values.filter((v) => v < value).length;
+        const equal = values.filter((v) => v === value).length;
+        return ((below + equal / 2) / values.length) * 100;
+    }
+
+    compareToBaseline(baseline, startDate, endDate, observed) {
+        // The same calendar window in every baseline year
+        const firstYear = parseInt(baseline.range.start.substring(0, 4));
+        const lastYear = parseInt(baseline.range.end.substring(0, 4));
+        const startYear = moment(startDate).year();
+        const baselineWindows = [];
+
+        for (let year = firstYear; year <= lastYear; year++) {
+            const offset = year - startYear;
+            const totals = this.windowTotals(
+                baseline.dailyTotals,
+                moment(startDate).add(offset, "years"),
+                moment(endDate).add(offset, "years")
+            );
+            if (totals.hours === 0) continue;
+
+            baselineWindows.push({
+                year,
+                meanSpeed: totals.speedTotal / totals.hours,
+                strongWindFrequency: (totals.strongHours / totals.hours) * 100,
+            });
+        }
+
+        const baselineMeans = baselineWindows.map((w) => w.meanSpeed);
+        const expectedMean = dataQualityService.average(baselineMeans);
+        const expectedStrongFrequency = dataQualityService.average(
+            baselineWindows.map((w) => w.strongWindFrequency)
+        );
+
+        if (observed.meanSpeed === null || expectedMean === null) {
+            return {
+                baselineYears: baselineWindows.length,
+                expectedMeanSpeed: expectedMean,
+                anomaly: null,
+                anomalyPercent: null,
+                percentileRank: null,
+            };
+        }
+
+        return {
+            baselineYears: baselineWindows.length,
+            expectedMeanSpeed: expectedMean,
+            anomaly: observed.meanSpeed - expectedMean,
+            anomalyPercent:
+                expectedMean > 0
+                    ? ((observed.meanSpeed - expectedMean) / expectedMean) * 100
+                    : null,
+            percentileRank: this.percentileRank(
+                baselineMeans,
+                observed.meanSpeed
+            ),
+            expectedStrongWindFrequency: expectedStrongFrequency,
+            strongWindFrequencyAnomaly:
+                expectedStrongFrequency !== null &&
+                observed.strongWindFrequency !== null
+                    ? observed.strongWindFrequency - expectedStrongFrequency
+                    : null,
+            baselineWindows,
+        };
+    }
+
+    async analyzeAnomaly(
+        startDate,
+        endDate,
+        years = this.defaultYears,
+        farmName = null
+    ) {
+        try {
+            const windFarms = await this.loadFarms(farmName);
+            if (farmName && windFarms.length === 0) return null;
+
+            console.log(
+                `Comparing ${startDate} to ${endDate} against ${years}-year climatology for ${windFarms.length} wind farms...`
+            );
+
+            const farmResults = [];
+
+            for (const farm of windFarms) {
+                try {
+                    console.log(`Analyzing ${farm.name}...`);
+
+                    const baseline = await this.getBaseline(farm, years);
+                    const rawData = await windDataService.getHistoricalData(
+                        farm.lat,
+                        farm.lon,
+                        startDate,
+                        endDate
+                    );
+                    const { readings, quality } =
+                        dataQualityService.prepareReadings(rawData);
+                    const observed = this.describeReadings(readings);
+
+                    farmResults.push({
+                        farm: farm,
+                        dataCoverage:
+                            dataQualityService.summarizeCoverage(quality),
+                        observed,
+                        ...this.compareToBaseline(
+                            baseline,
+                            startDate,
+                            endDate,
+                            observed
+                        ),
+                    });
+                } catch (error) {
+                    console.error(`Error analyzing ${farm.name}:`, error);
+                    farmResults.push({
+                        farm: farm,
+                        error: error.message,
+                    });
+                }
+            }
+
+            const validResults = farmResults.filter(
+                (r) => !r.error && r.anomaly !== null
+            );
+
+            return {
+                dateRange: { start: startDate, end: endDate },
+                baselineRange: this.getBaselineRange(years),
+                speedField: this.speedField,
+                unit: "km/h",
+                summary: {
+                    farmsCompared: validResults.length,
+                    farmsAboveNormal: validResults.filter((r) => r.anomaly > 0)
+                        .length,
+                    averageAnomaly: dataQualityService.average(
+                        validResults.map((r) => r.anomaly)
+                    ),
+                    averageAnomalyPercent: dataQualityService.average(
+                        validResults
+                            .map((r) => r.anomalyPercent)
+                            .filter((v) => v !== null)
+                    ),
+                },
+                farmResults,
+            };
+        } catch (error) {
+            console.error("Error analyzing wind anomaly:", error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ClimatologyService();
@@ -0,0 +1,320 @@
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const energyEstimationService = require("./energy-estimation-service");
+
+class CorrelationAnalysisService {
+    constructor() {
+        this.minimumPairedHours = 24;
+        this.distanceBinsKm = [100, 250, 500, 1000];
+        this.earthRadiusKm = 6371;
+    }
+
+    async analyzeCorrelations(startDate, endDate) {
+        try {
+            const windFarms = await energyEstimationService.loadWindFarms();
+
+            console.log(
+                `Correlating wind farms from ${startDate} to ${endDate} across ${windFarms.length} wind farms...`
+            );
+
+            const farmSeries = [];
+            const dataCoverage = [];
+
+            for (const farm of windFarms) {
+                try {
+                    console.log(`Analyzing ${farm.name}...`);
+
+                    const rawData = await windDataService.getHistoricalData(
+                        farm.lat,
+                        farm.lon,
+                        startDate,
+                        endDate
+                    );
+                    const { readings, quality } =
+                        dataQualityService.prepareReadings(rawData);
+                    const { hourlyOutput } =
+                        energyEstimationService.estimateEnergy(
+                            readings,
+                            farm,
+                            true
+                        );
+
+                    const speeds = new Map();
+                    readings.forEach((reading) => {
+                        if (reading.windSpeed100mKmh !== null) {
+                            speeds.set(
+                                reading.timestamp,
+                                reading.windSpeed100mKmh
+                            );
+                        }
+                    });
+
+                    farmSeries.push({
+                        farm,
+                        speeds,
+                        power: new Map(
+                            hourlyOutput.map((h) => [h.timestamp, h.outputMW])
+                        ),
+                    });
+                    dataCoverage.push({
+                        windFarm: farm.name,
+                        ...dataQualityService.summarizeCoverage(quality),
+                    });
+                } catch (error) {
+                    console.error(`Error analyzing ${farm.name}:`, error);
+                }
+            }
+
+            const pairs = this.calculatePairs(farmSeries);
+
+            return {
+                dateRange: { start: startDate, end: endDate },
+                farms: farmSeries.map(({ farm }) => farm.name),
+                matrices: this.buildMatrices(farmSeries, pairs),
+                pairs: pairs,
+                correlationByDistance: this.summarizeByDistance(pairs),
+                portfolio: this.calculatePortfolioMetrics(farmSeries, pairs),
+                dataCoverage: dataCoverage,
+            };
+        } catch (error) {
+            console.error("Error analyzing farm correlations:", error);
+            throw error;
+        }
+    }
+
+    calculatePairs(farmSeries) {
+        const pairs = [];
+
+        for (let i = 0; i < farmSeries.length; i++) {
+            for (let j = i + 1; j < farmSeries.length; j++) {
+                const a = farmSeries[i];
+                const b = farmSeries[j];
+                const speed = this.pairValues(a.speeds, b.speeds);
+                const power = this.pairValues(a.power, b.power);
+
+                pairs.push({
+                    farmA: a.farm.name,
+                    farmB: b.farm.name,
+                    distanceKm: this.haversineKm(a.farm, b.farm),
+                    pairedHours: speed.x.length,
+                    speed: this.correlate(speed.x, speed.y),
+                    power: this.correlate(power.x, power.y),
+                });
+            }
+        }
+
+        return pairs.sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+
+    pairValues(seriesA, seriesB) {
+        // Only hours where both farms have a value are compared
+        const x = [];
+        const y = [];
+        seriesA.forEach((value, timestamp) => {
+            if (seriesB.has(timestamp)) {
+                x.push(value);
+                y.push(seriesB.get(timestamp));
+            }
+        });
+        return { x, y };
+    }
+
+    correlate(x, y) {
+        if (x.length < this.minimumPairedHours) {
+            return { pearson: null, spearman: null };
+        }
+
+        return {
+            pearson: this.pearson(x, y),
+            spearman: this.pearson(this.rank(x), this.rank(y)),
+        };
+    }
+
+    pearson(x, y) {
+        const n = x.length;
+        const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+        const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+
+        for (let i = 0; i < n; i++) {
+            covariance += (x[i] - meanX) * (y[i] - meanY);
+            varianceX += Math.pow(x[i] - meanX, 2);
+            varianceY += Math.pow(y[i] - meanY, 2);
+        }
+
+        // A constant series (e.g. a farm shut down all period) has no correlation
+        if (varianceX === 0 || varianceY === 0) return null;
+
+        return covariance / Math.sqrt(varianceX * varianceY);
+    }
+
+    rank(values) {
+        const order = values
+            .map((value, index) => ({ value, index }))
+            .sort((a, b) => a.value - b.value);
+        const ranks = new Array(values.length);
+
+        // Tied values share the average of their ranks
+        let i = 0;
+        while (i < order.length) {
+            let j = i;
+            while (
+                j + 1 < order.length &&
+                order[j + 1].value === order[i].value
+            ) {
+                j++;
+            }
+            const averageRank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) {
+                ranks[order[k].index] = averageRank;
+            }
+            i = j + 1;
+        }
+
+        return ranks;
+    }
+
+    buildMatrices(farmSeries, pairs) {
+        const matrices = {};
+        ["speed", "power"].forEach((series) => {
+            matrices[series] = {
+                pearson: this.buildMatrix(farmSeries, pairs, series, "pearson"),
+                spearman: this.buildMatrix(
+                    farmSeries,
+                    pairs,
+                    series,
+                    "spearman"
+                ),
+            };
+        });
+        return matrices;
+    }
+
+    buildMatrix(farmSeries, pairs, series, method) {
+        const names = farmSeries.map(({ farm }) => farm.name);
+        const lookup = {};
+        pairs.forEach((pair) => {
+            lookup[`${pair.farmA}|${pair.farmB}`] = pair[series][method];
+            lookup[`${pair.farmB}|${pair.farmA}`] = pair[series][method];
+        });
+
+        return names.map((rowName) =>
+            names.map((columnName) => {
+                if (rowName === columnName) return 1;
+                const value = lookup[`${rowName}|${columnName}`];
+                return value === undefined ? null : value;
+            })
+        );
+    }
+
+    haversineKm(a, b) {
+        const toRadians = (degrees) => (degrees * Math.PI) / 180;
+        const dLat = toRadians(b.lat - a.lat);
+        const dLon = toRadians(b.lon - a.lon);
+        const h =
+            Math.pow(Math.sin(dLat / 2), 2) +
+            Math.cos(toRadians(a.lat)) *
+                Math.cos(toRadians(b.lat)) *
+                Math.pow(Math.sin(dLon / 2), 2);
+
+        return 2 * this.earthRadiusKm * Math.asin(Math.sqrt(h));
+    }
+
+    summarizeByDistance(pairs) {
+        const bounds = [0, ...this.distanceBinsKm, Infinity];
+        const bins = [];
+
+        for (let i = 0; i < bounds.length - 1; i++) {
+            const inBin = pairs.filter(
+                (p) => p.distanceKm >= bounds[i] && p.distanceKm < bounds[i + 1]
+            );
+            const speedValues = inBin
+                .map((p) => p.speed.pearson)
+                .filter((v) => v !== null);
+            const powerValues = inBin
+                .map((p) => p.power.pearson)
+                .filter((v) => v !== null);
+
+            bins.push({
+                label:
+                    bounds[i + 1] === Infinity
+                        ? `${bounds[i]}+ km`
+                        : `${bounds[i]}-${bounds[i + 1]} km`,
+                fromKm: bounds[i],
+                toKm: bounds[i + 1] === Infinity ? null : bounds[i + 1],
+                pairCount: inBin.length,
+                averageSpeedCorrelation:
+                    dataQualityService.average(speedValues),
+                averagePowerCorrelation:
+                    dataQualityService.average(powerValues),
+            });
+        }
+
+        return bins;
+    }
+
+    calculatePortfolioMetrics(farmSeries, pairs) {
+        // Use only hours where every farm has an output estimate
+        const timestamps = [];
+        if (farmSeries.length > 0) {
+            farmSeries[0].power.forEach((value, timestamp) => {
+                if (farmSeries.every(({ power }) => power.has(timestamp))) {
+                    timestamps.push(timestamp);
+                }
+            });
+        }
+
+        if (timestamps.length < this.minimumPairedHours) {
+            return {
+                hoursUsed: timestamps.length,
+                error: "Not enough hours with output from every farm",
+            };
+        }
+
+        const standardDeviation = (values) => {
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            return Math.sqrt(
+                values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) /
+                    values.length
+            );
+        };
+
+        const farmStdDevs = farmSeries.map(({ power }) =>
+            standardDeviation(timestamps.map((t) => power.get(t)))
+        );
+        const fleetOutput = timestamps.map((t) =>
+            farmSeries.reduce((sum, { power }) => sum + power.get(t), 0)
+        );
+        const fleetStdDev = standardDeviation(fleetOutput);
+        const sumOfStdDevs = farmStdDevs.reduce((sum, v) => sum + v, 0);
+        const capacity = farmSeries.reduce(
+            (sum, { farm }) => sum + (farm.capacity || 0),
+            0
+        );
+        const powerCorrelations = pairs
+            .map((p) => p.power.pearson)
+            .filter((v) => v !== null);
+
+        return {
+            hoursUsed: timestamps.length,
+            capacity,
+            meanOutputMW:
+                fleetOutput.reduce((sum, v) => sum + v, 0) / fleetOutput.length,
+            outputStdDevMW: fleetStdDev,
+            outputVariance: fleetStdDev * fleetStdDev,
+            // If every farm moved together the fleet deviation would equal this sum
+            sumOfFarmStdDevMW: sumOfStdDevs,
+            diversificationRatio:
+                fleetStdDev > 0 ? sumOfStdDevs / fleetStdDev : null,
+            // 0 = no benefit from spreading farms out, towards 1 = fully offsetting
+            diversificationScore:
+                sumOfStdDevs > 0 ? 1 - fleetStdDev / sumOfStdDevs : null,
+            averagePowerCorrelation:
+                dataQualityService.average(powerCorrelations),
+        };
+    }
+}
+
+module.exports = new CorrelationAnalysisService();
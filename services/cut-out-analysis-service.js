@@ -0,0 +1,184 @@
+const moment = require("moment");
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const energyEstimationService = require("./energy-estimation-service");
+const timeZoneService = require("./time-zone-service");
+
+class CutOutAnalysisService {
+    async analyzeCutOutEvents(startDate, endDate) {
+        try {
+            const windFarms = await energyEstimationService.loadWindFarms();
+
+            console.log(
+                `Analyzing turbine cut-out events from ${startDate} to ${endDate} across ${windFarms.length} wind farms...`
+            );
+
+            const farmResults = [];
+            const nzCutOutEvents = [];
+
+            for (const farm of windFarms) {
+                try {
+                    console.log(`Analyzing ${farm.name}...`);
+
+                    const rawData = await windDataService.getHistoricalData(
+                        farm.lat,
+                        farm.lon,
+                        startDate,
+                        endDate
+                    );
+                    const { readings, quality } =
+                        dataQualityService.prepareReadings(rawData);
+
+                    const farmAnalysis = this.analyzeFarm(readings, farm);
+                    farmAnalysis.dataCoverage =
+                        dataQualityService.summarizeCoverage(quality);
+                    farmResults.push(farmAnalysis);
+
+                    farmAnalysis.events.forEach((event) => {
+                        nzCutOutEvents.push({
+                            windFarm: farm.name,
+                            ...event,
+                        });
+                    });
+                } catch (error) {
+                    console.error(`Error analyzing ${farm.name}:`, error);
+                    farmResults.push({
+                        farm: farm,
+                        error: error.message,
+                    });
+                }
+            }
+
+            nzCutOutEvents.sort((a, b) =>
+                moment(a.startTime).diff(moment(b.startTime))
+            );
+
+            const validResults = farmResults.filter((result) => !result.error);
+
+            return {
+                summary: {
+                    dateRange: { start: startDate, end: endDate },
+                    totalWindFarms: windFarms.length,
+                    farmsWithCutOuts: validResults.filter(
+                        (result) => result.totalEvents > 0
+                    ).length,
+                    totalCutOutEvents: nzCutOutEvents.length,
+                    totalShutdownHours: validResults.reduce(
+                        (sum, result) => sum + result.shutdownHours,
+                        0
+                    ),
+                    totalHysteresisHours: validResults.reduce(
+                        (sum, result) => sum + result.hysteresisHours,
+                        0
+                    ),
+                    totalLostMWh: validResults.reduce(
+                        (sum, result) => sum + result.lostMWh,
+                        0
+                    ),
+                },
+                farmResults: farmResults,
+                nzCutOutEvents: nzCutOutEvents,
+            };
+        } catch (error) {
+            console.error("Error analyzing cut-out events:", error);
+            throw error;
+        }
+    }
+
+    analyzeFarm(data, farm) {
+        const curve = energyEstimationService.getPowerCurve(farm);
+        const events = this.detectCutOutEvents(data, farm, curve);
+
+        return {
+            farm: farm,
+            cutOutSpeed: curve.cutOutSpeed,
+            restartSpeed: curve.restartSpeed,
+            events: events,
+            totalEvents: events.length,
+            shutdownHours: events.reduce((sum, e) => sum + e.shutdownHours, 0),
+            hysteresisHours: events.reduce(
+                (sum, e) => sum + e.hysteresisHours,
+                0
+            ),
+            lostMWh: events.reduce((sum, e) => sum + e.lostMWh, 0),
+            maxWindSpeed: events.length
+                ? Math.max(...events.map((e) => e.maxWindSpeed))
+                : null,
+        };
+    }
+
+    detectCutOutEvents(data, farm, curve) {
+        const events = [];
+        const capacity = farm.capacity || 0;
+        let currentEvent = null;
+
+        for (let i = 0; i < data.length; i++) {
+            const reading = data[i];
+            // Missing hours keep the turbine in whatever state it was in
+            if (reading.windSpeed100mKmh === null) continue;
+
+            const speedMs = reading.windSpeed100mKmh / 3.6;
+
+            if (!currentEvent && speedMs >= curve.cutOutSpeed) {
+                // Turbines cut out
+                currentEvent = {
+                    startTime: reading.timestamp,
+                    maxWindSpeed: reading.windSpeed100mKmh,
+                    shutdownHours: 0,
+                    hysteresisHours: 0,
+                    lostMWh: 0,
+                };
+            } else if (currentEvent && speedMs < curve.restartSpeed) {
+                // Wind has dropped below restart speed, turbines come back on
+                currentEvent.endTime = reading.timestamp;
+                currentEvent.durationHours = moment(currentEvent.endTime).diff(
+                    moment(currentEvent.startTime),
+                    "hours",
+                    true
+                );
+                events.push(currentEvent);
+                currentEvent = null;
+                continue;
+            }
+
+            if (currentEvent) {
+                currentEvent.shutdownHours++;
+                currentEvent.maxWindSpeed = Math.max(
+                    currentEvent.maxWindSpeed,
+                    reading.windSpeed100mKmh
+                );
+                // Below cut-out but still off because of the restart hysteresis
+                if (speedMs < curve.cutOutSpeed) {
+                    currentEvent.hysteresisHours++;
+                }
+                currentEvent.lostMWh +=
+                    energyEstimationService.getPotentialFraction(
+                        curve,
+                        speedMs
+                    ) * capacity;
+            }
+        }
+
+        // Handle case where turbines are still off at the end of the data
+        if (currentEvent) {
+            currentEvent.endTime = data[data.length - 1].timestamp;
+            currentEvent.durationHours = moment(currentEvent.endTime).diff(
+                moment(currentEvent.startTime),
+                "hours",
+                true
+            );
+            currentEvent.ongoing = true;
+            events.push(currentEvent);
+        }
+
+        return events;
+    }
+
+    async getCutOutSummary(days = 7) {
+        const { startDate, endDate } = timeZoneService.recentDays(days);
+
+        return await this.analyzeCutOutEvents(startDate, endDate);
+    }
+}
+
+module.exports = new CutOutAnalysisService();
@@ -0,0 +1,259 @@
+const moment = require("moment");
+
+class DataQualityService {
+    constructor() {
+        // "skip" ignores missing hours, "interpolate" fills short gaps linearly
+        this.policy = process.env.MISSING_DATA_POLICY || "skip";
+        this.maxInterpolationHours = parseInt(
+            process.env.MAX_INTERPOLATION_HOURS || "3"
+        );
+        this.seriesFields = [
+            "windSpeedKmh",
+            "windSpeed100mKmh",
+            "windGustsKmh",
+            "windDirection",
+            "windDirection100m",
+        ];
+        // Fields that mirror a series field and must stay in step with it
+        this.aliasFields = {
+            windSpeedKmh: "windSpeed",
+            windSpeed100mKmh: "windSpeed100m",
+            windGustsKmh: "windGusts",
+        };
+        this.directionFields = ["windDirection", "windDirection100m"];
+    }
+
+    toValue(value) {
+        return value === null ||
+            value === undefined ||
+            Number.isNaN(Number(value))
+            ? null
+            : Number(value);
+    }
+
+    getValues(data, field) {
+        return data
+            .map((reading) => reading[field])
+            .filter((value) => value !== null && value !== undefined);
+    }
+
+    average(values) {
+        return values.length > 0
+            ? values.reduce((sum, value) => sum + value, 0) / values.length
+            : null;
+    }
+
+    // Looped rather than spread, since a long series overflows the call stack
+    max(values) {
+        return values.length > 0
+            ? values.reduce((max, value) => (value > max ? value : max))
+            : null;
+    }
+
+    min(values) {
+        return values.length > 0
+            ? values.reduce((min, value) => (value < min ? value : min))
+            : null;
+    }
+
+    prepareReadings(data, policy = this.policy) {
+        const readings =
+            policy === "interpolate" ? this.interpolateGaps(data) : data;
+
+        return {
+            readings,
+            quality: this.assessReadings(readings, policy),
+        };
+    }
+
+    assessReadings(data, policy = this.policy) {
+        const series = {};
+        this.seriesFields.forEach((field) => {
+            series[field] = this.assessSeries(data, field);
+        });
+
+        return {
+            policy,
+            maxInterpolationHours: this.maxInterpolationHours,
+            totalReadings: data.length,
+            series,
+        };
+    }
+
+    assessSeries(data, field) {
+        const gaps = [];
+        let validReadings = 0;
+        let interpolatedReadings = 0;
+        let expectedReadings = data.length;
+        let currentGap = null;
+
+        const closeGap = (endTimestamp) => {
+            currentGap.end = endTimestamp;
+            currentGap.hours = moment(currentGap.end).diff(
+                moment(currentGap.start),
+                "hours"
+            );
+            gaps.push(currentGap);
+            currentGap = null;
+        };
+
+        data.forEach((reading, index) => {
+            // Hours missing from the series entirely also count as a gap
+            if (index > 0) {
+                const stepHours = moment(reading.timestamp).diff(
+                    moment(data[index - 1].timestamp),
+                    "hours"
+                );
+                if (stepHours > 1) {
+                    expectedReadings += stepHours - 1;
+                    if (!currentGap) {
+                        currentGap = {
+                            start: moment(data[index - 1].timestamp)
+                                .add(1, "hour")
+                                .toISOString(),
+                        };
+                    }
+                }
+            }
+
+            const value = reading[field];
+            if (value === null || value === undefined) {
+                if (!currentGap) {
+                    currentGap = { start: reading.timestamp };
+                }
+                return;
+            }
+
+            validReadings++;
+            if (reading.interpolated && reading.interpolated.includes(field)) {
+                interpolatedReadings++;
+            }
+            if (currentGap) {
+                closeGap(reading.timestamp);
+            }
+        });
+
+        if (currentGap && data.length > 0) {
+            closeGap(
+                moment(data[data.length - 1].timestamp)
+                    .add(1, "hour")
+                    .toISOString()
+            );
+        }
+
+        return {
+            expectedReadings,
+            validReadings,
+            missingReadings: expectedReadings - validReadings,
+            interpolatedReadings,
+            coveragePercent:
+                expectedReadings > 0
+                    ? (validReadings / expectedReadings) * 100
+                    : 0,
+            gaps,
+            longestGapHours:
+                gaps.length > 0 ? Math.max(...gaps.map((g) => g.hours)) : 0,
+        };
+    }
+
+    interpolateGaps(data) {
+        const readings = data.map((reading) => ({ ...reading }));
+
+        this.seriesFields.forEach((field) => {
+            let index = 0;
+
+            while (index < readings.length) {
+                if (readings[index][field] !== null) {
+                    index++;
+                    continue;
+                }
+
+                // Find the run of missing values and its valid neighbours
+                const gapStart = index;
+                while (
+                    index < readings.length &&
+                    readings[index][field] === null
+                ) {
+                    index++;
+                }
+                const before = readings[gapStart - 1];
+                const after = readings[index];
+                const gapLength = index - gapStart;
+
+                if (
+                    !before ||
+                    !after ||
+                    gapLength > this.maxInterpolationHours
+                ) {
+                    continue;
+                }
+
+                for (let i = 0; i < gapLength; i++) {
+                    const fraction = (i + 1) / (gapLength + 1);
+                    const reading = readings[gapStart + i];
+                    reading[field] = this.directionFields.includes(field)
+                        ? this.interpolateDirection(
+                              before[field],
+                              after[field],
+                              fraction
+                          )
+                        : before[field] +
+                          (after[field] - before[field]) * fraction;
+
+                    if (this.aliasFields[field]) {
+                        reading[this.aliasFields[field]] = reading[field];
+                    }
+                    reading.interpolated = [
+                        ...(reading.interpolated || []),
+                        field,
+                    ];
+                }
+            }
+        });
+
+        return readings;
+    }
+
+    interpolateDirection(from, to, fraction) {
+        // Interpolate along the shortest arc so 350° -> 10° passes through north
+        const delta = ((to - from + 540) % 360) - 180;
+        return (from + delta * fraction + 360) % 360;
+    }
+
+    summarizeCoverage(quality, field = "windSpeed100mKmh") {
+        const series = quality.series[field];
+
+        return {
+            field,
+            policy: quality.policy,
+            readingsUsed: series.validReadings,
+            expectedReadings: series.expectedReadings,
+            coveragePercent: series.coveragePercent,
+            longestGapHours: series.longestGapHours,
+        };
+    }
+
+    // Totals for a list of summarizeCoverage results, e.g. one per farm
+    combineCoverage(coverage) {
+        const readingsUsed = coverage.reduce(
+            (sum, c) => sum + c.readingsUsed,
+            0
+        );
+        const expectedReadings = coverage.reduce(
+            (sum, c) => sum + c.expectedReadings,
+            0
+        );
+
+        return {
+            policy: this.policy,
+            readingsUsed,
+            expectedReadings,
+            coveragePercent:
+                expectedReadings > 0
+                    ? (readingsUsed / expectedReadings) * 100
+                    : 0,
+        };
+    }
+}
+
+module.exports = new DataQualityService();
@@ -0,0 +1,194 @@
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const farmRegistryService = require("./farm-registry-service");
+const fs = require("fs");
+const path = require("path");
+
+class EnergyEstimationService {
+    constructor() {
+        this.defaultTurbineClass = "iec-1";
+        this.powerCurves = this.loadPowerCurves();
+    }
+
+    loadPowerCurves() {
+        try {
+            return JSON.parse(
+                fs.readFileSync(
+                    path.join(__dirname, "../data/power-curves.json"),
+                    "utf8"
+                )
+            ).powerCurves;
+        } catch (error) {
+            console.error("Error loading power curves:", error);
+            return {};
+        }
+    }
+
+    async loadWindFarms() {
+        return farmRegistryService.getWindFarms();
+    }
+
+    getPowerCurve(farm) {
+        // A farm-specific curve overrides its turbine class's generic curve
+        const generic =
+            this.powerCurves[farm.turbineClass] ||
+            this.powerCurves[this.defaultTurbineClass];
+        const curve = farm.powerCurve
+            ? {
+                  ...generic,
+                  description: `Custom power curve for ${farm.name}`,
+                  ...farm.powerCurve,
+              }
+            : { ...generic };
+
+        // Farm-level shutdown settings take precedence over the curve's
+        if (farm.cutOutSpeed !== undefined) {
+            curve.cutOutSpeed = farm.cutOutSpeed;
+        }
+        if (farm.restartSpeed !== undefined) {
+            curve.restartSpeed = farm.restartSpeed;
+        }
+        if (curve.restartSpeed === undefined) {
+            curve.restartSpeed = curve.cutOutSpeed;
+        }
+
+        return curve;
+    }
+
+    getPowerFraction(curve, speedMs) {
+        if (speedMs < curve.cutInSpeed || speedMs >= curve.cutOutSpeed) {
+            return 0;
+        }
+
+        const points = curve.points;
+        if (speedMs <= points[0][0]) return points[0][1];
+        if (speedMs >= points[points.length - 1][0]) {
+            return points[points.length - 1][1];
+        }
+
+        // Linear interpolation between the surrounding curve points
+        for (let i = 1; i < points.length; i++) {
+            const [upperSpeed, upperFraction] = points[i];
+            if (speedMs <= upperSpeed) {
+                const [lowerSpeed, lowerFraction] = points[i - 1];
+                return (
+                    lowerFraction +
+                    ((upperFraction - lowerFraction) * (speedMs - lowerSpeed)) /
+                        (upperSpeed - lowerSpeed)
+                );
+            }
+        }
+
+        return 0;
+    }
+
+    getPotentialFraction(curve, speedMs) {
+        // What the turbines would produce if they never cut out
+        return this.getPowerFraction(
+            { ...curve, cutOutSpeed: Infinity },
+            speedMs
+        );
+    }
+
+    estimateEnergy(data, farm, includeHourly = false) {
+        const curve = this.getPowerCurve(farm);
+        const capacity = farm.capacity || 0;
+        const hourlyOutput = [];
+        let hoursUsed = 0;
+        let energyMWh = 0;
+        let hoursAtRated = 0;
+        let hoursBelowCutIn = 0;
+        let hoursAboveCutOut = 0;
+        let hoursShutDown = 0;
+        let shutDown = false;
+
+        data.forEach((reading) => {
+            // Hours without a 100m reading are left out rather than counted as calm
+            if (reading.windSpeed100mKmh === null) return;
+
+            const speedMs = reading.windSpeed100mKmh / 3.6;
+
+            // Turbines stay off after a cut-out until the wind drops below restart speed
+            if (shutDown && speedMs < curve.restartSpeed) {
+                shutDown = false;
+            }
+            if (!shutDown && speedMs >= curve.cutOutSpeed) {
+                shutDown = true;
+            }
+
+            const fraction = shutDown
+                ? 0
+                : this.getPowerFraction(curve, speedMs);
+            const outputMW = fraction * capacity;
+
+            hoursUsed++;
+            energyMWh += outputMW; // One hour per reading
+            if (includeHourly) {
+                hourlyOutput.push({
+                    timestamp: reading.timestamp,
+                    outputMW,
+                });
+            }
+
+            if (fraction >= 0.999) hoursAtRated++;
+            if (speedMs < curve.cutInSpeed) hoursBelowCutIn++;
+            if (speedMs >= curve.cutOutSpeed) hoursAboveCutOut++;
+            if (shutDown) hoursShutDown++;
+        });
+
+        const estimate = {
+            farmName: farm.name,
+            capacity,
+            turbineCount: farm.turbineCount,
+            hubHeight: farm.hubHeight,
+            turbineClass: farm.powerCurve ? "custom" : farm.turbineClass,
+            hoursUsed,
+            energyMWh,
+            averageOutputMW: hoursUsed > 0 ? energyMWh / hoursUsed : null,
+            capacityFactor:
+                hoursUsed > 0 && capacity > 0
+                    ? energyMWh / (capacity * hoursUsed)
+                    : null,
+            hoursAtRated,
+            hoursBelowCutIn,
+            hoursAboveCutOut,
+            hoursShutDown,
+        };
+
+        if (includeHourly) {
+            estimate.powerCurve = curve;
+            estimate.hourlyOutput = hourlyOutput;
+        }
+
+        return estimate;
+    }
+
+    async analyzeFarmEnergy(farmName, startDate, endDate) {
+        const windFarms = await this.loadWindFarms();
+        const farm = windFarms.find(
+            (f) => f.name.toLowerCase() === farmName.toLowerCase()
+        );
+
+        if (!farm) {
+            return null;
+        }
+
+        const rawData = await windDataService.getHistoricalData(
+            farm.lat,
+            farm.lon,
+            startDate,
+            endDate
+        );
+        const { readings, quality } =
+            dataQualityService.prepareReadings(rawData);
+
+        return {
+            farm,
+            dateRange: { start: startDate, end: endDate },
+            dataCoverage: dataQualityService.summarizeCoverage(quality),
+            energy: this.estimateEnergy(readings, farm, true),
+        };
+    }
+}
+
+module.exports = new EnergyEstimationService();
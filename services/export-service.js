@@ -0,0 +1,324 @@
+const ExcelJS = require("exceljs");
+const timeZoneService = require("./time-zone-service");
+
+class ExportService {
+    constructor() {
+        this.formats = ["json", "csv", "xlsx", "ndjson"];
+        this.contentTypes = {
+            csv: "text/csv; charset=utf-8",
+            xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            ndjson: "application/x-ndjson; charset=utf-8",
+        };
+        // Tables each analysis can be flattened into; the first is the default
+        // for CSV and NDJSON, and XLSX gets one sheet per table
+        this.tables = {
+            "strong-wind-periods": ["periods", "events", "farms", "coverage"],
+            "multi-location": ["farms", "ranking", "periods"],
+            "time-periods": ["farmPeriods", "periods"],
+            "wind-analysis": [
+                "summary",
+                "strongWindPeriods",
+                "hourly",
+                "daily",
+                "windRose",
+            ],
+            readings: ["readings"],
+            "period-set": ["periods"],
+        };
+        // Text starting like this runs as a formula when opened in Excel
+        this.formulaPattern = /^[=+\-@\t\r]/;
+        this.numberPattern = /^[+-]?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+    }
+
+    getTableNames(type) {
+        return this.tables[type] || [];
+    }
+
+    buildTables(type, analysis) {
+        switch (type) {
+            case "strong-wind-periods":
+                return this.buildStrongWindTables(analysis);
+            case "multi-location":
+                return this.buildMultiLocationTables(analysis);
+            case "time-periods":
+                return this.buildTimePeriodTables(analysis);
+            case "wind-analysis":
+                return this.buildWindAnalysisTables(analysis);
+            case "readings":
+                return { readings: analysis.readings };
+            case "period-set":
+                return { periods: analysis.periods.map(this.flattenSetPeriod) };
+            default:
+                throw new Error(`Unknown export type: ${type}`);
+        }
+    }
+
+    buildStrongWindTables(analysis) {
+        return {
+            periods: analysis.nzStrongWindPeriods.map((period) => ({
+                windFarm: period.windFarm,
+                startTime: period.startTime,
+                endTime: period.endTime,
+                durationHours: period.durationHours,
+                avgWindSpeed: period.avgWindSpeed,
+                maxWindSpeed: period.maxWindSpeed,
+                gapHours: period.gapHours,
+            })),
+            events: analysis.nzWideEvents.map((event) => ({
+                startTime: event.startTime,
+                endTime: event.endTime,
+                durationHours: event.durationHours,
+                windFarmCount: event.windFarmCount,
+                peakSimultaneousFarms: event.peakSimultaneousFarms,
+                peakTime: event.peakTime,
+                maxWindSpeed: event.maxWindSpeed,
+                windFarms: event.windFarms.join("; "),
+            })),
+            farms: analysis.windFarmAnalysis.map((farm) => ({
+                windFarm: farm.windFarm.name,
+                capacity: farm.windFarm.capacity,
+                totalPeriods: farm.totalPeriods,
+                totalDuration: farm.totalDuration,
+                maxWindSpeed: farm.maxWindSpeed,
+            })),
+            coverage: analysis.dataCoverage.map(({ gaps, ...coverage }) => ({
+                ...coverage,
+                gapCount: gaps ? gaps.length : 0,
+            })),
+        };
+    }
+
+    buildMultiLocationTables(analysis) {
+        return {
+            farms: analysis.farmResults.map((result) => ({
+                windFarm: result.farm.name,
+                capacity: result.farm.capacity,
+                hasStrongWinds: result.hasStrongWinds,
+                maxWindSpeed: result.maxWindSpeed,
+                maxWindSpeed100m: result.maxWindSpeed100m,
+                maxWindGusts: result.maxWindGusts,
+                averageWindSpeed: result.averageWindSpeed,
+                averageWindSpeed100m: result.averageWindSpeed100m,
+                averageWindGusts: result.averageWindGusts,
+                strongWindReadings: result.strongWindReadings,
+                strongWindPercentage: result.strongWindPercentage,
+                energyMWh: result.energy ? result.energy.energyMWh : null,
+                capacityFactor: result.energy
+                    ? result.energy.capacityFactor
+                    : null,
+                error: result.error || null,
+            })),
+            ranking: analysis.eventSummary.windSpeedRanking,
+            periods: analysis.farmResults.flatMap((result) =>
+                (result.strongWindPeriods || []).map((period) =>
+                    this.flattenPeriod(result.farm.name, period)
+                )
+            ),
+        };
+    }
+
+    buildTimePeriodTables(analysis) {
+        return {
+            // One row per farm and period, the long format pivot tables expect
+            farmPeriods: analysis.farms.flatMap((farm) =>
+                analysis.timePeriods.map((period, index) => ({
+                    windFarm: farm.name,
+                    capacity: farm.capacity,
+                    period: index + 1,
+                    start: period.start,
+                    end: period.end,
+                    averageSpeed: farm.averageSpeeds[index],
+                    energyMWh: farm.energyMWh[index],
+                    capacityFactor: farm.capacityFactors[index],
+                    coveragePercent: farm.dataCoverage[index]
+                        ? farm.dataCoverage[index].coveragePercent
+                        : null,
+                    error: farm.error || null,
+                }))
+            ),
+            periods: analysis.timePeriods.map((period, index) => ({
+                period: index + 1,
+                ...this.flattenSetPeriod(period),
+            })),
+        };
+    }
+
+    buildWindAnalysisTables(analysis) {
+        const { dataTimeSpan, ...summary } = analysis.summary;
+        const distributionRows = (distribution, key) =>
+            Object.entries(distribution).map(([bucket, stats]) => ({
+                [key]: key === "hour" ? parseInt(bucket) : bucket,
+                ...stats,
+            }));
+
+        return {
+            summary: [
+                {
+                    lat: analysis.location.lat,
+                    lon: analysis.location.lon,
+                    location: analysis.location.name,
+                    height: analysis.height,
+                    hubHeight: analysis.hubHeight,
+                    ...summary,
+                    start: dataTimeSpan.start,
+                    end: dataTimeSpan.end,
+                },
+            ],
+            strongWindPeriods: analysis.strongWindPeriods.map((period) =>
+                this.flattenPeriod(analysis.location.name, period)
+            ),
+            hourly: distributionRows(analysis.hourlyDistribution, "hour"),
+            daily: distributionRows(analysis.dailyDistribution, "date"),
+            windRose: analysis.windRose.sectors.map((sector) => ({
+                sector: sector.name,
+                centerDegrees: sector.centerDegrees,
+                count: sector.count,
+                frequency: sector.frequency,
+                avgSpeed: sector.avgSpeed,
+                maxSpeed: sector.maxSpeed,
+                strongWindPercentage: sector.strongWindPercentage,
+                energyShare: sector.energyShare,
+            })),
+        };
+    }
+
+    // Same columns a period set CSV is imported from, plus the duration
+    flattenSetPeriod(period) {
+        return {
+            windFarm: period.windFarm ?? null,
+            start: period.start,
+            end: period.end,
+            durationHours:
+                (new Date(period.end) - new Date(period.start)) / 3600000,
+            maxWindSpeed: period.maxWindSpeed ?? null,
+        };
+    }
+
+    flattenPeriod(location, period) {
+        return {
+            location,
+            start: period.start,
+            end: period.end,
+            durationHours: period.duration
+                ? period.duration.totalMinutes / 60
+                : null,
+            startWindSpeed: period.startWindSpeed,
+            endWindSpeed: period.endWindSpeed,
+            avgWindSpeed: period.avgWindSpeed,
+            maxWindSpeed: period.maxWindSpeed,
+            maxWindSpeed100m: period.maxWindSpeed100m,
+            maxWindGusts: period.maxWindGusts,
+        };
+    }
+
+    async exportAnalysis(type, analysis, format, table = null) {
+        const tables = this.buildTables(type, analysis);
+        const tableName = table || this.getTableNames(type)[0];
+
+        let body;
+        if (format === "xlsx") {
+            body = await this.toXlsx(tables);
+        } else if (format === "csv") {
+            body = this.toCsv(tables[tableName]);
+        } else {
+            body = this.toNdjson(tables[tableName]);
+        }
+
+        return {
+            contentType: this.contentTypes[format],
+            // XLSX holds every table, so only CSV/NDJSON names the table
+            suffix: format === "xlsx" ? "" : `-${tableName}`,
+            body,
+        };
+    }
+
+    getColumns(rows) {
+        // Union of keys in first-seen order, since rows can differ (e.g. errors)
+        const columns = [];
+        rows.forEach((row) => {
+            Object.keys(row).forEach((key) => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+        });
+        return columns;
+    }
+
+    toCellValue(value) {
+        if (value === null || value === undefined) return null;
+        if (value instanceof Date) {
+            return timeZoneService.formatWithOffset(value);
+        }
+        if (typeof value === "object") return JSON.stringify(value);
+        return this.guardFormula(timeZoneService.withOffset(value));
+    }
+
+    // User-entered text (farm names, labels, run names) is quoted with a
+    // leading ' so it stays text; numbers, including numeric strings, are kept
+    guardFormula(value) {
+        return typeof value === "string" &&
+            this.formulaPattern.test(value) &&
+            !this.numberPattern.test(value)
+            ? `'${value}`
+            : value;
+    }
+
+    escapeCsv(value) {
+        const cell = this.toCellValue(value);
+        if (cell === null) return "";
+
+        const text = String(cell);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toCsv(rows) {
+        const columns = this.getColumns(rows);
+        const lines = [
+            columns.map((column) => this.escapeCsv(column)).join(","),
+            ...rows.map((row) =>
+                columns.map((column) => this.escapeCsv(row[column])).join(",")
+            ),
+        ];
+
+        return `${lines.join("\r\n")}\r\n`;
+    }
+
+    toNdjson(rows) {
+        return rows
+            .map(
+                (row) =>
+                    `${JSON.stringify(
+                        row,
+                        timeZoneService.replaceTimestamps
+                    )}\n`
+            )
+            .join("");
+    }
+
+    async toXlsx(tables) {
+        const workbook = new ExcelJS.Workbook();
+
+        Object.entries(tables).forEach(([name, rows]) => {
+            const sheet = workbook.addWorksheet(name);
+            const columns = this.getColumns(rows);
+
+            sheet.columns = columns.map((column) => ({
+                header: column,
+                key: column,
+                width: Math.max(12, column.length + 2),
+            }));
+            rows.forEach((row) => {
+                const cells = {};
+                columns.forEach((column) => {
+                    cells[column] = this.toCellValue(row[column]);
+                });
+                sheet.addRow(cells);
+            });
+            sheet.getRow(1).font = { bold: true };
+            sheet.views = [{ state: "frozen", ySplit: 1 }];
+        });
+
+        return await workbook.xlsx.writeBuffer();
+    }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,411 @@
+const moment = require("moment");
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const timeZoneService = require("./time-zone-service");
+const energyEstimationService = require("./energy-estimation-service");
+const windAnalysisService = require("./wind-analysis-service");
+const windStatisticsService = require("./wind-statistics-service");
+
+class ExtremeValueService {
+    constructor() {
+        this.returnPeriods = [2, 5, 10, 25, 50, 100]; // years
+        this.minimumMaxima = 5;
+        // Each farm holds every hour of the range in memory
+        this.maxYears = 40;
+        // A year only yields an annual maximum if most of its hours have data
+        this.minYearCoverage = 0.8;
+        // Peaks closer together than this belong to the same storm
+        this.declusterHours = 48;
+        this.defaultThresholdPercentile = 99.5;
+        this.bootstrapSamples = 200;
+        this.confidenceLevel = 0.95;
+        this.eulerGamma = 0.5772156649;
+    }
+
+    extractAnnualMaxima(data, field = "windGustsKmh") {
+        const readingsByYear = {};
+
+        data.forEach((reading) => {
+            const year = timeZoneService
+                .localDate(reading.timestamp)
+                .substring(0, 4);
+            if (!readingsByYear[year]) {
+                readingsByYear[year] = [];
+            }
+            readingsByYear[year].push(reading);
+        });
+
+        const maxima = [];
+        const excludedYears = [];
+
+        Object.entries(readingsByYear).forEach(([year, readings]) => {
+            const values = dataQualityService.getValues(readings, field);
+            const hoursInYear = moment(year, "YYYY").isLeapYear() ? 8784 : 8760;
+
+            if (values.length < hoursInYear * this.minYearCoverage) {
+                excludedYears.push({
+                    year: parseInt(year),
+                    coveragePercent: (values.length / hoursInYear) * 100,
+                });
+                return;
+            }
+
+            const max = dataQualityService.max(values);
+            const peak = readings.find((r) => r[field] === max);
+            maxima.push({
+                year: parseInt(year),
+                value: max,
+                timestamp: peak.timestamp,
+            });
+        });
+
+        return { maxima, excludedYears };
+    }
+
+    extractPeaksOverThreshold(data, threshold, field = "windGustsKmh") {
+        const peaks = [];
+        let currentCluster = null;
+
+        data.forEach((reading) => {
+            const value = reading[field];
+            if (value === null || value <= threshold) return;
+
+            // Exceedances within the decluster window are the same event
+            if (
+                currentCluster &&
+                moment(reading.timestamp).diff(
+                    moment(currentCluster.lastTimestamp),
+                    "hours"
+                ) <= this.declusterHours
+            ) {
+                currentCluster.lastTimestamp = reading.timestamp;
+                if (value > currentCluster.value) {
+                    currentCluster.value = value;
+                    currentCluster.timestamp = reading.timestamp;
+                }
+                return;
+            }
+
+            if (currentCluster) {
+                peaks.push(currentCluster);
+            }
+            currentCluster = {
+                value,
+                timestamp: reading.timestamp,
+                lastTimestamp: reading.timestamp,
+            };
+        });
+
+        if (currentCluster) {
+            peaks.push(currentCluster);
+        }
+
+        return peaks.map(({ value, timestamp }) => ({ value, timestamp }));
+    }
+
+    calculateLMoments(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const n = sorted.length;
+        let b0 = 0;
+        let b1 = 0;
+        let b2 = 0;
+
+        sorted.forEach((x, i) => {
+            b0 += x;
+            b1 += (i / (n - 1)) * x;
+            b2 += ((i * (i - 1)) / ((n - 1) * (n - 2))) * x;
+        });
+        b0 /= n;
+        b1 /= n;
+        b2 /= n;
+
+        return {
+            l1: b0,
+            l2: 2 * b1 - b0,
+            l3: 6 * b2 - 6 * b1 + b0,
+        };
+    }
+
+    fitGumbel(values) {
+        const { l1, l2 } = this.calculateLMoments(values);
+        const scale = l2 / Math.LN2;
+
+        return {
+            distribution: "gumbel",
+            location: l1 - this.eulerGamma * scale,
+            scale,
+        };
+    }
+
+    fitGev(values) {
+        // Hosking (1985) L-moment estimators; shape uses Hosking's sign convention
+        const { l1, l2, l3 } = this.calculateLMoments(values);
+        const t3 = l3 / l2;
+        const c = 2 / (3 + t3) - Math.LN2 / Math.log(3);
+        const shape = 7.859 * c + 2.9554 * c * c;
+
+        if (Math.abs(shape) < 1e-6) {
+            return { ...this.fitGumbel(values), distribution: "gev", shape: 0 };
+        }
+
+        const gammaTerm = windStatisticsService.gamma(1 + shape);
+        const scale = (l2 * shape) / ((1 - Math.pow(2, -shape)) * gammaTerm);
+        const location = l1 - (scale * (1 - gammaTerm)) / shape;
+
+        return { distribution: "gev", location, scale, shape };
+    }
+
+    fitGpd(excesses) {
+        // Hosking & Wallis (1987) probability weighted moment estimators
+        const { l1, l2 } = this.calculateLMoments(excesses);
+        const shape = l1 / l2 - 2;
+
+        return {
+            distribution: "gpd",
+            scale: (1 + shape) * l1,
+            shape,
+        };
+    }
+
+    annualReturnLevel(fit, returnPeriod) {
+        const y = -Math.log(1 - 1 / returnPeriod);
+
+        if (fit.distribution === "gumbel" || fit.shape === 0) {
+            return fit.location - fit.scale * Math.log(y);
+        }
+
+        return (
+            fit.location +
+            (fit.scale / fit.shape) * (1 - Math.pow(y, fit.shape))
+        );
+    }
+
+    peaksReturnLevel(fit, threshold, peaksPerYear, returnPeriod) {
+        const expectedPeaks = peaksPerYear * returnPeriod;
+        if (expectedPeaks <= 1) return null;
+
+        if (Math.abs(fit.shape) < 1e-6) {
+            return threshold + fit.scale * Math.log(expectedPeaks);
+        }
+
+        return (
+            threshold +
+            (fit.scale / fit.shape) * (1 - Math.pow(expectedPeaks, -fit.shape))
+        );
+    }
+
+    createRandom(seed) {
+        // Seeded so repeated requests return the same confidence intervals
+        let state = seed;
+        return () => {
+            state = (state * 16807) % 2147483647;
+            return state / 2147483647;
+        };
+    }
+
+    bootstrapIntervals(values, fitFn, levelFn) {
+        const random = this.createRandom(12345);
+        const samplesByPeriod = this.returnPeriods.map(() => []);
+
+        for (let b = 0; b < this.bootstrapSamples; b++) {
+            const resample = values.map(
+                () => values[Math.floor(random() * values.length)]
+            );
+            // Degenerate resamples (all values equal) cannot be fitted
+            if (new Set(resample).size < 3) continue;
+
+            const fit = fitFn(resample);
+            this.returnPeriods.forEach((period, i) => {
+                const level = levelFn(fit, period);
+                if (level !== null && isFinite(level)) {
+                    samplesByPeriod[i].push(level);
+                }
+            });
+        }
+
+        const tail = ((1 - this.confidenceLevel) / 2) * 100;
+        return samplesByPeriod.map((levels) => ({
+            lower: windStatisticsService.percentile(levels, tail),
+            upper: windStatisticsService.percentile(levels, 100 - tail),
+        }));
+    }
+
+    buildReturnLevels(values, fitFn, levelFn) {
+        const fit = fitFn(values);
+        const intervals = this.bootstrapIntervals(values, fitFn, levelFn);
+
+        return {
+            parameters: fit,
+            returnLevels: this.returnPeriods.map((period, i) => ({
+                returnPeriodYears: period,
+                level: levelFn(fit, period),
+                confidenceInterval: {
+                    level: this.confidenceLevel,
+                    ...intervals[i],
+                },
+            })),
+        };
+    }
+
+    analyzeAnnualMaxima(data) {
+        const { maxima, excludedYears } = this.extractAnnualMaxima(data);
+        const values = maxima.map((m) => m.value);
+
+        if (values.length < this.minimumMaxima) {
+            return {
+                method: "annual",
+                maxima,
+                excludedYears,
+                error: `At least ${this.minimumMaxima} complete years are needed, found ${values.length}`,
+            };
+        }
+
+        const levelFn = (fit, period) => this.annualReturnLevel(fit, period);
+
+        return {
+            method: "annual",
+            maxima,
+            excludedYears,
+            gumbel: this.buildReturnLevels(
+                values,
+                (sample) => this.fitGumbel(sample),
+                levelFn
+            ),
+            gev: this.buildReturnLevels(
+                values,
+                (sample) => this.fitGev(sample),
+                levelFn
+            ),
+        };
+    }
+
+    analyzePeaksOverThreshold(data, threshold = null) {
+        const gusts = dataQualityService.getValues(data, "windGustsKmh");
+        const effectiveThreshold =
+            threshold !== null
+                ? threshold
+                : windStatisticsService.percentile(
+                      gusts,
+                      this.defaultThresholdPercentile
+                  );
+        const peaks = this.extractPeaksOverThreshold(data, effectiveThreshold);
+        const years = gusts.length / 8766; // average hours per year
+        const peaksPerYear = years > 0 ? peaks.length / years : 0;
+
+        if (peaks.length < this.minimumMaxima) {
+            return {
+                method: "pot",
+                threshold: effectiveThreshold,
+                peaks,
+                error: `At least ${this.minimumMaxima} independent peaks are needed, found ${peaks.length}`,
+            };
+        }
+
+        const excesses = peaks.map((p) => p.value - effectiveThreshold);
+
+        return {
+            method: "pot",
+            threshold: effectiveThreshold,
+            declusterHours: this.declusterHours,
+            yearsOfData: years,
+            peaksPerYear,
+            peaks,
+            gpd: this.buildReturnLevels(
+                excesses,
+                (sample) => this.fitGpd(sample),
+                (fit, period) =>
+                    this.peaksReturnLevel(
+                        fit,
+                        effectiveThreshold,
+                        peaksPerYear,
+                        period
+                    )
+            ),
+        };
+    }
+
+    async analyzeExtremeGusts(options = {}) {
+        try {
+            const {
+                years = 20,
+                method = "annual",
+                threshold = null,
+                farmName = null,
+            } = options;
+            const endDate = moment()
+                .subtract(1, "year")
+                .endOf("year")
+                .format("YYYY-MM-DD");
+            const startDate = moment(endDate)
+                .subtract(years - 1, "years")
+                .startOf("year")
+                .format("YYYY-MM-DD");
+
+            let windFarms = await energyEstimationService.loadWindFarms();
+            if (farmName) {
+                windFarms = windFarms.filter(
+                    (f) => f.name.toLowerCase() === farmName.toLowerCase()
+                );
+                if (windFarms.length === 0) {
+                    return null;
+                }
+            }
+
+            console.log(
+                `Analyzing extreme gusts from ${startDate} to ${endDate} across ${windFarms.length} wind farms...`
+            );
+
+            const farmResults = [];
+
+            for (const farm of windFarms) {
+                try {
+                    console.log(`Analyzing ${farm.name}...`);
+
+                    const rawData = await windDataService.getHistoricalData(
+                        farm.lat,
+                        farm.lon,
+                        startDate,
+                        endDate
+                    );
+                    // Extremes are never interpolated, only measured hours count
+                    const quality = dataQualityService.assessReadings(rawData);
+
+                    farmResults.push({
+                        farm: farm,
+                        dataCoverage: dataQualityService.summarizeCoverage(
+                            quality,
+                            "windGustsKmh"
+                        ),
+                        observed: windAnalysisService.analyzeWindGusts(rawData),
+                        extremes:
+                            method === "pot"
+                                ? this.analyzePeaksOverThreshold(
+                                      rawData,
+                                      threshold
+                                  )
+                                : this.analyzeAnnualMaxima(rawData),
+                    });
+                } catch (error) {
+                    console.error(`Error analyzing ${farm.name}:`, error);
+                    farmResults.push({
+                        farm: farm,
+                        error: error.message,
+                    });
+                }
+            }
+
+            return {
+                dateRange: { start: startDate, end: endDate },
+                method,
+                returnPeriods: this.returnPeriods,
+                unit: "km/h",
+                farmResults,
+            };
+        } catch (error) {
+            console.error("Error analyzing extreme gusts:", error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ExtremeValueService();
@@ -0,0 +1,306 @@
+const fs = require("fs");
+const path = require("path");
+
+class FarmRegistryService {
+    constructor() {
+        this.filePath =
+            process.env.WIND_FARMS_FILE ||
+            path.join(__dirname, "../data/nz-wind-farms.json");
+        // Mainland New Zealand and Stewart Island
+        this.bounds = { minLat: -47.5, maxLat: -34, minLon: 166, maxLon: 179 };
+        this.turbineClasses = this.loadTurbineClasses();
+        this.fields = {
+            name: { type: "string", required: true },
+            lat: { type: "number", required: true },
+            lon: { type: "number", required: true },
+            capacity: { type: "number", required: true }, // MW
+            turbineCount: { type: "number", required: true },
+            hubHeight: { type: "number", required: true }, // metres
+            turbineClass: { type: "string", required: true },
+            region: { type: "string" },
+            operator: { type: "string" },
+            cutOutSpeed: { type: "number" }, // m/s, like the power curves
+            restartSpeed: { type: "number" }, // m/s
+            powerCurve: { type: "object" },
+        };
+        // Turbines shut down somewhere in this range; a km/h value is far above
+        this.shutdownSpeedRange = { min: 10, max: 40 }; // m/s
+        this.powerCurveSpeeds = [
+            "cutInSpeed",
+            "ratedSpeed",
+            "cutOutSpeed",
+            "restartSpeed",
+        ];
+        this.windFarms = this.loadWindFarms();
+        // Writes are applied one at a time so concurrent edits can't interleave
+        this.writes = Promise.resolve();
+    }
+
+    loadTurbineClasses() {
+        try {
+            return Object.keys(
+                JSON.parse(
+                    fs.readFileSync(
+                        path.join(__dirname, "../data/power-curves.json"),
+                        "utf8"
+                    )
+                ).powerCurves
+            );
+        } catch (error) {
+            console.error("Error loading power curves:", error);
+            return [];
+        }
+    }
+
+    loadWindFarms() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, "utf8")).windFarms;
+        } catch (error) {
+            console.error("Error loading wind farms:", error);
+            return [];
+        }
+    }
+
+    // Copies, so callers can't change the registry by mutating a farm
+    getWindFarms() {
+        return this.windFarms.map((farm) => ({ ...farm }));
+    }
+
+    getWindFarm(name) {
+        const farm = this.findFarm(name);
+        return farm ? { ...farm } : null;
+    }
+
+    findFarm(name) {
+        return this.windFarms.find(
+            (f) => f.name.toLowerCase() === String(name).toLowerCase()
+        );
+    }
+
+    validateFarm(farm) {
+        const errors = [];
+
+        if (!farm || typeof farm !== "object" || Array.isArray(farm)) {
+            return ["wind farm must be a JSON object"];
+        }
+
+        Object.keys(farm).forEach((field) => {
+            if (!this.fields[field]) {
+                errors.push(`unknown field "${field}"`);
+            }
+        });
+
+        const typeErrors = [];
+        Object.entries(this.fields).forEach(([field, schema]) => {
+            const value = farm[field];
+            if (value === undefined || value === null) {
+                if (schema.required) typeErrors.push(`${field} is required`);
+                return;
+            }
+
+            const type = Array.isArray(value) ? "array" : typeof value;
+            if (type !== schema.type) {
+                typeErrors.push(`${field} must be a ${schema.type}`);
+            } else if (type === "number" && !Number.isFinite(value)) {
+                typeErrors.push(`${field} must be a finite number`);
+            }
+        });
+
+        // Range checks only make sense once the types are right
+        if (typeErrors.length > 0) return [...errors, ...typeErrors];
+
+        const { minLat, maxLat, minLon, maxLon } = this.bounds;
+        if (!farm.name.trim()) {
+            errors.push("name must not be empty");
+        }
+        if (farm.lat < minLat || farm.lat > maxLat) {
+            errors.push(`lat must be between ${minLat} and ${maxLat}`);
+        }
+        if (farm.lon < minLon || farm.lon > maxLon) {
+            errors.push(`lon must be between ${minLon} and ${maxLon}`);
+        }
+        if (farm.capacity <= 0) {
+            errors.push("capacity must be a positive number of MW");
+        }
+        if (!Number.isInteger(farm.turbineCount) || farm.turbineCount <= 0) {
+            errors.push("turbineCount must be a positive whole number");
+        }
+        if (farm.hubHeight <= 0 || farm.hubHeight > 250) {
+            errors.push("hubHeight must be between 0 and 250 metres");
+        }
+        if (!this.turbineClasses.includes(farm.turbineClass)) {
+            errors.push(
+                `turbineClass must be one of: ${this.turbineClasses.join(", ")}`
+            );
+        }
+        const { min, max } = this.shutdownSpeedRange;
+        ["cutOutSpeed", "restartSpeed"].forEach((field) => {
+            if (
+                farm[field] !== undefined &&
+                (farm[field] < min || farm[field] > max)
+            ) {
+                errors.push(`${field} must be between ${min} and ${max} m/s`);
+            }
+        });
+        if (
+            farm.restartSpeed !== undefined &&
+            farm.cutOutSpeed !== undefined &&
+            farm.restartSpeed > farm.cutOutSpeed
+        ) {
+            errors.push("restartSpeed must not be above cutOutSpeed");
+        }
+        if (farm.powerCurve !== undefined) {
+            errors.push(...this.validatePowerCurve(farm.powerCurve));
+        }
+
+        return errors;
+    }
+
+    // Fields given here override the turbine class's curve, so each one that
+    // is present must be usable by the energy estimates on its own
+    validatePowerCurve(curve) {
+        const errors = [];
+
+        this.powerCurveSpeeds.forEach((field) => {
+            const value = curve[field];
+            if (
+                value !== undefined &&
+                (typeof value !== "number" ||
+                    !Number.isFinite(value) ||
+                    value < 0)
+            ) {
+                errors.push(
+                    `powerCurve.${field} must be a non-negative number of m/s`
+                );
+            }
+        });
+
+        if (curve.points === undefined) return errors;
+
+        const { points } = curve;
+        const isPair = (point) =>
+            Array.isArray(point) &&
+            point.length === 2 &&
+            point.every(
+                (value) => typeof value === "number" && Number.isFinite(value)
+            );
+
+        if (!Array.isArray(points) || points.length === 0) {
+            errors.push("powerCurve.points must be a non-empty array");
+        } else if (!points.every(isPair)) {
+            errors.push(
+                "powerCurve.points must be [speedMs, fraction] number pairs"
+            );
+        } else {
+            if (
+                points.some(([speed], i) => i > 0 && speed <= points[i - 1][0])
+            ) {
+                errors.push(
+                    "powerCurve.points must be sorted by increasing speed"
+                );
+            }
+            if (points.some(([, fraction]) => fraction < 0 || fraction > 1)) {
+                errors.push(
+                    "powerCurve.points fractions must be between 0 and 1"
+                );
+            }
+        }
+
+        return errors;
+    }
+
+    createError(status, message, details = []) {
+        const error = new Error(message);
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    createFarm(farm) {
+        return this.applyChange(() => {
+            const errors = this.validateFarm(farm);
+            if (errors.length > 0) {
+                throw this.createError(400, "Invalid wind farm", errors);
+            }
+            if (this.findFarm(farm.name)) {
+                throw this.createError(
+                    409,
+                    `Wind farm "${farm.name}" already exists`
+                );
+            }
+
+            return { windFarms: [...this.windFarms, farm], result: farm };
+        });
+    }
+
+    updateFarm(name, changes) {
+        return this.applyChange(() => {
+            const existing = this.findFarm(name);
+            if (!existing) return { windFarms: this.windFarms, result: null };
+
+            // Fields set to null are removed, so optional metadata can be cleared
+            const updated = { ...existing, ...changes };
+            Object.keys(updated).forEach((field) => {
+                if (updated[field] === null) delete updated[field];
+            });
+
+            const errors = this.validateFarm(updated);
+            if (errors.length > 0) {
+                throw this.createError(400, "Invalid wind farm", errors);
+            }
+            const clash = this.findFarm(updated.name);
+            if (clash && clash !== existing) {
+                throw this.createError(
+                    409,
+                    `Wind farm "${updated.name}" already exists`
+                );
+            }
+
+            return {
+                windFarms: this.windFarms.map((farm) =>
+                    farm === existing ? updated : farm
+                ),
+                result: updated,
+            };
+        });
+    }
+
+    deleteFarm(name) {
+        return this.applyChange(() => {
+            const existing = this.findFarm(name);
+            if (!existing) return { windFarms: this.windFarms, result: null };
+
+            return {
+                windFarms: this.windFarms.filter((farm) => farm !== existing),
+                result: existing,
+            };
+        });
+    }
+
+    applyChange(change) {
+        const write = this.writes.then(async () => {
+            const { windFarms, result } = change();
+            if (windFarms !== this.windFarms) {
+                await this.save(windFarms);
+                this.windFarms = windFarms;
+            }
+            return result ? { ...result } : null;
+        });
+
+        // A failed change must not block the ones queued after it
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    async save(windFarms) {
+        // Write to a temporary file first so a crash can't leave half a file
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(
+            tempPath,
+            `${JSON.stringify({ windFarms }, null, 4)}\n`
+        );
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = new FarmRegistryService();
@@ -0,0 +1,235 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+class FetchSchedulerService {
+    constructor() {
+        this.concurrency = Math.max(
+            1,
+            parseInt(process.env.WIND_FETCH_CONCURRENCY || "4")
+        );
+        this.maxRetries = parseInt(process.env.WIND_FETCH_MAX_RETRIES || "3");
+        this.baseDelayMs = parseInt(process.env.WIND_FETCH_BACKOFF_MS || "500");
+        this.maxDelayMs = 30000;
+        this.active = 0;
+        this.waiting = [];
+        // Identical requests already in flight share one upstream call
+        this.inFlight = new Map();
+        // Timings (and cancellation signal) of the analysis issuing each request
+        this.timingContext = new AsyncLocalStorage();
+    }
+
+    schedule(task, options = {}) {
+        const { key = null } = options;
+        // A cancelled analysis stops waiting on requests made inside withTimings;
+        // its own queued requests are dropped, shared ones keep going
+        const context = this.timingContext.getStore();
+        const signal = options.signal || (context && context.signal);
+
+        if (!key) return this.runWithRetries(task, signal);
+
+        let request = this.inFlight.get(key);
+        if (request) {
+            this.record((timings) => timings.coalescedRequests++);
+        } else {
+            // Shared by every caller, so no one caller's signal cancels it
+            request = this.runWithRetries(task, null);
+            this.inFlight.set(key, request);
+            request.then(
+                () => this.inFlight.delete(key),
+                () => this.inFlight.delete(key)
+            );
+        }
+
+        return this.abortable(request, signal);
+    }
+
+    // Rejects when signal aborts, leaving the request itself running
+    abortable(request, signal) {
+        if (!signal) return request;
+
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener("abort", onAbort, { once: true });
+            request.then(
+                (result) => {
+                    signal.removeEventListener("abort", onAbort);
+                    resolve(result);
+                },
+                (error) => {
+                    signal.removeEventListener("abort", onAbort);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    async runWithRetries(task, signal) {
+        for (let attempt = 0; ; attempt++) {
+            const queuedAt = Date.now();
+            await this.acquire(signal);
+            const startedAt = Date.now();
+            let failure;
+
+            try {
+                return await task();
+            } catch (error) {
+                failure = error;
+            } finally {
+                // Free the slot before any backoff so other requests can run
+                this.release();
+                this.recordRequest(queuedAt, startedAt);
+            }
+
+            if (attempt >= this.maxRetries || !this.isRetryable(failure)) {
+                this.record((timings) => timings.failedRequests++);
+                throw failure;
+            }
+
+            const delay = this.getBackoffDelay(attempt);
+            console.log(
+                `Request failed (${
+                    failure.message
+                }), retrying in ${delay}ms (attempt ${attempt + 1} of ${
+                    this.maxRetries
+                })`
+            );
+            this.record((timings) => timings.retries++);
+            await this.sleep(delay);
+        }
+    }
+
+    isRetryable(error) {
+        // Rate limits and server errors are worth retrying, bad requests are not
+        return (
+            error.status === 429 ||
+            error.status >= 500 ||
+            error.retryable === true
+        );
+    }
+
+    getBackoffDelay(attempt) {
+        // Exponential backoff with jitter so parallel retries don't line up
+        const delay = this.baseDelayMs * Math.pow(2, attempt);
+        return Math.min(
+            this.maxDelayMs,
+            Math.round(delay / 2 + (Math.random() * delay) / 2)
+        );
+    }
+
+    sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    acquire(signal) {
+        if (signal) signal.throwIfAborted();
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, signal };
+            this.waiting.push(waiter);
+            if (signal) {
+                // Drop queued requests from cancelled analyses
+                signal.addEventListener(
+                    "abort",
+                    () => {
+                        this.waiting = this.waiting.filter((w) => w !== waiter);
+                        reject(signal.reason);
+                    },
+                    { once: true }
+                );
+            }
+        });
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            // The slot passes straight to the next waiter
+            next.resolve();
+        } else {
+            this.active--;
+        }
+    }
+
+    async mapConcurrent(items, fn, options = {}) {
+        const { signal, concurrency = this.concurrency } = options;
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        // Results keep the order of items, whatever order they finish in
+        const worker = async () => {
+            while (nextIndex < items.length) {
+                if (signal) signal.throwIfAborted();
+                const index = nextIndex++;
+                results[index] = await fn(items[index], index);
+            }
+        };
+
+        await Promise.all(
+            Array.from({ length: Math.min(concurrency, items.length) }, worker)
+        );
+
+        return results;
+    }
+
+    async withTimings(task, signal = null) {
+        const timings = {
+            signal,
+            startedAt: Date.now(),
+            requests: 0,
+            retries: 0,
+            failedRequests: 0,
+            coalescedRequests: 0,
+            queueMs: 0,
+            requestMs: 0,
+            farms: [],
+        };
+
+        const result = await this.timingContext.run(timings, task);
+
+        return {
+            result,
+            timings: {
+                totalMs: Date.now() - timings.startedAt,
+                concurrency: this.concurrency,
+                requests: timings.requests,
+                retries: timings.retries,
+                failedRequests: timings.failedRequests,
+                coalescedRequests: timings.coalescedRequests,
+                // Summed across parallel requests, so these can exceed totalMs
+                queueMs: timings.queueMs,
+                requestMs: timings.requestMs,
+                farms: timings.farms,
+            },
+        };
+    }
+
+    record(update) {
+        const timings = this.timingContext.getStore();
+        if (timings) update(timings);
+    }
+
+    recordRequest(queuedAt, startedAt) {
+        const finishedAt = Date.now();
+        this.record((timings) => {
+            timings.requests++;
+            timings.queueMs += startedAt - queuedAt;
+            timings.requestMs += finishedAt - startedAt;
+        });
+    }
+
+    recordFarm(windFarm, fetchMs, analysisMs) {
+        this.record((timings) =>
+            timings.farms.push({ windFarm, fetchMs, analysisMs })
+        );
+    }
+}
+
+module.exports = new FetchSchedulerService();
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+class JobService {
+    constructor() {
+        this.jobs = new Map();
+        // Finished jobs (and their results) are dropped after an hour
+        this.retentionMs = 60 * 60 * 1000;
+        this.finishedStatuses = ["completed", "failed", "cancelled"];
+        // Jobs run one at a time so they don't compete for the weather API
+        this.queue = Promise.resolve();
+    }
+
+    createJob(type, params, run) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            params,
+            status: "queued",
+            progress: { completed: 0, total: null, current: null, percent: 0 },
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            result: null,
+            controller: new AbortController(),
+            events: new EventEmitter(),
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue = this.queue.then(() => this.runJob(job, run));
+
+        return this.describeJob(job);
+    }
+
+    async runJob(job, run) {
+        // Cancelled while still queued
+        if (job.status !== "queued") return;
+
+        job.status = "running";
+        job.startedAt = new Date().toISOString();
+        this.publish(job, "status");
+
+        try {
+            job.result = await run({
+                signal: job.controller.signal,
+                onProgress: (progress) => this.updateProgress(job, progress),
+            });
+            job.status = "completed";
+            job.progress = {
+                ...job.progress,
+                completed: job.progress.total,
+                current: null,
+                percent: 100,
+            };
+        } catch (error) {
+            if (job.controller.signal.aborted) {
+                job.status = "cancelled";
+            } else {
+                console.error(`Job ${job.id} (${job.type}) failed:`, error);
+                job.status = "failed";
+                job.error = error.message;
+            }
+        }
+
+        this.finishJob(job);
+    }
+
+    updateProgress(job, { completed, total, current = null }) {
+        job.progress = {
+            completed,
+            total,
+            current,
+            percent: total > 0 ? Math.round((completed / total) * 100) : 0,
+        };
+        this.publish(job, "progress");
+    }
+
+    finishJob(job) {
+        job.finishedAt = new Date().toISOString();
+        this.publish(job, "status");
+
+        setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+    }
+
+    publish(job, event) {
+        job.events.emit("update", event, this.describeJob(job));
+    }
+
+    isFinished(job) {
+        return this.finishedStatuses.includes(job.status);
+    }
+
+    getJob(id) {
+        const job = this.jobs.get(id);
+        return job ? this.describeJob(job) : null;
+    }
+
+    getResult(id) {
+        const job = this.jobs.get(id);
+        return job ? job.result : null;
+    }
+
+    listJobs() {
+        return Array.from(this.jobs.values()).map((job) =>
+            this.describeJob(job)
+        );
+    }
+
+    cancelJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (this.isFinished(job)) return this.describeJob(job);
+
+        if (job.status === "queued") {
+            job.status = "cancelled";
+            this.finishJob(job);
+        } else {
+            // Services stop at their next farm, then runJob marks the job cancelled
+            job.controller.abort();
+        }
+
+        return this.describeJob(job);
+    }
+
+    subscribe(id, listener) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        job.events.on("update", listener);
+        return () => job.events.off("update", listener);
+    }
+
+    describeJob(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            params: job.params,
+            status: job.status,
+            progress: job.progress,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            error: job.error,
+            finished: this.isFinished(job),
+        };
+    }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,347 @@
+const moment = require("moment");
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const farmRegistryService = require("./farm-registry-service");
+const fetchSchedulerService = require("./fetch-scheduler-service");
+const timeZoneService = require("./time-zone-service");
+
+class LullPeriodsService {
+    constructor() {
+        this.lullThreshold = 11; // km/h at 100m height, roughly a 3 m/s cut-in
+        this.minimumDurationHours = 12; // minimum duration for a lull period
+        this.nzFarmFraction = 0.75; // share of farms becalmed for an NZ-wide lull
+    }
+
+    async analyzeLullPeriods(startDate, endDate, options = {}) {
+        try {
+            const {
+                threshold = this.lullThreshold,
+                minimumDurationHours = this.minimumDurationHours,
+                farmFraction = this.nzFarmFraction,
+            } = options;
+
+            console.log(
+                `Analyzing lull periods from ${startDate} to ${endDate} below ${threshold} km/h`
+            );
+
+            const windFarms = farmRegistryService.getWindFarms();
+            const windFarmAnalysis = [];
+            const nzLullPeriods = [];
+            const dataCoverage = [];
+            const hourlyStatus = new Map();
+
+            // Farms are fetched in parallel, up to the scheduler's concurrency
+            const { result: farmResults, timings } =
+                await fetchSchedulerService.withTimings(() =>
+                    fetchSchedulerService.mapConcurrent(windFarms, (windFarm) =>
+                        this.analyzeWindFarm(
+                            windFarm,
+                            startDate,
+                            endDate,
+                            threshold,
+                            minimumDurationHours
+                        )
+                    )
+                );
+
+            // Combined in farm order, so NZ-wide lulls list farms consistently
+            farmResults.forEach(({ windFarm, coverage, readings, periods }) => {
+                if (!coverage) return;
+                dataCoverage.push(coverage);
+
+                this.recordHourlyStatus(
+                    hourlyStatus,
+                    readings,
+                    windFarm,
+                    threshold
+                );
+
+                if (periods.length > 0) {
+                    windFarmAnalysis.push({
+                        windFarm: windFarm,
+                        periods: periods,
+                        totalPeriods: periods.length,
+                        totalDuration: periods.reduce(
+                            (sum, p) => sum + p.durationHours,
+                            0
+                        ),
+                        longestDuration: Math.max(
+                            ...periods.map((p) => p.durationHours)
+                        ),
+                    });
+
+                    periods.forEach((period) => {
+                        nzLullPeriods.push({
+                            windFarm: windFarm,
+                            ...period,
+                        });
+                    });
+                }
+            });
+
+            nzLullPeriods.sort((a, b) =>
+                moment(a.startTime).diff(moment(b.startTime))
+            );
+
+            const nzWideLulls = this.findNZWideLulls(
+                hourlyStatus,
+                farmFraction,
+                minimumDurationHours
+            );
+
+            return {
+                summary: {
+                    totalWindFarms: windFarms.length,
+                    windFarmsWithLulls: windFarmAnalysis.length,
+                    totalLullPeriods: nzLullPeriods.length,
+                    totalDuration: nzLullPeriods.reduce(
+                        (sum, p) => sum + p.durationHours,
+                        0
+                    ),
+                    totalNZWideLulls: nzWideLulls.length,
+                    nzWideLullHours: nzWideLulls.reduce(
+                        (sum, l) => sum + l.durationHours,
+                        0
+                    ),
+                    dateRange: { start: startDate, end: endDate },
+                    threshold: threshold,
+                    minimumDurationHours: minimumDurationHours,
+                    farmFraction: farmFraction,
+                    dataCoverage: this.summarizeDataCoverage(dataCoverage),
+                },
+                windFarmAnalysis: windFarmAnalysis,
+                nzLullPeriods: nzLullPeriods,
+                nzWideLulls: nzWideLulls,
+                dataCoverage: dataCoverage,
+                timings: timings,
+            };
+        } catch (error) {
+            console.error("Error analyzing lull periods:", error);
+            throw error;
+        }
+    }
+
+    async analyzeWindFarm(
+        windFarm,
+        startDate,
+        endDate,
+        threshold,
+        minimumDurationHours
+    ) {
+        try {
+            console.log(`Analyzing ${windFarm.name}...`);
+
+            const fetchStarted = Date.now();
+            const historical = await windDataService.getHistoricalData(
+                windFarm.lat,
+                windFarm.lon,
+                startDate,
+                endDate
+            );
+            const analysisStarted = Date.now();
+
+            const { readings, quality } =
+                dataQualityService.prepareReadings(historical);
+            const periods = this.findLullPeriods(
+                readings,
+                windFarm,
+                threshold,
+                minimumDurationHours
+            );
+
+            fetchSchedulerService.recordFarm(
+                windFarm.name,
+                analysisStarted - fetchStarted,
+                Date.now() - analysisStarted
+            );
+
+            return {
+                windFarm,
+                coverage: {
+                    windFarm: windFarm.name,
+                    ...dataQualityService.summarizeCoverage(quality),
+                    gaps: quality.series.windSpeed100mKmh.gaps,
+                },
+                readings,
+                periods,
+            };
+        } catch (error) {
+            console.error(`Error analyzing ${windFarm.name}:`, error);
+            return { windFarm, coverage: null, readings: [], periods: [] };
+        }
+    }
+
+    findLullPeriods(
+        data,
+        windFarm,
+        threshold = this.lullThreshold,
+        minimumDurationHours = this.minimumDurationHours
+    ) {
+        const periods = [];
+        let currentPeriod = null;
+
+        const closePeriod = (endTime) => {
+            currentPeriod.endTime = endTime;
+            currentPeriod.durationHours = moment(currentPeriod.endTime).diff(
+                moment(currentPeriod.startTime),
+                "hours",
+                true
+            );
+            currentPeriod.avgWindSpeed =
+                currentPeriod.speedTotal / currentPeriod.readingCount;
+            delete currentPeriod.speedTotal;
+
+            // Only include periods that meet minimum duration
+            if (currentPeriod.durationHours >= minimumDurationHours) {
+                periods.push(currentPeriod);
+            }
+            currentPeriod = null;
+        };
+
+        for (let i = 0; i < data.length; i++) {
+            const reading = data[i];
+            const windSpeed = reading.windSpeed100mKmh;
+            // Missing hours neither start nor end a lull
+            if (windSpeed === null) continue;
+
+            const isCalm = windSpeed < threshold;
+
+            if (isCalm && !currentPeriod) {
+                currentPeriod = {
+                    startTime: reading.timestamp,
+                    minWindSpeed: windSpeed,
+                    maxWindSpeed: windSpeed,
+                    speedTotal: windSpeed,
+                    readingCount: 1,
+                    windFarm: windFarm.name,
+                };
+            } else if (isCalm && currentPeriod) {
+                currentPeriod.minWindSpeed = Math.min(
+                    currentPeriod.minWindSpeed,
+                    windSpeed
+                );
+                currentPeriod.maxWindSpeed = Math.max(
+                    currentPeriod.maxWindSpeed,
+                    windSpeed
+                );
+                currentPeriod.speedTotal += windSpeed;
+                currentPeriod.readingCount++;
+            } else if (!isCalm && currentPeriod) {
+                // Wind has picked up above cut-in
+                closePeriod(reading.timestamp);
+            }
+        }
+
+        // Handle case where the lull extends to end of data
+        if (currentPeriod) {
+            closePeriod(data[data.length - 1].timestamp);
+        }
+
+        return periods;
+    }
+
+    recordHourlyStatus(hourlyStatus, data, windFarm, threshold) {
+        data.forEach((reading) => {
+            if (reading.windSpeed100mKmh === null) return;
+
+            if (!hourlyStatus.has(reading.timestamp)) {
+                hourlyStatus.set(reading.timestamp, {
+                    reportingFarms: 0,
+                    calmFarms: [],
+                    calmCapacity: 0,
+                });
+            }
+
+            const status = hourlyStatus.get(reading.timestamp);
+            status.reportingFarms++;
+            if (reading.windSpeed100mKmh < threshold) {
+                status.calmFarms.push(windFarm.name);
+                status.calmCapacity += windFarm.capacity || 0;
+            }
+        });
+    }
+
+    findNZWideLulls(hourlyStatus, farmFraction, minimumDurationHours) {
+        const lulls = [];
+        let currentLull = null;
+
+        const closeLull = (endTime) => {
+            currentLull.endTime = endTime;
+            currentLull.durationHours = moment(currentLull.endTime).diff(
+                moment(currentLull.startTime),
+                "hours",
+                true
+            );
+            currentLull.avgCalmFraction =
+                currentLull.calmFractionTotal / currentLull.hours;
+            currentLull.windFarms = Array.from(currentLull.windFarms);
+            currentLull.windFarmCount = currentLull.windFarms.length;
+            delete currentLull.calmFractionTotal;
+
+            if (currentLull.durationHours >= minimumDurationHours) {
+                lulls.push(currentLull);
+            }
+            currentLull = null;
+        };
+
+        const timestamps = Array.from(hourlyStatus.keys()).sort();
+
+        timestamps.forEach((timestamp) => {
+            const status = hourlyStatus.get(timestamp);
+            const calmFraction =
+                status.calmFarms.length / status.reportingFarms;
+            const isNZWideLull = calmFraction >= farmFraction;
+
+            if (isNZWideLull && !currentLull) {
+                currentLull = {
+                    startTime: timestamp,
+                    hours: 0,
+                    calmFractionTotal: 0,
+                    peakCalmFraction: 0,
+                    maxCapacityBecalmed: 0,
+                    windFarms: new Set(),
+                };
+            }
+
+            if (isNZWideLull) {
+                currentLull.hours++;
+                currentLull.calmFractionTotal += calmFraction;
+                currentLull.peakCalmFraction = Math.max(
+                    currentLull.peakCalmFraction,
+                    calmFraction
+                );
+                currentLull.maxCapacityBecalmed = Math.max(
+                    currentLull.maxCapacityBecalmed,
+                    status.calmCapacity
+                );
+                status.calmFarms.forEach((name) =>
+                    currentLull.windFarms.add(name)
+                );
+            } else if (currentLull) {
+                closeLull(timestamp);
+            }
+        });
+
+        if (currentLull) {
+            closeLull(timestamps[timestamps.length - 1]);
+        }
+
+        return lulls.sort((a, b) => b.durationHours - a.durationHours);
+    }
+
+    summarizeDataCoverage(dataCoverage) {
+        return {
+            ...dataQualityService.combineCoverage(dataCoverage),
+            farmsWithGaps: dataCoverage.filter((c) => c.longestGapHours > 0)
+                .length,
+        };
+    }
+
+    async getLullSummary(days = 7, options = {}) {
+        const { startDate, endDate } = timeZoneService.recentDays(days);
+
+        return await this.analyzeLullPeriods(startDate, endDate, options);
+    }
+}
+
+module.exports = new LullPeriodsService();
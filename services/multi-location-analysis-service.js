@@ -1,36 +1,31 @@
 const moment = require("moment");
 const windDataService = require("./wind-data-service");
-const fs = require("fs").promises;
-const path = require("path");
+const dataQualityService = require("./data-quality-service");
+const energyEstimationService = require("./energy-estimation-service");
+const windRoseService = require("./wind-rose-service");
+const fetchSchedulerService = require("./fetch-scheduler-service");
+const farmRegistryService = require("./farm-registry-service");
+const timeZoneService = require("./time-zone-service");
 
 class MultiLocationAnalysisService {
     constructor() {
         this.strongWindThreshold = 60; // km/h
-        this.windFarms = null;
     }
 
-    async loadWindFarms() {
+    async analyzeStrongWindEvent(
+        startDate,
+        endDate,
+        threshold = 60,
+        options = {}
+    ) {
         try {
-            const data = await fs.readFile(
-                path.join(__dirname, "../data/nz-wind-farms.json"),
-                "utf8"
-            );
-            this.windFarms = JSON.parse(data).windFarms;
-            return this.windFarms;
-        } catch (error) {
-            console.error("Error loading wind farms:", error);
-            throw error;
-        }
-    }
+            const { onProgress = () => {}, signal, height = "10m" } = options;
 
-    async analyzeStrongWindEvent(startDate, endDate, threshold = 60) {
-        try {
-            if (!this.windFarms) {
-                await this.loadWindFarms();
-            }
+            // Read per run so registry edits apply without a restart
+            const windFarms = farmRegistryService.getWindFarms();
 
             console.log(
-                `Analyzing strong wind event from ${startDate} to ${endDate} across ${this.windFarms.length} wind farms...`
+                `Analyzing strong wind event from ${startDate} to ${endDate} across ${windFarms.length} wind farms...`
             );
 
             const analysisResults = [];
@@ -38,7 +33,7 @@ class MultiLocationAnalysisService {
                 startDate,
                 endDate,
                 threshold,
-                totalFarms: this.windFarms.length,
+                totalFarms: windFarms.length,
                 farmsAnalyzed: 0,
                 farmsWithStrongWinds: 0,
                 maxWindSpeed: 0,
@@ -47,40 +42,51 @@ class MultiLocationAnalysisService {
                 windSpeedRanking: [],
             };
 
-            // Analyze each wind farm
-            for (const farm of this.windFarms) {
-                try {
-                    console.log(`Analyzing ${farm.name}...`);
-
-                    const farmAnalysis = await this.analyzeWindFarmDuringEvent(
-                        farm,
-                        startDate,
-                        endDate,
-                        threshold
-                    );
-
-                    analysisResults.push(farmAnalysis);
-                    eventSummary.farmsAnalyzed++;
-
-                    // Update event summary
-                    if (farmAnalysis.hasStrongWinds) {
-                        eventSummary.farmsWithStrongWinds++;
-                    }
-
-                    if (farmAnalysis.maxWindSpeed > eventSummary.maxWindSpeed) {
-                        eventSummary.maxWindSpeed = farmAnalysis.maxWindSpeed;
-                        eventSummary.maxWindSpeedLocation = farm.name;
-                    }
-
-                    if (farmAnalysis.averageWindSpeed > 0) {
-                        eventSummary.averageWindSpeeds.push({
-                            farmName: farm.name,
-                            averageSpeed: farmAnalysis.averageWindSpeed,
-                            region: farm.region,
-                        });
-                    }
-                } catch (error) {
-                    console.error(`Error analyzing ${farm.name}:`, error);
+            // Analyze wind farms in parallel, up to the scheduler's concurrency
+            let completed = 0;
+            const { result: farmAnalyses, timings } =
+                await fetchSchedulerService.withTimings(
+                    () =>
+                        fetchSchedulerService.mapConcurrent(
+                            windFarms,
+                            async (farm) => {
+                                onProgress({
+                                    completed,
+                                    total: windFarms.length,
+                                    current: farm.name,
+                                });
+
+                                try {
+                                    console.log(`Analyzing ${farm.name}...`);
+
+                                    return {
+                                        farm,
+                                        farmAnalysis:
+                                            await this.analyzeWindFarmDuringEvent(
+                                                farm,
+                                                startDate,
+                                                endDate,
+                                                threshold,
+                                                height
+                                            ),
+                                    };
+                                } catch (error) {
+                                    console.error(
+                                        `Error analyzing ${farm.name}:`,
+                                        error
+                                    );
+                                    return { farm, error };
+                                } finally {
+                                    completed++;
+                                }
+                            },
+                            { signal }
+                        ),
+                    signal
+                );
+
+            farmAnalyses.forEach(({ farm, farmAnalysis, error }) => {
+                if (error) {
                     analysisResults.push({
                         farm: farm,
                         error: error.message,
@@ -88,8 +94,30 @@ class MultiLocationAnalysisService {
                         maxWindSpeed: 0,
                         averageWindSpeed: 0,
                     });
+                    return;
+                }
+
+                analysisResults.push(farmAnalysis);
+                eventSummary.farmsAnalyzed++;
+
+                // Update event summary
+                if (farmAnalysis.hasStrongWinds) {
+                    eventSummary.farmsWithStrongWinds++;
+                }
+
+                if (farmAnalysis.maxWindSpeed > eventSummary.maxWindSpeed) {
+                    eventSummary.maxWindSpeed = farmAnalysis.maxWindSpeed;
+                    eventSummary.maxWindSpeedLocation = farm.name;
                 }
-            }
+
+                if (farmAnalysis.averageWindSpeed !== null) {
+                    eventSummary.averageWindSpeeds.push({
+                        farmName: farm.name,
+                        averageSpeed: farmAnalysis.averageWindSpeed,
+                        region: farm.region,
+                    });
+                }
+            });
 
             // Create wind speed ranking
             eventSummary.windSpeedRanking = analysisResults
@@ -102,6 +130,8 @@ class MultiLocationAnalysisService {
                     maxWindSpeed: result.maxWindSpeed,
                     averageWindSpeed: result.averageWindSpeed,
                     capacity: result.farm.capacity,
+                    energyMWh: result.energy.energyMWh,
+                    capacityFactor: result.energy.capacityFactor,
                 }));
 
             // Calculate overall statistics
@@ -110,7 +140,7 @@ class MultiLocationAnalysisService {
             );
             const averageWindSpeeds = validResults
                 .map((r) => r.averageWindSpeed)
-                .filter((s) => s > 0);
+                .filter((s) => s !== null);
 
             eventSummary.overallStats = {
                 averageWindSpeedAcrossAllFarms:
@@ -130,6 +160,16 @@ class MultiLocationAnalysisService {
                     100,
             };
 
+            // Report how much of the requested data the analysis could use
+            eventSummary.dataCoverage = dataQualityService.combineCoverage(
+                validResults.map((r) =>
+                    dataQualityService.summarizeCoverage(
+                        r.dataQuality,
+                        "windSpeedKmh"
+                    )
+                )
+            );
+
             return {
                 eventSummary,
                 farmResults: analysisResults,
@@ -137,6 +177,7 @@ class MultiLocationAnalysisService {
                     eventSummary,
                     analysisResults
                 ),
+                timings,
             };
         } catch (error) {
             console.error("Error in multi-location analysis:", error);
@@ -144,17 +185,25 @@ class MultiLocationAnalysisService {
         }
     }
 
-    async analyzeWindFarmDuringEvent(farm, startDate, endDate, threshold) {
+    async analyzeWindFarmDuringEvent(
+        farm,
+        startDate,
+        endDate,
+        threshold,
+        height = "10m"
+    ) {
         try {
             // Get wind data for the specific period
-            const windData = await this.getWindDataForPeriod(
+            const fetchStarted = Date.now();
+            const rawData = await this.getWindDataForPeriod(
                 farm.lat,
                 farm.lon,
                 startDate,
                 endDate
             );
+            const analysisStarted = Date.now();
 
-            if (!windData || windData.length === 0) {
+            if (!rawData || rawData.length === 0) {
                 return {
                     farm: farm,
                     error: "No wind data available for this period",
@@ -164,34 +213,37 @@ class MultiLocationAnalysisService {
                 };
             }
 
+            // Fill or skip gaps according to the configured missing data policy
+            const { readings: windData, quality } =
+                dataQualityService.prepareReadings(rawData);
+            const speeds = dataQualityService.getValues(
+                windData,
+                "windSpeedKmh"
+            );
+            const speeds100m = dataQualityService.getValues(
+                windData,
+                "windSpeed100mKmh"
+            );
+            const gusts = dataQualityService.getValues(
+                windData,
+                "windGustsKmh"
+            );
+
             // Analyze wind patterns during the event
             const analysis = {
                 farm: farm,
                 period: { startDate, endDate, threshold },
                 totalReadings: windData.length,
-                maxWindSpeed: Math.max(...windData.map((d) => d.windSpeedKmh)),
-                maxWindSpeed100m: Math.max(
-                    ...windData.map((d) => d.windSpeed100mKmh || 0)
-                ),
-                maxWindGusts: Math.max(
-                    ...windData.map((d) => d.windGustsKmh || 0)
-                ),
-                averageWindSpeed:
-                    windData.reduce((sum, d) => sum + d.windSpeedKmh, 0) /
-                    windData.length,
-                averageWindSpeed100m:
-                    windData.reduce(
-                        (sum, d) => sum + (d.windSpeed100mKmh || 0),
-                        0
-                    ) / windData.length,
-                averageWindGusts:
-                    windData.reduce(
-                        (sum, d) => sum + (d.windGustsKmh || 0),
-                        0
-                    ) / windData.length,
-                strongWindReadings: windData.filter(
-                    (d) => d.windSpeedKmh >= threshold
-                ).length,
+                readingsUsed: speeds.length,
+                dataQuality: quality,
+                maxWindSpeed: dataQualityService.max(speeds),
+                maxWindSpeed100m: dataQualityService.max(speeds100m),
+                maxWindGusts: dataQualityService.max(gusts),
+                averageWindSpeed: dataQualityService.average(speeds),
+                averageWindSpeed100m: dataQualityService.average(speeds100m),
+                averageWindGusts: dataQualityService.average(gusts),
+                strongWindReadings: speeds.filter((speed) => speed >= threshold)
+                    .length,
                 strongWindPercentage: 0,
                 hasStrongWinds: false,
                 strongWindPeriods: this.findStrongWindPeriods(
@@ -199,13 +251,25 @@ class MultiLocationAnalysisService {
                     threshold
                 ),
                 hourlyDistribution: this.calculateHourlyDistribution(windData),
-                windRose: this.calculateWindRose(windData),
+                windRose: windRoseService.calculateWindRose(windData, {
+                    height,
+                    farm,
+                }),
+                energy: energyEstimationService.estimateEnergy(windData, farm),
             };
 
             analysis.strongWindPercentage =
-                (analysis.strongWindReadings / analysis.totalReadings) * 100;
+                speeds.length > 0
+                    ? (analysis.strongWindReadings / speeds.length) * 100
+                    : 0;
             analysis.hasStrongWinds = analysis.strongWindReadings > 0;
 
+            fetchSchedulerService.recordFarm(
+                farm.name,
+                analysisStarted - fetchStarted,
+                Date.now() - analysisStarted
+            );
+
             return analysis;
         } catch (error) {
             console.error(`Error analyzing wind farm ${farm.name}:`, error);
@@ -214,79 +278,13 @@ class MultiLocationAnalysisService {
     }
 
     async getWindDataForPeriod(lat, lon, startDate, endDate) {
-        try {
-            const params = {
-                latitude: parseFloat(lat),
-                longitude: parseFloat(lon),
-                start_date: startDate,
-                end_date: endDate,
-                hourly: [
-                    "wind_speed_10m",
-                    "wind_speed_100m",
-                    "wind_direction_10m",
-                    "wind_direction_100m",
-                    "wind_gusts_10m",
-                    "temperature_2m",
-                    "relative_humidity_2m",
-                    "pressure_msl",
-                ],
-                timezone: "Pacific/Auckland",
-            };
-
-            const { fetchWeatherApi } = require("openmeteo");
-            const responses = await fetchWeatherApi(
-                "https://archive-api.open-meteo.com/v1/archive",
-                params
-            );
-            const response = responses[0];
-
-            const hourly = response.hourly();
-            const utcOffsetSeconds = response.utcOffsetSeconds();
-
-            // Process the hourly data
-            const timeArray = [
-                ...Array(
-                    (Number(hourly.timeEnd()) - Number(hourly.time())) /
-                        hourly.interval()
-                ),
-            ].map(
-                (_, i) =>
-                    new Date(
-                        (Number(hourly.time()) +
-                            i * hourly.interval() +
-                            utcOffsetSeconds) *
-                            1000
-                    )
-            );
-
-            const windSpeed10m = hourly.variables(0).valuesArray();
-            const windSpeed100m = hourly.variables(1).valuesArray();
-            const windDirection10m = hourly.variables(2).valuesArray();
-            const windDirection100m = hourly.variables(3).valuesArray();
-            const windGusts10m = hourly.variables(4).valuesArray();
-            const temperature2m = hourly.variables(5).valuesArray();
-            const relativeHumidity2m = hourly.variables(6).valuesArray();
-            const pressureMsl = hourly.variables(7).valuesArray();
-
-            // Format the data
-            return timeArray.map((time, index) => ({
-                timestamp: time.toISOString(),
-                windSpeed: windSpeed10m[index] || 0,
-                windSpeedKmh: windSpeed10m[index] || 0, // Already in km/h from API
-                windSpeed100m: windSpeed100m[index] || 0,
-                windSpeed100mKmh: windSpeed100m[index] || 0, // Already in km/h from API
-                windDirection: windDirection10m[index] || 0,
-                windDirection100m: windDirection100m[index] || 0,
-                windGusts: windGusts10m[index] || 0,
-                windGustsKmh: windGusts10m[index] || 0, // Already in km/h from API
-                temperature: temperature2m[index] || 0,
-                humidity: relativeHumidity2m[index] || 0,
-                pressure: pressureMsl[index] || 0,
-            }));
-        } catch (error) {
-            console.error("Error fetching wind data for period:", error);
-            return [];
-        }
+        // Goes through the shared service so cached archive days are reused
+        return await windDataService.getHistoricalData(
+            lat,
+            lon,
+            startDate,
+            endDate
+        );
     }
 
     findStrongWindPeriods(data, threshold) {
@@ -295,6 +293,9 @@ class MultiLocationAnalysisService {
 
         for (let i = 0; i < data.length; i++) {
             const reading = data[i];
+            // Missing hours neither start nor end a period
+            if (reading.windSpeedKmh === null) continue;
+
             const isStrongWind = reading.windSpeedKmh >= threshold;
 
             if (isStrongWind && !currentPeriod) {
@@ -368,7 +369,9 @@ class MultiLocationAnalysisService {
         }
 
         data.forEach((reading) => {
-            const hour = moment(reading.timestamp).hour();
+            if (reading.windSpeedKmh === null) return;
+
+            const hour = timeZoneService.localHour(reading.timestamp);
             hourlyStats[hour].count++;
             hourlyStats[hour].totalWindSpeed += reading.windSpeedKmh;
             hourlyStats[hour].maxWindSpeed = Math.max(
@@ -380,78 +383,12 @@ class MultiLocationAnalysisService {
         Object.keys(hourlyStats).forEach((hour) => {
             const stats = hourlyStats[hour];
             stats.avgWindSpeed =
-                stats.count > 0 ? stats.totalWindSpeed / stats.count : 0;
+                stats.count > 0 ? stats.totalWindSpeed / stats.count : null;
         });
 
         return hourlyStats;
     }
 
-    calculateWindRose(data) {
-        const directions = {};
-        const directionNames = [
-            "N",
-            "NNE",
-            "NE",
-            "ENE",
-            "E",
-            "ESE",
-            "SE",
-            "SSE",
-            "S",
-            "SSW",
-            "SW",
-            "WSW",
-            "W",
-            "WNW",
-            "NW",
-            "NNW",
-        ];
-
-        directionNames.forEach((dir) => {
-            directions[dir] = {
-                count: 0,
-                totalSpeed: 0,
-            };
-        });
-
-        data.forEach((reading) => {
-            const direction = this.getWindDirection(reading.windDirection);
-            directions[direction].count++;
-            directions[direction].totalSpeed += reading.windSpeedKmh;
-        });
-
-        Object.keys(directions).forEach((dir) => {
-            const stats = directions[dir];
-            stats.avgSpeed =
-                stats.count > 0 ? stats.totalSpeed / stats.count : 0;
-        });
-
-        return directions;
-    }
-
-    getWindDirection(degrees) {
-        const directions = [
-            "N",
-            "NNE",
-            "NE",
-            "ENE",
-            "E",
-            "ESE",
-            "SE",
-            "SSE",
-            "S",
-            "SSW",
-            "SW",
-            "WSW",
-            "W",
-            "WNW",
-            "NW",
-            "NNW",
-        ];
-        const index = Math.round(degrees / 22.5) % 16;
-        return directions[index];
-    }
-
     calculateMedian(values) {
         if (values.length === 0) return 0;
         const sorted = values.sort((a, b) => a - b);
@@ -530,7 +467,8 @@ class MultiLocationAnalysisService {
         const regionalStats = {};
 
         farmResults.forEach((result) => {
-            if (result.error) return;
+            // Farms without a region in the registry aren't grouped
+            if (result.error || !result.farm.region) return;
 
             const region = result.farm.region;
             if (!regionalStats[region]) {
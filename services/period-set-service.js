@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const timeZoneService = require("./time-zone-service");
+
+class PeriodSetService {
+    constructor() {
+        this.setsDir =
+            process.env.PERIOD_SETS_DIR ||
+            path.join(__dirname, "../data/period-sets");
+        this.maxPeriods = 1000;
+        this.idPattern =
+            /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+    }
+
+    getSetFile(id) {
+        return path.join(this.setsDir, `${id}.json`);
+    }
+
+    createError(status, message, details = []) {
+        const error = new Error(message);
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Accepts periods from a strong wind analysis (startTime/endTime), a JSON
+    // import or a CSV import; zone-less times are read in timeZone
+    normalizePeriods(periods, timeZone = timeZoneService.zone) {
+        if (!Array.isArray(periods) || periods.length === 0) {
+            throw this.createError(400, "periods must be a non-empty array");
+        }
+        if (periods.length > this.maxPeriods) {
+            throw this.createError(
+                400,
+                `A period set can hold at most ${this.maxPeriods} periods`
+            );
+        }
+
+        const errors = [];
+        const normalized = periods.map((period, index) => {
+            if (!period || typeof period !== "object") {
+                errors.push(`periods[${index}] must be an object`);
+                return null;
+            }
+
+            const start = timeZoneService.toUtc(
+                period.start ?? period.startTime,
+                timeZone
+            );
+            const end = timeZoneService.toUtc(
+                period.end ?? period.endTime,
+                timeZone
+            );
+            const maxWindSpeed =
+                period.maxWindSpeed === undefined ||
+                period.maxWindSpeed === null ||
+                period.maxWindSpeed === ""
+                    ? null
+                    : Number(period.maxWindSpeed);
+
+            if (!start || !end) {
+                errors.push(
+                    `periods[${index}] needs a valid start and end, outside the hour skipped when daylight saving starts`
+                );
+            } else if (start > end) {
+                errors.push(`periods[${index}] ends before it starts`);
+            }
+            if (maxWindSpeed !== null && !Number.isFinite(maxWindSpeed)) {
+                errors.push(`periods[${index}] maxWindSpeed must be a number`);
+            }
+
+            return {
+                windFarm: period.windFarm ? String(period.windFarm) : null,
+                start,
+                end,
+                maxWindSpeed,
+            };
+        });
+
+        if (errors.length > 0) {
+            throw this.createError(400, "Invalid periods", errors);
+        }
+
+        return normalized;
+    }
+
+    parseCsv(content) {
+        // Quoted fields are allowed, so exported sets import unchanged
+        const rows = [];
+        let row = [];
+        let field = "";
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ",") {
+                row.push(field);
+                field = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && content[i + 1] === "\n") i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = "";
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const lines = rows.filter((cells) => cells.some((cell) => cell.trim()));
+        if (lines.length === 0) return [];
+
+        const headers = lines[0].map((header) => header.trim());
+        return lines.slice(1).map((cells) => {
+            const period = {};
+            headers.forEach((header, index) => {
+                period[header] = (cells[index] || "").trim();
+            });
+            return period;
+        });
+    }
+
+    async createSet({ name, periods, source = null, timeZone }) {
+        if (name !== undefined && typeof name !== "string") {
+            throw this.createError(400, "name must be a string");
+        }
+        if (source !== null && typeof source !== "object") {
+            throw this.createError(400, "source must be an object");
+        }
+
+        const normalized = this.normalizePeriods(periods, timeZone);
+        const set = {
+            id: crypto.randomUUID(),
+            name: (name || "").trim() || `${normalized.length} periods`,
+            createdAt: new Date().toISOString(),
+            source,
+            periods: normalized,
+        };
+
+        await fs.mkdir(this.setsDir, { recursive: true });
+        // Write then rename, so a set is never read half-written
+        const tempFile = `${this.getSetFile(set.id)}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(set, null, 4));
+        await fs.rename(tempFile, this.getSetFile(set.id));
+
+        return set;
+    }
+
+    async getSet(id) {
+        // IDs become file names, so anything else is simply not found
+        if (!this.idPattern.test(id)) return null;
+
+        try {
+            return JSON.parse(await fs.readFile(this.getSetFile(id), "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    async listSets() {
+        let files;
+        try {
+            files = await fs.readdir(this.setsDir);
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+
+        const sets = [];
+        for (const file of files.filter((f) => f.endsWith(".json"))) {
+            const set = await this.getSet(file.replace(".json", ""));
+            if (set) sets.push(this.describeSet(set));
+        }
+
+        return sets.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async deleteSet(id) {
+        const set = await this.getSet(id);
+        if (!set) return null;
+
+        await fs.rm(this.getSetFile(id), { force: true });
+        return this.describeSet(set);
+    }
+
+    describeSet(set) {
+        return {
+            id: set.id,
+            name: set.name,
+            createdAt: set.createdAt,
+            source: set.source,
+            periodCount: set.periods.length,
+        };
+    }
+}
+
+module.exports = new PeriodSetService();
@@ -0,0 +1,136 @@
+const fs = require("fs").promises;
+const path = require("path");
+const dataQualityService = require("../data-quality-service");
+const timeZoneService = require("../time-zone-service");
+
+class FileProvider {
+    constructor(fixturesDir) {
+        this.name = "file";
+        // Fixtures are already local, caching them again would only go stale
+        this.cacheable = false;
+        this.fixturesDir =
+            fixturesDir || path.join(__dirname, "../../data/fixtures");
+        this.loadedFiles = new Map();
+    }
+
+    getLocationKey(lat, lon) {
+        return `${parseFloat(lat).toFixed(4)}_${parseFloat(lon).toFixed(4)}`;
+    }
+
+    async fetchHistorical(lat, lon, startDate, endDate) {
+        const readings = await this.loadReadings(
+            this.getLocationKey(lat, lon),
+            "default"
+        );
+
+        return readings.filter((reading) => {
+            const day = timeZoneService.localDate(reading.timestamp);
+            return day >= startDate && day <= endDate;
+        });
+    }
+
+    async fetchForecast(lat, lon) {
+        return await this.loadReadings(
+            `${this.getLocationKey(lat, lon)}.forecast`,
+            "default.forecast"
+        );
+    }
+
+    async loadReadings(baseName, fallbackName) {
+        // Prefer a fixture for the exact location, then the shared default
+        const candidates = [baseName, fallbackName].flatMap((name) => [
+            `${name}.json`,
+            `${name}.csv`,
+        ]);
+
+        for (const fileName of candidates) {
+            const filePath = path.join(this.fixturesDir, fileName);
+
+            if (this.loadedFiles.has(filePath)) {
+                return this.loadedFiles.get(filePath);
+            }
+
+            let content;
+            try {
+                content = await fs.readFile(filePath, "utf8");
+            } catch (error) {
+                if (error.code === "ENOENT") continue;
+                throw error;
+            }
+
+            const rows = fileName.endsWith(".csv")
+                ? this.parseCsv(content)
+                : this.parseJson(content);
+            // Zone-less fixture times are NZ local, so they are resolved in
+            // file order to tell the two passes through a repeated hour apart
+            const timestamps = timeZoneService.resolveLocalSeries(
+                rows.map((row) => row.timestamp)
+            );
+            const readings = rows
+                .map((row, index) =>
+                    timestamps[index]
+                        ? this.normalizeReading(row, timestamps[index])
+                        : null
+                )
+                .filter((reading) => reading !== null)
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+            this.loadedFiles.set(filePath, readings);
+            return readings;
+        }
+
+        return [];
+    }
+
+    parseJson(content) {
+        const data = JSON.parse(content);
+        return Array.isArray(data) ? data : data.readings || [];
+    }
+
+    parseCsv(content) {
+        const lines = content
+            .split(/\r?\n/)
+            .map((line) => line.trim())
+            .filter((line) => line && !line.startsWith("#"));
+
+        if (lines.length === 0) return [];
+
+        const headers = lines[0].split(",").map((header) => header.trim());
+
+        return lines.slice(1).map((line) => {
+            const values = line.split(",");
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = (values[index] || "").trim();
+            });
+            return row;
+        });
+    }
+
+    normalizeReading(row, timestamp) {
+        // Empty cells are missing data, not calm hours
+        const number = (value) =>
+            value === "" ? null : dataQualityService.toValue(value);
+
+        const windSpeed = number(row.windSpeedKmh ?? row.windSpeed);
+        const windSpeed100m = number(row.windSpeed100mKmh ?? row.windSpeed100m);
+        const windGusts = number(row.windGustsKmh ?? row.windGusts);
+
+        return {
+            timestamp,
+            windSpeed: windSpeed,
+            windSpeedKmh: windSpeed,
+            windSpeed100m: windSpeed100m,
+            windSpeed100mKmh: windSpeed100m,
+            windDirection: number(row.windDirection),
+            windDirection100m: number(row.windDirection100m),
+            windGusts: windGusts,
+            windGustsKmh: windGusts,
+            temperature: number(row.temperature),
+            humidity: number(row.humidity),
+            pressure: number(row.pressure),
+        };
+    }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,118 @@
+const { fetchWeatherApi } = require("openmeteo");
+const dataQualityService = require("../data-quality-service");
+
+class OpenMeteoProvider {
+    constructor() {
+        this.name = "open-meteo";
+        // Archive responses are immutable once published, so they can be cached
+        this.cacheable = true;
+        this.baseUrl = "https://archive-api.open-meteo.com/v1/archive";
+        this.forecastUrl = "https://api.open-meteo.com/v1/forecast";
+        this.hourlyVariables = [
+            "wind_speed_10m",
+            "wind_speed_100m",
+            "wind_direction_10m",
+            "wind_direction_100m",
+            "wind_gusts_10m",
+            "temperature_2m",
+            "relative_humidity_2m",
+            "pressure_msl",
+        ];
+    }
+
+    async fetchHistorical(lat, lon, startDate, endDate) {
+        const params = {
+            latitude: parseFloat(lat),
+            longitude: parseFloat(lon),
+            start_date: startDate,
+            end_date: endDate,
+            hourly: this.hourlyVariables,
+            timezone: "Pacific/Auckland",
+        };
+
+        const responses = await this.request(this.baseUrl, params);
+        return this.formatResponse(responses[0]);
+    }
+
+    async fetchForecast(lat, lon) {
+        const params = {
+            latitude: parseFloat(lat),
+            longitude: parseFloat(lon),
+            hourly: this.hourlyVariables,
+            timezone: "Pacific/Auckland",
+        };
+
+        const responses = await this.request(this.forecastUrl, params);
+        return this.formatResponse(responses[0]);
+    }
+
+    async request(url, params) {
+        try {
+            // Retries are left to the fetch scheduler, which also backs off on 429s
+            return await fetchWeatherApi(url, params, 1);
+        } catch (error) {
+            // The client only reports the status text or the API's reason
+            const statusTexts = {
+                "Internal Server Error": 500,
+                "Bad Gateway": 502,
+                "Service Unavailable": 503,
+                "Gateway Timeout": 504,
+            };
+            if (/limit exceeded|too many requests/i.test(error.message)) {
+                error.status = 429;
+            } else if (statusTexts[error.message]) {
+                error.status = statusTexts[error.message];
+            } else if (error.message === "fetch failed") {
+                // Network errors (resets, DNS, timeouts) are also transient
+                error.retryable = true;
+            }
+            throw error;
+        }
+    }
+
+    formatResponse(response) {
+        const hourly = response.hourly();
+
+        // Times are UTC epochs; the timezone parameter only sets which local
+        // days start_date and end_date cover
+        const timeArray = [
+            ...Array(
+                (Number(hourly.timeEnd()) - Number(hourly.time())) /
+                    hourly.interval()
+            ),
+        ].map(
+            (_, i) =>
+                new Date((Number(hourly.time()) + i * hourly.interval()) * 1000)
+        );
+
+        const windSpeed10m = hourly.variables(0).valuesArray();
+        const windSpeed100m = hourly.variables(1).valuesArray();
+        const windDirection10m = hourly.variables(2).valuesArray();
+        const windDirection100m = hourly.variables(3).valuesArray();
+        const windGusts10m = hourly.variables(4).valuesArray();
+        const temperature2m = hourly.variables(5).valuesArray();
+        const relativeHumidity2m = hourly.variables(6).valuesArray();
+        const pressureMsl = hourly.variables(7).valuesArray();
+
+        // Format the data, keeping missing values (NaN from the API) as null
+        const value = (values, index) =>
+            dataQualityService.toValue(values[index]);
+
+        return timeArray.map((time, index) => ({
+            timestamp: time.toISOString(),
+            windSpeed: value(windSpeed10m, index),
+            windSpeedKmh: value(windSpeed10m, index), // Already in km/h from API
+            windSpeed100m: value(windSpeed100m, index),
+            windSpeed100mKmh: value(windSpeed100m, index), // Already in km/h from API
+            windDirection: value(windDirection10m, index),
+            windDirection100m: value(windDirection100m, index),
+            windGusts: value(windGusts10m, index),
+            windGustsKmh: value(windGusts10m, index), // Already in km/h from API
+            temperature: value(temperature2m, index),
+            humidity: value(relativeHumidity2m, index),
+            pressure: value(pressureMsl, index),
+        }));
+    }
+}
+
+module.exports = OpenMeteoProvider;
@@ -0,0 +1,310 @@
+const moment = require("moment");
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const energyEstimationService = require("./energy-estimation-service");
+const timeZoneService = require("./time-zone-service");
+
+class RampDetectionService {
+    constructor() {
+        this.defaultThresholdPercent = 20; // % of capacity
+        this.defaultWindowHours = 4;
+        // Severity is graded by how far a ramp exceeds the threshold
+        this.severityLevels = [
+            { name: "severe", multiple: 2.5 },
+            { name: "major", multiple: 1.5 },
+            { name: "minor", multiple: 1 },
+        ];
+    }
+
+    async analyzeRampEvents(startDate, endDate, options = {}) {
+        try {
+            const {
+                thresholdPercent = this.defaultThresholdPercent,
+                windowHours = this.defaultWindowHours,
+            } = options;
+            const windFarms = await energyEstimationService.loadWindFarms();
+
+            console.log(
+                `Detecting ramp events from ${startDate} to ${endDate} across ${windFarms.length} wind farms...`
+            );
+
+            const farmResults = [];
+            const farmOutputs = [];
+
+            for (const farm of windFarms) {
+                try {
+                    console.log(`Analyzing ${farm.name}...`);
+
+                    const rawData = await windDataService.getHistoricalData(
+                        farm.lat,
+                        farm.lon,
+                        startDate,
+                        endDate
+                    );
+                    const { readings, quality } =
+                        dataQualityService.prepareReadings(rawData);
+                    const series = this.buildOutputSeries(readings, farm);
+                    const events = this.detectRamps(
+                        series,
+                        farm.capacity || 0,
+                        thresholdPercent,
+                        windowHours
+                    );
+
+                    farmOutputs.push({ farm, series });
+                    farmResults.push({
+                        farm: farm,
+                        dataCoverage:
+                            dataQualityService.summarizeCoverage(quality),
+                        capacity: farm.capacity || 0,
+                        events: events,
+                        ...this.summarizeEvents(events),
+                    });
+                } catch (error) {
+                    console.error(`Error analyzing ${farm.name}:`, error);
+                    farmResults.push({
+                        farm: farm,
+                        error: error.message,
+                    });
+                }
+            }
+
+            const fleetCapacity = farmOutputs.reduce(
+                (sum, f) => sum + (f.farm.capacity || 0),
+                0
+            );
+            const fleetSeries = this.buildFleetSeries(farmOutputs);
+            const fleetEvents = this.detectRamps(
+                fleetSeries,
+                fleetCapacity,
+                thresholdPercent,
+                windowHours
+            ).map((event) => ({
+                ...event,
+                contributingFarms: this.findContributingFarms(
+                    event,
+                    farmOutputs
+                ),
+            }));
+
+            return {
+                dateRange: { start: startDate, end: endDate },
+                settings: { thresholdPercent, windowHours },
+                fleet: {
+                    capacity: fleetCapacity,
+                    hoursUsed: fleetSeries.filter((p) => p.outputMW !== null)
+                        .length,
+                    events: fleetEvents,
+                    ...this.summarizeEvents(fleetEvents),
+                },
+                farmResults: farmResults,
+            };
+        } catch (error) {
+            console.error("Error detecting ramp events:", error);
+            throw error;
+        }
+    }
+
+    buildOutputSeries(data, farm) {
+        // Ramps are measured on estimated output, derived from the 100m series
+        const { hourlyOutput } = energyEstimationService.estimateEnergy(
+            data,
+            farm,
+            true
+        );
+        const outputByTime = new Map(
+            hourlyOutput.map((hour) => [hour.timestamp, hour.outputMW])
+        );
+
+        return data.map((reading) => ({
+            timestamp: reading.timestamp,
+            outputMW: outputByTime.has(reading.timestamp)
+                ? outputByTime.get(reading.timestamp)
+                : null,
+        }));
+    }
+
+    buildFleetSeries(farmOutputs) {
+        const timestamps = new Set();
+        const outputsByFarm = farmOutputs.map(({ series }) => {
+            const byTime = new Map();
+            series.forEach((point) => {
+                timestamps.add(point.timestamp);
+                byTime.set(point.timestamp, point.outputMW);
+            });
+            return byTime;
+        });
+
+        // An hour only counts towards the fleet total when every farm has output
+        return [...timestamps].sort().map((timestamp) => {
+            let total = 0;
+            for (const byTime of outputsByFarm) {
+                const value = byTime.get(timestamp);
+                if (value === undefined || value === null) {
+                    return { timestamp, outputMW: null };
+                }
+                total += value;
+            }
+            return { timestamp, outputMW: total };
+        });
+    }
+
+    detectRamps(series, capacity, thresholdPercent, windowHours) {
+        if (capacity <= 0) return [];
+
+        const thresholdMW = (thresholdPercent / 100) * capacity;
+        const windows = [];
+
+        for (let i = 0; i + windowHours < series.length; i++) {
+            const start = series[i];
+            const end = series[i + windowHours];
+            if (start.outputMW === null || end.outputMW === null) continue;
+
+            // Skip windows that span holes in the timeline
+            const span = moment(end.timestamp).diff(
+                moment(start.timestamp),
+                "hours"
+            );
+            if (span !== windowHours) continue;
+
+            const change = end.outputMW - start.outputMW;
+            if (Math.abs(change) >= thresholdMW) {
+                windows.push({
+                    direction: change > 0 ? "up" : "down",
+                    startIndex: i,
+                    endIndex: i + windowHours,
+                });
+            }
+        }
+
+        // Overlapping windows in the same direction are one ramp
+        const merged = [];
+        windows.forEach((window) => {
+            const last = merged[merged.length - 1];
+            if (
+                last &&
+                last.direction === window.direction &&
+                window.startIndex <= last.endIndex
+            ) {
+                last.endIndex = Math.max(last.endIndex, window.endIndex);
+            } else {
+                merged.push({ ...window });
+            }
+        });
+
+        return merged.map((ramp) =>
+            this.describeRamp(series, ramp, capacity, thresholdPercent)
+        );
+    }
+
+    describeRamp(series, ramp, capacity, thresholdPercent) {
+        // Trim the merged windows to the last trough and first peak of the ramp
+        const isUp = ramp.direction === "up";
+        let startIndex = ramp.startIndex;
+        for (let i = ramp.startIndex; i <= ramp.endIndex; i++) {
+            const value = series[i].outputMW;
+            if (value === null) continue;
+            if (
+                isUp
+                    ? value <= series[startIndex].outputMW
+                    : value >= series[startIndex].outputMW
+            ) {
+                startIndex = i;
+            }
+        }
+
+        let endIndex = startIndex;
+        for (let i = startIndex; i <= ramp.endIndex; i++) {
+            const value = series[i].outputMW;
+            if (value === null) continue;
+            if (
+                isUp
+                    ? value > series[endIndex].outputMW
+                    : value < series[endIndex].outputMW
+            ) {
+                endIndex = i;
+            }
+        }
+
+        const start = series[startIndex];
+        const end = series[endIndex];
+        const changeMW = end.outputMW - start.outputMW;
+        const changePercent = (Math.abs(changeMW) / capacity) * 100;
+        const durationHours = moment(end.timestamp).diff(
+            moment(start.timestamp),
+            "hours"
+        );
+
+        return {
+            direction: ramp.direction,
+            severity: this.classifyRamp(changePercent, thresholdPercent),
+            startTime: start.timestamp,
+            endTime: end.timestamp,
+            durationHours,
+            startMW: start.outputMW,
+            endMW: end.outputMW,
+            changeMW,
+            changePercent,
+            rateMWPerHour: durationHours > 0 ? changeMW / durationHours : null,
+        };
+    }
+
+    classifyRamp(changePercent, thresholdPercent) {
+        const level = this.severityLevels.find(
+            (l) => changePercent >= thresholdPercent * l.multiple
+        );
+        return level ? level.name : "minor";
+    }
+
+    findContributingFarms(event, farmOutputs) {
+        const contributions = [];
+
+        farmOutputs.forEach(({ farm, series }) => {
+            const start = series.find((p) => p.timestamp === event.startTime);
+            const end = series.find((p) => p.timestamp === event.endTime);
+            if (!start || !end || start.outputMW === null) return;
+            if (end.outputMW === null) return;
+
+            const changeMW = end.outputMW - start.outputMW;
+            // Only farms moving the same way as the fleet contribute
+            if (changeMW === 0 || changeMW > 0 !== event.changeMW > 0) return;
+
+            contributions.push({
+                windFarm: farm.name,
+                changeMW,
+                sharePercent: (changeMW / event.changeMW) * 100,
+            });
+        });
+
+        return contributions.sort(
+            (a, b) => Math.abs(b.changeMW) - Math.abs(a.changeMW)
+        );
+    }
+
+    summarizeEvents(events) {
+        const up = events.filter((e) => e.direction === "up");
+        const down = events.filter((e) => e.direction === "down");
+        const largest = (list) =>
+            list.length
+                ? list.reduce((a, b) =>
+                      Math.abs(b.changeMW) > Math.abs(a.changeMW) ? b : a
+                  )
+                : null;
+
+        return {
+            totalRamps: events.length,
+            upRamps: up.length,
+            downRamps: down.length,
+            largestUpRamp: largest(up),
+            largestDownRamp: largest(down),
+        };
+    }
+
+    async getRampSummary(days = 7, options = {}) {
+        const { startDate, endDate } = timeZoneService.recentDays(days);
+
+        return await this.analyzeRampEvents(startDate, endDate, options);
+    }
+}
+
+module.exports = new RampDetectionService();
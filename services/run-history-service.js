@@ -0,0 +1,309 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const windDataService = require("./wind-data-service");
+const windDataCacheService = require("./wind-data-cache-service");
+const dataQualityService = require("./data-quality-service");
+
+class RunHistoryService {
+    constructor() {
+        this.dbPath =
+            process.env.RUN_HISTORY_DB ||
+            path.join(__dirname, "../data/run-history.db");
+        this.defaultLimit = 50;
+        this.maxLimit = 500;
+        // Opened on first use, so a bad path fails the history routes, not startup
+        this.db = null;
+    }
+
+    getDb() {
+        if (this.db) return this.db;
+
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        const db = new Database(this.dbPath);
+        db.pragma("journal_mode = WAL");
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS runs (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL,
+                name TEXT NOT NULL,
+                params TEXT NOT NULL,
+                data_source TEXT NOT NULL,
+                started_at TEXT NOT NULL,
+                finished_at TEXT NOT NULL,
+                summary TEXT,
+                result TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS runs_by_type
+                ON runs (type, finished_at);
+        `);
+
+        this.db = db;
+        return db;
+    }
+
+    createError(status, message, details = []) {
+        const error = new Error(message);
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // Everything that can change a result besides the parameters
+    getDataSource() {
+        const provider = windDataService.provider;
+        return {
+            provider: provider.name,
+            cached: windDataCacheService.enabled && provider.cacheable,
+            missingDataPolicy: dataQualityService.policy,
+        };
+    }
+
+    getDefaultName(type, params, result) {
+        switch (type) {
+            case "strong-wind-periods": {
+                const { start, end } = result.summary.dateRange;
+                return `Strong wind periods ${start} to ${end}`;
+            }
+            case "time-periods": {
+                const count = result.timePeriods.length;
+                return `${count} time period${count === 1 ? "" : "s"}`;
+            }
+            case "multi-location":
+                return `Multi-location ${params.startDate} to ${params.endDate}`;
+            default:
+                return type;
+        }
+    }
+
+    recordRun({ type, params, result, startedAt, name = null }) {
+        const run = {
+            id: crypto.randomUUID(),
+            type,
+            name: name || this.getDefaultName(type, params, result),
+            params,
+            dataSource: this.getDataSource(),
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            summary: result.summary || null,
+        };
+
+        this.getDb()
+            .prepare(
+                `INSERT INTO runs (id, type, name, params, data_source,
+                    started_at, finished_at, summary, result)
+                VALUES (@id, @type, @name, @params, @dataSource,
+                    @startedAt, @finishedAt, @summary, @result)`
+            )
+            .run({
+                ...run,
+                params: JSON.stringify(params),
+                dataSource: JSON.stringify(run.dataSource),
+                summary: JSON.stringify(run.summary),
+                result: JSON.stringify(result),
+            });
+
+        return run;
+    }
+
+    // Recording is a side effect of an analysis, so a failure is only logged
+    tryRecordRun(run) {
+        try {
+            return this.recordRun(run);
+        } catch (error) {
+            console.error(`Error recording ${run.type} run:`, error);
+            return null;
+        }
+    }
+
+    listRuns({ type = null, limit = this.defaultLimit } = {}) {
+        const rows = this.getDb()
+            .prepare(
+                `SELECT id, type, name, params, data_source, started_at,
+                    finished_at, summary
+                FROM runs
+                WHERE @type IS NULL OR type = @type
+                ORDER BY finished_at DESC
+                LIMIT @limit`
+            )
+            .all({ type, limit: Math.min(limit, this.maxLimit) });
+
+        return rows.map((row) => this.describeRun(row));
+    }
+
+    getRun(id) {
+        const row = this.getRow(id);
+        if (!row) return null;
+
+        return { ...this.describeRun(row), result: JSON.parse(row.result) };
+    }
+
+    renameRun(id, name) {
+        if (typeof name !== "string" || !name.trim()) {
+            throw this.createError(400, "name must be a non-empty string");
+        }
+
+        const { changes } = this.getDb()
+            .prepare("UPDATE runs SET name = ? WHERE id = ?")
+            .run(name.trim(), String(id));
+        return changes > 0 ? this.describeRun(this.getRow(id)) : null;
+    }
+
+    deleteRun(id) {
+        const row = this.getRow(id);
+        if (!row) return null;
+
+        this.getDb().prepare("DELETE FROM runs WHERE id = ?").run(row.id);
+        return this.describeRun(row);
+    }
+
+    getRow(id) {
+        return this.getDb()
+            .prepare("SELECT * FROM runs WHERE id = ?")
+            .get(String(id));
+    }
+
+    describeRun(row) {
+        return {
+            id: row.id,
+            type: row.type,
+            name: row.name,
+            params: JSON.parse(row.params),
+            dataSource: JSON.parse(row.data_source),
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            summary: JSON.parse(row.summary),
+        };
+    }
+
+    // What changed from one run to another: parameters, data source, summary
+    // figures and, for the types that have them, individual periods
+    diffRuns(fromId, toId) {
+        const from = this.getRun(fromId);
+        const to = this.getRun(toId);
+        if (!from || !to) return null;
+
+        if (from.type !== to.type) {
+            throw this.createError(
+                400,
+                "Only runs of the same type can be compared"
+            );
+        }
+
+        const { result: fromResult, ...fromRun } = from;
+        const { result: toResult, ...toRun } = to;
+
+        return {
+            from: fromRun,
+            to: toRun,
+            params: this.diffFields(from.params, to.params),
+            dataSource: this.diffFields(from.dataSource, to.dataSource),
+            summary: this.diffFields(
+                this.flattenNumbers(from.summary),
+                this.flattenNumbers(to.summary)
+            ).map((change) => ({
+                ...change,
+                change:
+                    typeof change.from === "number" &&
+                    typeof change.to === "number"
+                        ? change.to - change.from
+                        : null,
+            })),
+            items: this.diffItems(
+                this.getItems(from.type, fromResult),
+                this.getItems(to.type, toResult)
+            ),
+        };
+    }
+
+    diffFields(from = {}, to = {}) {
+        const fields = new Set([
+            ...Object.keys(from || {}),
+            ...Object.keys(to || {}),
+        ]);
+
+        return Array.from(fields)
+            .filter(
+                (field) =>
+                    JSON.stringify(from?.[field]) !==
+                    JSON.stringify(to?.[field])
+            )
+            .map((field) => ({
+                field,
+                from: from?.[field] ?? null,
+                to: to?.[field] ?? null,
+            }));
+    }
+
+    // { dataCoverage: { coveragePercent: 98 } } -> { "dataCoverage.coveragePercent": 98 }
+    flattenNumbers(value, prefix = "", flat = {}) {
+        if (!value || typeof value !== "object") return flat;
+
+        Object.entries(value).forEach(([key, item]) => {
+            const field = prefix ? `${prefix}.${key}` : key;
+            if (typeof item === "number") {
+                flat[field] = item;
+            } else if (
+                item &&
+                typeof item === "object" &&
+                !Array.isArray(item)
+            ) {
+                this.flattenNumbers(item, field, flat);
+            }
+        });
+
+        return flat;
+    }
+
+    // Comparable rows of a result, keyed so the same period matches across runs
+    getItems(type, result) {
+        switch (type) {
+            case "strong-wind-periods":
+                return result.nzStrongWindPeriods.map((period) => ({
+                    key: `${period.windFarm} ${period.startTime}`,
+                    windFarm: period.windFarm,
+                    startTime: period.startTime,
+                    endTime: period.endTime,
+                    durationHours: period.durationHours,
+                    maxWindSpeed: period.maxWindSpeed,
+                }));
+            case "time-periods":
+                return result.farms.flatMap((farm) =>
+                    result.timePeriods.map((period, index) => ({
+                        key: `${farm.name} ${period.start}`,
+                        windFarm: farm.name,
+                        start: period.start,
+                        end: period.end,
+                        averageSpeed: farm.averageSpeeds[index],
+                        energyMWh: farm.energyMWh[index],
+                        capacityFactor: farm.capacityFactors[index],
+                    }))
+                );
+            default:
+                return [];
+        }
+    }
+
+    diffItems(fromItems, toItems) {
+        const fromByKey = new Map(fromItems.map((item) => [item.key, item]));
+        const toByKey = new Map(toItems.map((item) => [item.key, item]));
+
+        const changed = [];
+        toItems.forEach((item) => {
+            const previous = fromByKey.get(item.key);
+            if (!previous) return;
+
+            const changes = this.diffFields(previous, item);
+            if (changes.length > 0) changed.push({ ...item, changes });
+        });
+
+        return {
+            added: toItems.filter((item) => !fromByKey.has(item.key)),
+            removed: fromItems.filter((item) => !toByKey.has(item.key)),
+            changed,
+        };
+    }
+}
+
+module.exports = new RunHistoryService();
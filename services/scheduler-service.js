@@ -0,0 +1,374 @@
+const crypto = require("crypto");
+const cron = require("node-cron");
+const runHistoryService = require("./run-history-service");
+const timeZoneService = require("./time-zone-service");
+
+class SchedulerService {
+    constructor() {
+        this.enabled = process.env.SCHEDULER_ENABLED !== "false";
+        // Cron expressions are read as NZ time, daylight saving included
+        this.timeZone = timeZoneService.zone;
+        // Added once, when the schedules table is first created, so deleting
+        // one of them sticks across restarts
+        this.defaultSchedules = [
+            {
+                name: "Nightly strong wind scan",
+                task: "strong-wind-summary",
+                cron: "0 5 * * *",
+                params: { days: 1 },
+            },
+            {
+                name: "Archive cache warm-up",
+                task: "cache-warm-up",
+                cron: "0 2 * * *",
+                params: { days: 7 },
+            },
+            {
+                name: "Forecast alert check",
+                task: "alert-check",
+                cron: "10 * * * *",
+                params: {},
+            },
+            {
+                name: "Weekly climatology refresh",
+                task: "climatology-refresh",
+                cron: "0 3 * * 0",
+                params: {},
+            },
+        ];
+        this.defaultRunLimit = 20;
+        this.tasks = {};
+        this.cronTasks = new Map();
+        this.running = new Set();
+        this.db = null;
+    }
+
+    // Schedules and their outcomes live alongside the analysis run history
+    getDb() {
+        if (this.db) return this.db;
+
+        const db = runHistoryService.getDb();
+        const isNew = !db
+            .prepare(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schedules'"
+            )
+            .get();
+
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS schedules (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                task TEXT NOT NULL,
+                cron TEXT NOT NULL,
+                params TEXT NOT NULL,
+                paused INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS schedule_runs (
+                id TEXT PRIMARY KEY,
+                schedule_id TEXT NOT NULL,
+                status TEXT NOT NULL,
+                started_at TEXT NOT NULL,
+                finished_at TEXT NOT NULL,
+                summary TEXT,
+                error TEXT,
+                run_id TEXT
+            );
+            CREATE INDEX IF NOT EXISTS schedule_runs_by_schedule
+                ON schedule_runs (schedule_id, started_at);
+        `);
+        this.db = db;
+
+        if (isNew) {
+            this.defaultSchedules.forEach((schedule) =>
+                this.insertSchedule(schedule)
+            );
+        }
+
+        return db;
+    }
+
+    createError(status, message, details = []) {
+        const error = new Error(message);
+        error.status = status;
+        error.details = details;
+        return error;
+    }
+
+    // tasks maps a task name to { parse, run, describe, historyType }, where
+    // results of tasks with a historyType are saved to the run history
+    start(tasks) {
+        this.tasks = tasks;
+
+        if (!this.enabled) {
+            console.log("Scheduler disabled, scheduled tasks will not run");
+            return;
+        }
+
+        try {
+            this.listSchedules()
+                .filter((schedule) => !schedule.paused)
+                .forEach((schedule) => this.register(schedule));
+            console.log(`Scheduler started with ${this.cronTasks.size} jobs`);
+        } catch (error) {
+            console.error("Error starting scheduler:", error);
+        }
+    }
+
+    register(schedule) {
+        if (!this.enabled || this.cronTasks.has(schedule.id)) return;
+
+        const cronTask = cron.schedule(
+            schedule.cron,
+            () => {
+                this.runSchedule(schedule.id).catch((error) =>
+                    console.error(
+                        `Error running schedule "${schedule.name}":`,
+                        error
+                    )
+                );
+            },
+            { timezone: this.timeZone }
+        );
+        this.cronTasks.set(schedule.id, cronTask);
+    }
+
+    unregister(id) {
+        const cronTask = this.cronTasks.get(id);
+        if (!cronTask) return;
+
+        cronTask.stop();
+        this.cronTasks.delete(id);
+    }
+
+    validateSchedule(schedule) {
+        if (
+            !schedule ||
+            typeof schedule !== "object" ||
+            Array.isArray(schedule)
+        ) {
+            return ["schedule must be a JSON object"];
+        }
+
+        const { name, task, cron: expression, params = {} } = schedule;
+        const errors = [];
+
+        if (typeof name !== "string" || !name.trim()) {
+            errors.push("name must be a non-empty string");
+        }
+        if (typeof expression !== "string" || !cron.validate(expression)) {
+            errors.push("cron must be a valid cron expression, e.g. 0 5 * * *");
+        }
+        if (
+            schedule.paused !== undefined &&
+            typeof schedule.paused !== "boolean"
+        ) {
+            errors.push("paused must be true or false");
+        }
+        if (!this.tasks[task]) {
+            errors.push(
+                `task must be one of: ${Object.keys(this.tasks).join(", ")}`
+            );
+        } else if (!params || typeof params !== "object") {
+            errors.push("params must be an object");
+        } else {
+            const parsed = this.tasks[task].parse(params);
+            if (parsed.error) errors.push(parsed.error);
+        }
+
+        return errors;
+    }
+
+    createSchedule(schedule) {
+        const errors = this.validateSchedule(schedule);
+        if (errors.length > 0) {
+            throw this.createError(400, "Invalid schedule", errors);
+        }
+
+        const created = this.insertSchedule({
+            ...schedule,
+            name: schedule.name.trim(),
+        });
+        if (!created.paused) this.register(created);
+
+        return this.getSchedule(created.id);
+    }
+
+    insertSchedule({ name, task, cron: expression, params = {}, paused }) {
+        const id = crypto.randomUUID();
+        this.getDb()
+            .prepare(
+                `INSERT INTO schedules (id, name, task, cron, params, paused,
+                    created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`
+            )
+            .run(
+                id,
+                name,
+                task,
+                expression,
+                JSON.stringify(params),
+                paused ? 1 : 0,
+                new Date().toISOString()
+            );
+
+        return this.getSchedule(id);
+    }
+
+    listSchedules() {
+        return this.getDb()
+            .prepare("SELECT * FROM schedules ORDER BY created_at")
+            .all()
+            .map((row) => this.describeSchedule(row));
+    }
+
+    getSchedule(id) {
+        const row = this.getDb()
+            .prepare("SELECT * FROM schedules WHERE id = ?")
+            .get(String(id));
+        return row ? this.describeSchedule(row) : null;
+    }
+
+    setPaused(id, paused) {
+        const { changes } = this.getDb()
+            .prepare("UPDATE schedules SET paused = ? WHERE id = ?")
+            .run(paused ? 1 : 0, String(id));
+        if (changes === 0) return null;
+
+        if (paused) {
+            this.unregister(String(id));
+        } else {
+            this.register(this.getSchedule(id));
+        }
+        return this.getSchedule(id);
+    }
+
+    deleteSchedule(id) {
+        const schedule = this.getSchedule(id);
+        if (!schedule) return null;
+
+        this.unregister(schedule.id);
+        this.getDb()
+            .prepare("DELETE FROM schedule_runs WHERE schedule_id = ?")
+            .run(schedule.id);
+        this.getDb()
+            .prepare("DELETE FROM schedules WHERE id = ?")
+            .run(schedule.id);
+        return schedule;
+    }
+
+    async runSchedule(id) {
+        const schedule = this.getSchedule(id);
+        if (!schedule) return null;
+
+        // A slow run still going when its next time comes round is left alone
+        if (this.running.has(schedule.id)) {
+            console.log(
+                `Schedule "${schedule.name}" is still running, skipping`
+            );
+            return null;
+        }
+
+        const task = this.tasks[schedule.task];
+        const outcome = {
+            id: crypto.randomUUID(),
+            scheduleId: schedule.id,
+            status: "completed",
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            summary: null,
+            error: null,
+            runId: null,
+        };
+
+        this.running.add(schedule.id);
+        console.log(`Running scheduled task "${schedule.name}"`);
+
+        try {
+            const parsed = task.parse(schedule.params);
+            if (parsed.error) throw new Error(parsed.error);
+
+            const result = await task.run(parsed, {});
+            outcome.summary = task.describe(result);
+
+            if (task.historyType) {
+                const run = runHistoryService.recordRun({
+                    type: task.historyType,
+                    name: `${schedule.name}: ${runHistoryService.getDefaultName(
+                        task.historyType,
+                        schedule.params,
+                        result
+                    )}`,
+                    params: schedule.params,
+                    result,
+                    startedAt: outcome.startedAt,
+                });
+                outcome.runId = run.id;
+            }
+        } catch (error) {
+            console.error(`Scheduled task "${schedule.name}" failed:`, error);
+            outcome.status = "failed";
+            outcome.error = error.message;
+        } finally {
+            this.running.delete(schedule.id);
+        }
+
+        outcome.finishedAt = new Date().toISOString();
+        this.getDb()
+            .prepare(
+                `INSERT INTO schedule_runs (id, schedule_id, status, started_at,
+                    finished_at, summary, error, run_id)
+                VALUES (@id, @scheduleId, @status, @startedAt, @finishedAt,
+                    @summary, @error, @runId)`
+            )
+            .run(outcome);
+
+        return outcome;
+    }
+
+    listRuns(scheduleId, limit = this.defaultRunLimit) {
+        return this.getDb()
+            .prepare(
+                `SELECT * FROM schedule_runs
+                WHERE schedule_id = ?
+                ORDER BY started_at DESC
+                LIMIT ?`
+            )
+            .all(String(scheduleId), limit)
+            .map((row) => this.describeOutcome(row));
+    }
+
+    describeSchedule(row) {
+        const lastRun = this.listRuns(row.id, 1)[0] || null;
+
+        return {
+            id: row.id,
+            name: row.name,
+            task: row.task,
+            cron: row.cron,
+            timeZone: this.timeZone,
+            params: JSON.parse(row.params),
+            paused: row.paused === 1,
+            // Also false for every schedule when the scheduler is disabled
+            active: this.cronTasks.has(row.id),
+            running: this.running.has(row.id),
+            createdAt: row.created_at,
+            lastRun,
+        };
+    }
+
+    describeOutcome(row) {
+        return {
+            id: row.id,
+            scheduleId: row.schedule_id,
+            status: row.status,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at,
+            summary: row.summary,
+            error: row.error,
+            runId: row.run_id,
+        };
+    }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,233 @@
+const moment = require("moment");
+const strongWindPeriodsService = require("./strong-wind-periods-service");
+const farmRegistryService = require("./farm-registry-service");
+const windShearService = require("./wind-shear-service");
+const timeZoneService = require("./time-zone-service");
+
+class StormPropagationService {
+    constructor() {
+        // A plane needs at least three farms to fit a direction and speed
+        this.minimumFarms = 3;
+        this.kmPerDegreeLat = 110.57;
+        this.kmPerDegreeLon = 111.32;
+    }
+
+    async analyzeStormPropagation(
+        startDate,
+        endDate,
+        height = "100m",
+        minimumFarms = this.minimumFarms
+    ) {
+        try {
+            const analysis =
+                await strongWindPeriodsService.analyzeStrongWindPeriods(
+                    startDate,
+                    endDate,
+                    { height }
+                );
+
+            console.log(
+                `Tracking propagation of ${analysis.nzWideEvents.length} NZ-wide events...`
+            );
+
+            const events = analysis.nzWideEvents
+                .filter((event) => event.windFarmCount >= minimumFarms)
+                .map((event) => this.trackEvent(event));
+            const tracked = events.filter((e) => e.propagation !== null);
+
+            return {
+                summary: {
+                    dateRange: { start: startDate, end: endDate },
+                    height: height,
+                    totalNZWideEvents: analysis.nzWideEvents.length,
+                    eventsTracked: tracked.length,
+                    medianSpeedKmh: this.median(
+                        tracked.map((e) => e.propagation.speedKmh)
+                    ),
+                    predominantDirection: this.predominantDirection(tracked),
+                    dataCoverage: analysis.summary.dataCoverage,
+                },
+                events: events,
+            };
+        } catch (error) {
+            console.error("Error analyzing storm propagation:", error);
+            throw error;
+        }
+    }
+
+    trackEvent(event) {
+        // Each farm's onset is the start of its first period in the event
+        const onsets = {};
+        event.periods.forEach((period) => {
+            if (
+                !onsets[period.windFarm] ||
+                moment(period.startTime).isBefore(onsets[period.windFarm])
+            ) {
+                onsets[period.windFarm] = period.startTime;
+            }
+        });
+
+        const farmsByName = {};
+        farmRegistryService.getWindFarms().forEach((farm) => {
+            farmsByName[farm.name] = farm;
+        });
+
+        const arrivals = Object.entries(onsets)
+            .filter(([name]) => farmsByName[name])
+            .map(([name, onsetTime]) => ({
+                windFarm: name,
+                lat: farmsByName[name].lat,
+                lon: farmsByName[name].lon,
+                onsetTime,
+            }))
+            .sort((a, b) => moment(a.onsetTime).diff(moment(b.onsetTime)));
+
+        const first = arrivals[0];
+        const arrivalSequence = arrivals.map((arrival, index) => ({
+            order: index + 1,
+            windFarm: arrival.windFarm,
+            onsetTime: arrival.onsetTime,
+            lagHours: moment(arrival.onsetTime).diff(
+                moment(first.onsetTime),
+                "hours",
+                true
+            ),
+            distanceFromFirstKm: this.distanceKm(first, arrival),
+        }));
+
+        return {
+            startTime: event.startTime,
+            endTime: event.endTime,
+            durationHours: event.durationHours,
+            windFarmCount: event.windFarmCount,
+            maxWindSpeed: event.maxWindSpeed,
+            arrivalSequence: arrivalSequence,
+            propagation: this.fitPropagation(arrivals),
+        };
+    }
+
+    toLocalKm(point, origin) {
+        // Equirectangular projection is accurate enough over NZ's extent
+        return {
+            x:
+                (point.lon - origin.lon) *
+                this.kmPerDegreeLon *
+                Math.cos((origin.lat * Math.PI) / 180),
+            y: (point.lat - origin.lat) * this.kmPerDegreeLat,
+        };
+    }
+
+    distanceKm(a, b) {
+        const { x, y } = this.toLocalKm(b, a);
+        return Math.sqrt(x * x + y * y);
+    }
+
+    fitPropagation(arrivals) {
+        if (arrivals.length < this.minimumFarms) return null;
+
+        // Least-squares plane through onset times: t = t0 + sx*x + sy*y,
+        // where (sx, sy) is the slowness vector in hours per km
+        const origin = arrivals[0];
+        const points = arrivals.map((arrival) => ({
+            ...this.toLocalKm(arrival, origin),
+            t: moment(arrival.onsetTime).diff(
+                moment(origin.onsetTime),
+                "hours",
+                true
+            ),
+        }));
+
+        const n = points.length;
+        const sum = (fn) => points.reduce((total, p) => total + fn(p), 0);
+        const matrix = [
+            [n, sum((p) => p.x), sum((p) => p.y)],
+            [sum((p) => p.x), sum((p) => p.x * p.x), sum((p) => p.x * p.y)],
+            [sum((p) => p.y), sum((p) => p.x * p.y), sum((p) => p.y * p.y)],
+        ];
+        const vector = [
+            sum((p) => p.t),
+            sum((p) => p.x * p.t),
+            sum((p) => p.y * p.t),
+        ];
+
+        const solution = this.solve3x3(matrix, vector);
+        // Farms in a line (or all at the same onset) cannot fix a direction
+        if (!solution) return null;
+
+        const [t0, sx, sy] = solution;
+        const slowness = Math.sqrt(sx * sx + sy * sy);
+        if (slowness < 1e-9) return null;
+
+        const bearing = ((Math.atan2(sx, sy) * 180) / Math.PI + 360) % 360;
+        const meanT = sum((p) => p.t) / n;
+        const totalVariance = sum((p) => Math.pow(p.t - meanT, 2));
+        const residualVariance = sum((p) =>
+            Math.pow(p.t - (t0 + sx * p.x + sy * p.y), 2)
+        );
+
+        return {
+            // Bearing the front travels towards, clockwise from north
+            directionDegrees: bearing,
+            direction:
+                windShearService.directionNames[
+                    Math.round(bearing / 22.5) % 16
+                ],
+            speedKmh: 1 / slowness,
+            rSquared:
+                totalVariance > 0 ? 1 - residualVariance / totalVariance : null,
+            farmsUsed: n,
+        };
+    }
+
+    solve3x3(matrix, vector) {
+        // Cramer's rule
+        const det = (m) =>
+            m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+        const determinant = det(matrix);
+        if (Math.abs(determinant) < 1e-9) return null;
+
+        return [0, 1, 2].map((column) => {
+            const replaced = matrix.map((row, i) =>
+                row.map((value, j) => (j === column ? vector[i] : value))
+            );
+            return det(replaced) / determinant;
+        });
+    }
+
+    median(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2
+            ? sorted[middle]
+            : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    predominantDirection(events) {
+        const counts = {};
+        events.forEach((event) => {
+            const direction = event.propagation.direction;
+            counts[direction] = (counts[direction] || 0) + 1;
+        });
+
+        const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return ranked.length ? ranked[0][0] : null;
+    }
+
+    async getPropagationSummary(days = 7, height = "100m", minimumFarms) {
+        const { startDate, endDate } = timeZoneService.recentDays(days);
+
+        return await this.analyzeStormPropagation(
+            startDate,
+            endDate,
+            height,
+            minimumFarms
+        );
+    }
+}
+
+module.exports = new StormPropagationService();
@@ -1,89 +1,119 @@
 const moment = require("moment");
 const windDataService = require("./wind-data-service");
-const fs = require("fs");
-const path = require("path");
+const dataQualityService = require("./data-quality-service");
+const windShearService = require("./wind-shear-service");
+const fetchSchedulerService = require("./fetch-scheduler-service");
+const farmRegistryService = require("./farm-registry-service");
+const timeZoneService = require("./time-zone-service");
 
 class StrongWindPeriodsService {
     constructor() {
         this.strongWindThreshold = 60; // km/h at 100m height
         this.minimumDurationHours = 6; // minimum duration for a strong wind period
-        this.windFarms = this.loadWindFarms();
+        this.metrics = ["sustained", "gust"];
     }
 
-    loadWindFarms() {
-        try {
-            const windFarmsData = JSON.parse(
-                fs.readFileSync(
-                    path.join(__dirname, "../data/nz-wind-farms.json"),
-                    "utf8"
-                )
+    getRules(options = {}) {
+        const {
+            threshold = this.strongWindThreshold,
+            endThreshold = threshold,
+            minimumDurationHours = this.minimumDurationHours,
+            height = "100m",
+            metric = "sustained",
+            gapToleranceHours = 0,
+        } = options;
+
+        if (!this.metrics.includes(metric)) {
+            throw new Error(
+                `Unknown metric "${metric}", expected one of: ${this.metrics.join(
+                    ", "
+                )}`
             );
-            return windFarmsData.windFarms.map((farm) => ({
-                name: farm.name,
-                lat: farm.lat,
-                lon: farm.lon,
-                region: farm.region,
-                capacity: farm.capacity,
-                operator: farm.operator,
-            }));
-        } catch (error) {
-            console.error("Error loading wind farms:", error);
-            return [];
         }
+
+        return {
+            threshold,
+            endThreshold,
+            minimumDurationHours,
+            height,
+            metric,
+            gapToleranceHours,
+            // Gusts are only reported at 10m, so height only applies to sustained wind
+            speedField:
+                metric === "gust"
+                    ? "windGustsKmh"
+                    : windShearService.getSpeedField(height),
+        };
     }
 
-    async analyzeStrongWindPeriods(startDate, endDate) {
+    async analyzeStrongWindPeriods(startDate, endDate, options = {}) {
         try {
+            const rules = this.getRules(options);
+            const { onProgress = () => {}, signal } = options;
+            const windFarms = farmRegistryService.getWindFarms();
+
             console.log(
-                `Analyzing strong wind periods from ${startDate} to ${endDate}`
+                `Analyzing strong wind periods from ${startDate} to ${endDate} using ${rules.speedField} >= ${rules.threshold} km/h`
             );
 
             const windFarmAnalysis = [];
             const nzStrongWindPeriods = [];
+            const dataCoverage = [];
+            let completed = 0;
 
-            // Analyze each wind farm location
-            for (const windFarm of this.windFarms) {
-                try {
-                    console.log(`Analyzing ${windFarm.name}...`);
-
-                    const windData = await windDataService.getWindData(
-                        windFarm.lat,
-                        windFarm.lon,
-                        startDate,
-                        endDate
-                    );
-
-                    const periods = this.findStrongWindPeriods(
-                        windData.historical,
-                        windFarm
-                    );
-
-                    if (periods.length > 0) {
-                        windFarmAnalysis.push({
-                            windFarm: windFarm,
-                            periods: periods,
-                            totalPeriods: periods.length,
-                            totalDuration: periods.reduce(
-                                (sum, p) => sum + p.durationHours,
-                                0
-                            ),
-                            maxWindSpeed: Math.max(
-                                ...periods.map((p) => p.maxWindSpeed)
-                            ),
-                        });
+            // Farms are fetched in parallel, up to the scheduler's concurrency
+            const { result: farmResults, timings } =
+                await fetchSchedulerService.withTimings(
+                    () =>
+                        fetchSchedulerService.mapConcurrent(
+                            windFarms,
+                            async (windFarm) => {
+                                onProgress({
+                                    completed,
+                                    total: windFarms.length,
+                                    current: windFarm.name,
+                                });
+                                const result = await this.analyzeWindFarm(
+                                    windFarm,
+                                    startDate,
+                                    endDate,
+                                    rules
+                                );
+                                completed++;
+                                return result;
+                            },
+                            { signal }
+                        ),
+                    signal
+                );
+
+            farmResults.forEach(({ windFarm, coverage, periods }) => {
+                if (!coverage) return;
+                dataCoverage.push(coverage);
+
+                if (periods.length > 0) {
+                    windFarmAnalysis.push({
+                        windFarm: windFarm,
+                        periods: periods,
+                        totalPeriods: periods.length,
+                        totalDuration: periods.reduce(
+                            (sum, p) => sum + p.durationHours,
+                            0
+                        ),
+                        maxWindSpeed: Math.max(
+                            ...periods.map((p) => p.maxWindSpeed)
+                        ),
+                    });
 
-                        // Add to NZ-wide strong wind periods
-                        periods.forEach((period) => {
-                            nzStrongWindPeriods.push({
-                                windFarm: windFarm,
-                                ...period,
-                            });
+                    // Add to NZ-wide strong wind periods
+                    periods.forEach((period) => {
+                        nzStrongWindPeriods.push({
+                            windFarm: windFarm,
+                            ...period,
                         });
-                    }
-                } catch (error) {
-                    console.error(`Error analyzing ${windFarm.name}:`, error);
+                    });
                 }
-            }
+            });
 
             // Sort periods by start time
             nzStrongWindPeriods.sort((a, b) =>
@@ -92,22 +122,31 @@ class StrongWindPeriodsService {
 
             // Group periods by date to find NZ-wide strong wind days
             const periodsByDate = this.groupPeriodsByDate(nzStrongWindPeriods);
+            // Merge overlapping periods into NZ-wide events spanning midnight
+            const nzWideEvents = this.clusterNZWideEvents(nzStrongWindPeriods);
 
             return {
                 summary: {
-                    totalWindFarms: this.windFarms.length,
+                    totalWindFarms: windFarms.length,
                     windFarmsWithStrongWinds: windFarmAnalysis.length,
                     totalStrongWindPeriods: nzStrongWindPeriods.length,
                     totalDuration: nzStrongWindPeriods.reduce(
                         (sum, e) => sum + e.durationHours,
                         0
                     ),
+                    totalNZWideEvents: nzWideEvents.length,
                     dateRange: { start: startDate, end: endDate },
+                    height: rules.height,
+                    rules: rules,
+                    dataCoverage: this.summarizeDataCoverage(dataCoverage),
                 },
                 windFarmAnalysis: windFarmAnalysis,
                 nzStrongWindPeriods: nzStrongWindPeriods,
                 periodsByDate: periodsByDate,
                 nzStrongWindDays: this.findNZStrongWindDays(periodsByDate),
+                nzWideEvents: nzWideEvents,
+                dataCoverage: dataCoverage,
+                timings: timings,
             };
         } catch (error) {
             console.error("Error analyzing strong wind periods:", error);
@@ -115,56 +154,66 @@ class StrongWindPeriodsService {
         }
     }
 
-    findStrongWindPeriods(data, windFarm) {
-        const periods = [];
-        let currentPeriod = null;
+    async analyzeWindFarm(windFarm, startDate, endDate, rules) {
+        try {
+            console.log(`Analyzing ${windFarm.name}...`);
 
-        for (let i = 0; i < data.length; i++) {
-            const reading = data[i];
-            // Use only 100m wind speed (turbine height)
-            const windSpeed100m = reading.windSpeed100mKmh || 0;
-            const isStrongWind = windSpeed100m >= this.strongWindThreshold;
-
-            if (isStrongWind && !currentPeriod) {
-                // Start of a strong wind period
-                currentPeriod = {
-                    startTime: reading.timestamp,
-                    startWindSpeed: windSpeed100m,
-                    maxWindSpeed: windSpeed100m,
-                    readings: [reading],
-                    windFarm: windFarm.name,
-                };
-            } else if (isStrongWind && currentPeriod) {
-                // Continuation of strong wind period
-                currentPeriod.readings.push(reading);
-                currentPeriod.maxWindSpeed = Math.max(
-                    currentPeriod.maxWindSpeed,
-                    windSpeed100m
-                );
-            } else if (!isStrongWind && currentPeriod) {
-                // End of strong wind period
-                currentPeriod.endTime = reading.timestamp;
-                currentPeriod.durationHours = moment(
-                    currentPeriod.endTime
-                ).diff(moment(currentPeriod.startTime), "hours", true);
-                currentPeriod.avgWindSpeed =
-                    currentPeriod.readings.reduce(
-                        (sum, r) => sum + (r.windSpeed100mKmh || 0),
-                        0
-                    ) / currentPeriod.readings.length;
+            const fetchStarted = Date.now();
+            const historical = await windDataService.getHistoricalData(
+                windFarm.lat,
+                windFarm.lon,
+                startDate,
+                endDate
+            );
+            const analysisStarted = Date.now();
 
-                // Only include periods that meet minimum duration
-                if (currentPeriod.durationHours >= this.minimumDurationHours) {
-                    periods.push(currentPeriod);
-                }
+            // Fill or skip gaps according to the configured missing data policy
+            const prepared = dataQualityService.prepareReadings(historical);
+            const quality = prepared.quality;
+            // Extrapolate to this farm's hub using the measured 10m/100m shear
+            const readings =
+                rules.speedField === "windSpeedHubKmh"
+                    ? windShearService.addHubHeightSpeeds(
+                          prepared.readings,
+                          windFarm.hubHeight || 100
+                      )
+                    : prepared.readings;
+            const periods = this.findStrongWindPeriods(
+                readings,
+                windFarm,
+                rules
+            );
 
-                currentPeriod = null;
-            }
+            fetchSchedulerService.recordFarm(
+                windFarm.name,
+                analysisStarted - fetchStarted,
+                Date.now() - analysisStarted
+            );
+
+            return {
+                windFarm,
+                coverage: {
+                    windFarm: windFarm.name,
+                    ...dataQualityService.summarizeCoverage(quality),
+                    gaps: quality.series.windSpeed100mKmh.gaps,
+                },
+                periods,
+            };
+        } catch (error) {
+            console.error(`Error analyzing ${windFarm.name}:`, error);
+            return { windFarm, coverage: null, periods: [] };
         }
+    }
 
-        // Handle case where period extends to end of data
-        if (currentPeriod) {
-            currentPeriod.endTime = data[data.length - 1].timestamp;
+    findStrongWindPeriods(data, windFarm, rules = this.getRules()) {
+        const periods = [];
+        const speedField = rules.speedField;
+        let currentPeriod = null;
+        // Sub-threshold hours held back until we know whether the period resumes
+        let gapReadings = [];
+
+        const closePeriod = (endTime) => {
+            currentPeriod.endTime = endTime;
             currentPeriod.durationHours = moment(currentPeriod.endTime).diff(
                 moment(currentPeriod.startTime),
                 "hours",
@@ -172,23 +221,88 @@ class StrongWindPeriodsService {
             );
             currentPeriod.avgWindSpeed =
                 currentPeriod.readings.reduce(
-                    (sum, r) => sum + (r.windSpeed100mKmh || 0),
+                    (sum, r) => sum + r[speedField],
                     0
                 ) / currentPeriod.readings.length;
 
-            if (currentPeriod.durationHours >= this.minimumDurationHours) {
+            // Only include periods that meet minimum duration
+            if (currentPeriod.durationHours >= rules.minimumDurationHours) {
                 periods.push(currentPeriod);
             }
+
+            currentPeriod = null;
+            gapReadings = [];
+        };
+
+        for (let i = 0; i < data.length; i++) {
+            const reading = data[i];
+            // Use the selected metric and height (100m sustained unless requested)
+            const windSpeed = reading[speedField];
+            // Missing hours neither start nor end a period
+            if (windSpeed === null) continue;
+
+            if (!currentPeriod) {
+                if (windSpeed >= rules.threshold) {
+                    // Start of a strong wind period
+                    currentPeriod = {
+                        startTime: reading.timestamp,
+                        startWindSpeed: windSpeed,
+                        maxWindSpeed: windSpeed,
+                        readings: [reading],
+                        gapHours: 0,
+                        windFarm: windFarm.name,
+                    };
+                }
+                continue;
+            }
+
+            // Once started, a period holds until the wind drops below the end threshold
+            if (windSpeed >= rules.endThreshold) {
+                // Continuation of strong wind period, absorbing any tolerated gap
+                currentPeriod.readings.push(...gapReadings, reading);
+                currentPeriod.gapHours += gapReadings.length;
+                gapReadings = [];
+                currentPeriod.maxWindSpeed = Math.max(
+                    currentPeriod.maxWindSpeed,
+                    windSpeed
+                );
+            } else if (gapReadings.length < rules.gapToleranceHours) {
+                gapReadings.push(reading);
+            } else {
+                // End of strong wind period at the first hour back below threshold
+                closePeriod(
+                    gapReadings.length
+                        ? gapReadings[0].timestamp
+                        : reading.timestamp
+                );
+            }
+        }
+
+        // Handle case where period extends to end of data
+        if (currentPeriod) {
+            closePeriod(
+                gapReadings.length
+                    ? gapReadings[0].timestamp
+                    : data[data.length - 1].timestamp
+            );
         }
 
         return periods;
     }
 
+    summarizeDataCoverage(dataCoverage) {
+        return {
+            ...dataQualityService.combineCoverage(dataCoverage),
+            farmsWithGaps: dataCoverage.filter((c) => c.longestGapHours > 0)
+                .length,
+        };
+    }
+
     groupPeriodsByDate(periods) {
         const grouped = {};
 
         periods.forEach((period) => {
-            const date = moment(period.startTime).format("YYYY-MM-DD");
+            const date = timeZoneService.localDate(period.startTime);
             if (!grouped[date]) {
                 grouped[date] = [];
             }
@@ -229,11 +343,98 @@ class StrongWindPeriodsService {
         );
     }
 
-    async getStrongWindSummary(days = 7) {
-        const endDate = moment().format("YYYY-MM-DD");
-        const startDate = moment().subtract(days, "days").format("YYYY-MM-DD");
+    clusterNZWideEvents(periods) {
+        const sorted = [...periods].sort((a, b) =>
+            moment(a.startTime).diff(moment(b.startTime))
+        );
+        const clusters = [];
+
+        sorted.forEach((period) => {
+            const current = clusters[clusters.length - 1];
+            // Periods that overlap or touch belong to the same event
+            if (current && !moment(period.startTime).isAfter(current.endTime)) {
+                current.periods.push(period);
+                if (moment(period.endTime).isAfter(current.endTime)) {
+                    current.endTime = period.endTime;
+                }
+            } else {
+                clusters.push({
+                    startTime: period.startTime,
+                    endTime: period.endTime,
+                    periods: [period],
+                });
+            }
+        });
+
+        return clusters.map((cluster) => {
+            const timeline = this.buildEventTimeline(cluster);
+            const peak = timeline.reduce(
+                (best, hour) => (hour.farmCount > best.farmCount ? hour : best),
+                timeline[0]
+            );
+            const windFarms = Array.from(
+                new Set(cluster.periods.map((p) => p.windFarm))
+            );
+
+            return {
+                startTime: cluster.startTime,
+                endTime: cluster.endTime,
+                durationHours: moment(cluster.endTime).diff(
+                    moment(cluster.startTime),
+                    "hours",
+                    true
+                ),
+                windFarms: windFarms,
+                windFarmCount: windFarms.length,
+                peakSimultaneousFarms: peak ? peak.farmCount : 0,
+                peakTime: peak ? peak.timestamp : null,
+                maxWindSpeed: Math.max(
+                    ...cluster.periods.map((p) => p.maxWindSpeed)
+                ),
+                periods: cluster.periods.map((p) => ({
+                    windFarm: p.windFarm,
+                    startTime: p.startTime,
+                    endTime: p.endTime,
+                    durationHours: p.durationHours,
+                    maxWindSpeed: p.maxWindSpeed,
+                })),
+                timeline: timeline,
+            };
+        });
+    }
+
+    buildEventTimeline(cluster) {
+        const timeline = [];
+        const end = moment(cluster.endTime);
+
+        // A period's end time is the first hour back below threshold
+        for (
+            let hour = moment(cluster.startTime);
+            hour.isBefore(end);
+            hour.add(1, "hour")
+        ) {
+            const activeFarms = cluster.periods
+                .filter(
+                    (p) =>
+                        !hour.isBefore(p.startTime) && hour.isBefore(p.endTime)
+                )
+                .map((p) => p.windFarm);
+
+            timeline.push({
+                timestamp: hour.toISOString(),
+                farmCount: new Set(activeFarms).size,
+                windFarms: Array.from(new Set(activeFarms)),
+            });
+        }
+
+        return timeline;
+    }
+
+    async getStrongWindSummary(days = 7, options = {}) {
+        // NZ calendar days, so a scan early in the NZ morning covers yesterday
+        const { startDate, endDate } = timeZoneService.recentDays(days);
 
-        return await this.analyzeStrongWindPeriods(startDate, endDate);
+        return await this.analyzeStrongWindPeriods(startDate, endDate, options);
     }
 }
 
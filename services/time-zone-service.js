@@ -0,0 +1,129 @@
+const moment = require("moment-timezone");
+
+class TimeZoneService {
+    constructor() {
+        // Readings are UTC instants; calendar days and hours are NZ local
+        this.zone = "Pacific/Auckland";
+        this.displayZones = ["Pacific/Auckland", "UTC"];
+        this.localFormat = "YYYY-MM-DDTHH:mm:ss";
+        this.offsetPattern = /(Z|[+-]\d{2}:?\d{2})$/i;
+        this.utcPattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+        // Bound so it can be handed straight to JSON.stringify and Express
+        this.replaceTimestamps = this.replaceTimestamps.bind(this);
+    }
+
+    isDisplayZone(zone) {
+        return this.displayZones.includes(zone);
+    }
+
+    hasOffset(value) {
+        return this.offsetPattern.test(String(value).trim());
+    }
+
+    // Zone-less values are wall-clock times in `zone`. Returns null for
+    // unparseable times and for local times skipped when daylight saving
+    // starts; a repeated local hour resolves to its first (daylight) occurrence.
+    toUtc(value, zone = this.zone) {
+        const text = String(value).trim();
+
+        if (this.hasOffset(text)) {
+            const instant = moment.utc(text, moment.ISO_8601, true);
+            return instant.isValid() ? instant.toISOString() : null;
+        }
+
+        const local = moment.tz(text, moment.ISO_8601, true, zone);
+        if (!local.isValid()) return null;
+
+        // moment shifts skipped times forward an hour instead of rejecting them
+        const wallClock = moment.utc(text, moment.ISO_8601, true);
+        if (
+            local.format(this.localFormat) !==
+            wallClock.format(this.localFormat)
+        ) {
+            return null;
+        }
+
+        return local.toISOString();
+    }
+
+    // For sorted zone-less series (e.g. fixtures) the second pass through a
+    // repeated hour follows the first, so it gets the standard time offset
+    resolveLocalSeries(values, zone = this.zone) {
+        let previous = null;
+
+        return values.map((value) => {
+            if (this.hasOffset(value)) {
+                previous = this.toUtc(value);
+                return previous;
+            }
+
+            let instant = this.toUtc(value, zone);
+            if (instant && previous && instant <= previous) {
+                const later = moment.utc(instant).add(1, "hour");
+                if (
+                    later.clone().tz(zone).format(this.localFormat) ===
+                    moment.tz(instant, zone).format(this.localFormat)
+                ) {
+                    instant = later.toISOString();
+                }
+            }
+
+            if (instant) previous = instant;
+            return instant;
+        });
+    }
+
+    toZone(timestamp, zone = this.zone) {
+        return moment.tz(timestamp, zone);
+    }
+
+    // A Date whose UTC fields read as the wall clock in `zone`. Uses the
+    // zone's offset table directly, as these run for every hourly reading.
+    toWallClock(timestamp, zone = this.zone) {
+        const time = new Date(timestamp).getTime();
+        const offsetMinutes = moment.tz.zone(zone).utcOffset(time);
+        return new Date(time - offsetMinutes * 60000);
+    }
+
+    localDate(timestamp, zone = this.zone) {
+        return this.toWallClock(timestamp, zone).toISOString().substring(0, 10);
+    }
+
+    // The last `days` NZ calendar days up to today, for the summary routes
+    recentDays(days, now = new Date()) {
+        const endDate = this.localDate(now);
+        const startDate = moment
+            .utc(endDate)
+            .subtract(days, "days")
+            .format("YYYY-MM-DD");
+
+        return { startDate, endDate };
+    }
+
+    localHour(timestamp, zone = this.zone) {
+        return this.toWallClock(timestamp, zone).getUTCHours();
+    }
+
+    localMonth(timestamp, zone = this.zone) {
+        return this.toWallClock(timestamp, zone).getUTCMonth() + 1;
+    }
+
+    // ISO 8601 with the zone's offset at that instant, e.g. +13:00 in summer
+    formatWithOffset(timestamp, zone = this.zone) {
+        return this.toZone(timestamp, zone).format();
+    }
+
+    // UTC timestamp strings get an explicit NZ offset, other values pass through
+    withOffset(value) {
+        return typeof value === "string" && this.utcPattern.test(value)
+            ? this.formatWithOffset(value)
+            : value;
+    }
+
+    // For JSON.stringify, so whole API responses can be converted at once
+    replaceTimestamps(key, value) {
+        return this.withOffset(value);
+    }
+}
+
+module.exports = new TimeZoneService();
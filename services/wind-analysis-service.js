@@ -1,5 +1,10 @@
 const moment = require("moment");
 const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const windShearService = require("./wind-shear-service");
+const windStatisticsService = require("./wind-statistics-service");
+const windRoseService = require("./wind-rose-service");
+const timeZoneService = require("./time-zone-service");
 
 class WindAnalysisService {
     constructor() {
@@ -7,26 +12,64 @@ class WindAnalysisService {
         this.extremeWindThreshold = 100; // km/h
     }
 
-    async analyzeWindPatterns(lat, lon) {
+    async analyzeWindPatterns(lat, lon, options = {}) {
         try {
+            const {
+                height = "10m",
+                hubHeight = 100,
+                binWidth,
+                onProgress = () => {},
+                signal,
+            } = options;
+            const speedField = windShearService.getSpeedField(height);
+
+            // A single location has two steps: fetching, then analysing
+            onProgress({ completed: 0, total: 2, current: "Fetching data" });
             const windData = await windDataService.getWindData(lat, lon);
+            if (signal) signal.throwIfAborted();
+            onProgress({ completed: 1, total: 2, current: "Analyzing" });
 
             // Combine all data sources
-            const allData = [...windData.historical, ...windData.forecast].sort(
-                (a, b) => moment(a.timestamp).diff(moment(b.timestamp))
-            );
+            const combinedData = [
+                ...windData.historical,
+                ...windData.forecast,
+            ].sort((a, b) => moment(a.timestamp).diff(moment(b.timestamp)));
+
+            // Fill or skip gaps according to the configured missing data policy
+            const { readings: preparedData, quality } =
+                dataQualityService.prepareReadings(combinedData);
+            const allData =
+                height === "hub"
+                    ? windShearService.addHubHeightSpeeds(
+                          preparedData,
+                          hubHeight
+                      )
+                    : preparedData;
 
             const analysis = {
                 location: windData.location,
                 threshold: this.strongWindThreshold,
                 extremeThreshold: this.extremeWindThreshold,
-                summary: this.calculateSummary(allData),
-                strongWindPeriods: this.findStrongWindPeriods(allData),
+                height: height,
+                hubHeight: height === "hub" ? hubHeight : null,
+                dataQuality: quality,
+                summary: this.calculateSummary(allData, speedField),
+                strongWindPeriods: this.findStrongWindPeriods(
+                    allData,
+                    speedField
+                ),
                 hourlyDistribution: this.calculateHourlyDistribution(allData),
                 dailyDistribution: this.calculateDailyDistribution(allData),
-                windRose: this.calculateWindRose(allData),
+                windRose: windRoseService.calculateWindRose(allData, {
+                    height,
+                }),
                 windGustAnalysis: this.analyzeWindGusts(allData),
                 heightComparison: this.compareWindHeights(allData),
+                speedDistribution: windStatisticsService.analyzeDistribution(
+                    allData,
+                    "windSpeed100mKmh",
+                    binWidth
+                ),
                 recommendations: this.generateRecommendations(allData),
             };
 
@@ -37,36 +80,42 @@ class WindAnalysisService {
         }
     }
 
-    calculateSummary(data) {
+    calculateSummary(data, speedField = "windSpeedKmh") {
         const totalReadings = data.length;
-        const strongWindReadings = data.filter(
-            (d) => d.windSpeedKmh >= this.strongWindThreshold
+        const speeds = dataQualityService.getValues(data, speedField);
+        const speeds100m = dataQualityService.getValues(
+            data,
+            "windSpeed100mKmh"
+        );
+        const gusts = dataQualityService.getValues(data, "windGustsKmh");
+        const strongWindReadings = speeds.filter(
+            (speed) => speed >= this.strongWindThreshold
         ).length;
-        const extremeWindReadings = data.filter(
-            (d) => d.windSpeedKmh >= this.extremeWindThreshold
+        const extremeWindReadings = speeds.filter(
+            (speed) => speed >= this.extremeWindThreshold
         ).length;
-        const maxWindSpeed = Math.max(...data.map((d) => d.windSpeedKmh));
-        const maxWindSpeed100m = Math.max(
-            ...data.map((d) => d.windSpeed100mKmh || 0)
-        );
-        const maxWindGusts = Math.max(...data.map((d) => d.windGustsKmh || 0));
-        const avgWindSpeed =
-            data.reduce((sum, d) => sum + d.windSpeedKmh, 0) / totalReadings;
-        const avgWindSpeed100m =
-            data.reduce((sum, d) => sum + (d.windSpeed100mKmh || 0), 0) /
-            totalReadings;
 
         return {
+            speedField,
             totalReadings,
+            // Percentages are relative to the readings that actually have data
+            validReadings: speeds.length,
+            validReadings100m: speeds100m.length,
             strongWindReadings,
-            strongWindPercentage: (strongWindReadings / totalReadings) * 100,
+            strongWindPercentage: this.percentage(
+                strongWindReadings,
+                speeds.length
+            ),
             extremeWindReadings,
-            extremeWindPercentage: (extremeWindReadings / totalReadings) * 100,
-            maxWindSpeed,
-            maxWindSpeed100m,
-            maxWindGusts,
-            averageWindSpeed: avgWindSpeed,
-            averageWindSpeed100m: avgWindSpeed100m,
+            extremeWindPercentage: this.percentage(
+                extremeWindReadings,
+                speeds.length
+            ),
+            maxWindSpeed: dataQualityService.max(speeds),
+            maxWindSpeed100m: dataQualityService.max(speeds100m),
+            maxWindGusts: dataQualityService.max(gusts),
+            averageWindSpeed: dataQualityService.average(speeds),
+            averageWindSpeed100m: dataQualityService.average(speeds100m),
             dataTimeSpan: {
                 start: data[0]?.timestamp,
                 end: data[data.length - 1]?.timestamp,
@@ -74,22 +123,29 @@ class WindAnalysisService {
         };
     }
 
-    findStrongWindPeriods(data) {
+    percentage(count, total) {
+        return total > 0 ? (count / total) * 100 : 0;
+    }
+
+    findStrongWindPeriods(data, speedField = "windSpeedKmh") {
         const periods = [];
         let currentPeriod = null;
 
         for (let i = 0; i < data.length; i++) {
             const reading = data[i];
+            // Missing hours neither start nor end a period
+            if (reading[speedField] === null) continue;
+
             const isStrongWind =
-                reading.windSpeedKmh >= this.strongWindThreshold;
+                reading[speedField] >= this.strongWindThreshold;
 
             if (isStrongWind && !currentPeriod) {
                 // Start of a strong wind period
                 currentPeriod = {
                     start: reading.timestamp,
-                    startWindSpeed: reading.windSpeedKmh,
-                    startWindSpeed100m: reading.windSpeed100mKmh || 0,
-                    startWindGusts: reading.windGustsKmh || 0,
+                    startWindSpeed: reading[speedField],
+                    startWindSpeed100m: reading.windSpeed100mKmh,
+                    startWindGusts: reading.windGustsKmh,
                     readings: [reading],
                 };
             } else if (isStrongWind && currentPeriod) {
@@ -98,7 +154,7 @@ class WindAnalysisService {
             } else if (!isStrongWind && currentPeriod) {
                 // End of strong wind period
                 currentPeriod.end = reading.timestamp;
-                currentPeriod.endWindSpeed = reading.windSpeedKmh;
+                currentPeriod.endWindSpeed = reading[speedField];
                 const duration = moment.duration(
                     moment(currentPeriod.end).diff(moment(currentPeriod.start))
                 );
@@ -109,19 +165,23 @@ class WindAnalysisService {
                     totalMilliseconds: duration.asMilliseconds(),
                 };
                 currentPeriod.maxWindSpeed = Math.max(
-                    ...currentPeriod.readings.map((r) => r.windSpeedKmh)
+                    ...currentPeriod.readings.map((r) => r[speedField])
                 );
-                currentPeriod.maxWindSpeed100m = Math.max(
-                    ...currentPeriod.readings.map(
-                        (r) => r.windSpeed100mKmh || 0
+                currentPeriod.maxWindSpeed100m = dataQualityService.max(
+                    dataQualityService.getValues(
+                        currentPeriod.readings,
+                        "windSpeed100mKmh"
                     )
                 );
-                currentPeriod.maxWindGusts = Math.max(
-                    ...currentPeriod.readings.map((r) => r.windGustsKmh || 0)
+                currentPeriod.maxWindGusts = dataQualityService.max(
+                    dataQualityService.getValues(
+                        currentPeriod.readings,
+                        "windGustsKmh"
+                    )
                 );
                 currentPeriod.avgWindSpeed =
                     currentPeriod.readings.reduce(
-                        (sum, r) => sum + r.windSpeedKmh,
+                        (sum, r) => sum + r[speedField],
                         0
                     ) / currentPeriod.readings.length;
 
@@ -143,17 +203,23 @@ class WindAnalysisService {
                 totalMilliseconds: duration.asMilliseconds(),
             };
             currentPeriod.maxWindSpeed = Math.max(
-                ...currentPeriod.readings.map((r) => r.windSpeedKmh)
+                ...currentPeriod.readings.map((r) => r[speedField])
             );
-            currentPeriod.maxWindSpeed100m = Math.max(
-                ...currentPeriod.readings.map((r) => r.windSpeed100mKmh || 0)
+            currentPeriod.maxWindSpeed100m = dataQualityService.max(
+                dataQualityService.getValues(
+                    currentPeriod.readings,
+                    "windSpeed100mKmh"
+                )
             );
-            currentPeriod.maxWindGusts = Math.max(
-                ...currentPeriod.readings.map((r) => r.windGustsKmh || 0)
+            currentPeriod.maxWindGusts = dataQualityService.max(
+                dataQualityService.getValues(
+                    currentPeriod.readings,
+                    "windGustsKmh"
+                )
             );
             currentPeriod.avgWindSpeed =
                 currentPeriod.readings.reduce(
-                    (sum, r) => sum + r.windSpeedKmh,
+                    (sum, r) => sum + r[speedField],
                     0
                 ) / currentPeriod.readings.length;
 
@@ -164,274 +230,147 @@ class WindAnalysisService {
     }
 
     analyzeWindGusts(data) {
+        const gusts = dataQualityService.getValues(data, "windGustsKmh");
         const gustAnalysis = {
             totalReadings: data.length,
-            gustReadings: data.filter((d) => (d.windGustsKmh || 0) > 0).length,
-            maxGust: Math.max(...data.map((d) => d.windGustsKmh || 0)),
-            avgGust:
-                data.reduce((sum, d) => sum + (d.windGustsKmh || 0), 0) /
-                data.length,
-            strongGustReadings: data.filter(
-                (d) => (d.windGustsKmh || 0) >= this.strongWindThreshold
+            validReadings: gusts.length,
+            gustReadings: gusts.filter((gust) => gust > 0).length,
+            maxGust: dataQualityService.max(gusts),
+            avgGust: dataQualityService.average(gusts),
+            strongGustReadings: gusts.filter(
+                (gust) => gust >= this.strongWindThreshold
             ).length,
-            extremeGustReadings: data.filter(
-                (d) => (d.windGustsKmh || 0) >= this.extremeWindThreshold
+            extremeGustReadings: gusts.filter(
+                (gust) => gust >= this.extremeWindThreshold
             ).length,
         };
 
-        gustAnalysis.gustPercentage =
-            (gustAnalysis.gustReadings / gustAnalysis.totalReadings) * 100;
-        gustAnalysis.strongGustPercentage =
-            (gustAnalysis.strongGustReadings / gustAnalysis.totalReadings) *
-            100;
-        gustAnalysis.extremeGustPercentage =
-            (gustAnalysis.extremeGustReadings / gustAnalysis.totalReadings) *
-            100;
+        gustAnalysis.gustPercentage = this.percentage(
+            gustAnalysis.gustReadings,
+            gustAnalysis.validReadings
+        );
+        gustAnalysis.strongGustPercentage = this.percentage(
+            gustAnalysis.strongGustReadings,
+            gustAnalysis.validReadings
+        );
+        gustAnalysis.extremeGustPercentage = this.percentage(
+            gustAnalysis.extremeGustReadings,
+            gustAnalysis.validReadings
+        );
 
         return gustAnalysis;
     }
 
     compareWindHeights(data) {
+        // Only compare hours where both heights have data
+        const paired = data.filter(
+            (d) => d.windSpeedKmh !== null && d.windSpeed100mKmh !== null
+        );
+        const speeds10m = dataQualityService.getValues(paired, "windSpeedKmh");
+        const speeds100m = dataQualityService.getValues(
+            paired,
+            "windSpeed100mKmh"
+        );
         const heightComparison = {
             totalReadings: data.length,
-            avgSpeed10m:
-                data.reduce((sum, d) => sum + d.windSpeedKmh, 0) / data.length,
-            avgSpeed100m:
-                data.reduce((sum, d) => sum + (d.windSpeed100mKmh || 0), 0) /
-                data.length,
-            maxSpeed10m: Math.max(...data.map((d) => d.windSpeedKmh)),
-            maxSpeed100m: Math.max(...data.map((d) => d.windSpeed100mKmh || 0)),
+            pairedReadings: paired.length,
+            avgSpeed10m: dataQualityService.average(speeds10m),
+            avgSpeed100m: dataQualityService.average(speeds100m),
+            maxSpeed10m: dataQualityService.max(speeds10m),
+            maxSpeed100m: dataQualityService.max(speeds100m),
             speedRatio: 0, // Will be calculated below
+            shearExponent: windShearService.summarizeShear(data),
         };
 
-        heightComparison.speedRatio =
-            heightComparison.avgSpeed100m / heightComparison.avgSpeed10m;
+        heightComparison.speedRatio = heightComparison.avgSpeed10m
+            ? heightComparison.avgSpeed100m / heightComparison.avgSpeed10m
+            : null;
 
         return heightComparison;
     }
 
     calculateHourlyDistribution(data) {
-        const hourlyStats = {};
+        const readingsByHour = {};
 
         for (let hour = 0; hour < 24; hour++) {
-            hourlyStats[hour] = {
-                count: 0,
-                strongWindCount: 0,
-                extremeWindCount: 0,
-                totalWindSpeed: 0,
-                totalWindSpeed100m: 0,
-                totalWindGusts: 0,
-                maxWindSpeed: 0,
-                maxWindSpeed100m: 0,
-                maxWindGusts: 0,
-            };
+            readingsByHour[hour] = [];
         }
 
         data.forEach((reading) => {
-            const hour = moment(reading.timestamp).hour();
-            hourlyStats[hour].count++;
-            hourlyStats[hour].totalWindSpeed += reading.windSpeedKmh;
-            hourlyStats[hour].totalWindSpeed100m +=
-                reading.windSpeed100mKmh || 0;
-            hourlyStats[hour].totalWindGusts += reading.windGustsKmh || 0;
-            hourlyStats[hour].maxWindSpeed = Math.max(
-                hourlyStats[hour].maxWindSpeed,
-                reading.windSpeedKmh
-            );
-            hourlyStats[hour].maxWindSpeed100m = Math.max(
-                hourlyStats[hour].maxWindSpeed100m,
-                reading.windSpeed100mKmh || 0
+            readingsByHour[timeZoneService.localHour(reading.timestamp)].push(
+                reading
             );
-            hourlyStats[hour].maxWindGusts = Math.max(
-                hourlyStats[hour].maxWindGusts,
-                reading.windGustsKmh || 0
-            );
-
-            if (reading.windSpeedKmh >= this.strongWindThreshold) {
-                hourlyStats[hour].strongWindCount++;
-            }
-            if (reading.windSpeedKmh >= this.extremeWindThreshold) {
-                hourlyStats[hour].extremeWindCount++;
-            }
         });
 
-        // Calculate averages
-        Object.keys(hourlyStats).forEach((hour) => {
-            const stats = hourlyStats[hour];
-            stats.avgWindSpeed =
-                stats.count > 0 ? stats.totalWindSpeed / stats.count : 0;
-            stats.avgWindSpeed100m =
-                stats.count > 0 ? stats.totalWindSpeed100m / stats.count : 0;
-            stats.avgWindGusts =
-                stats.count > 0 ? stats.totalWindGusts / stats.count : 0;
-            stats.strongWindPercentage =
-                stats.count > 0
-                    ? (stats.strongWindCount / stats.count) * 100
-                    : 0;
-            stats.extremeWindPercentage =
-                stats.count > 0
-                    ? (stats.extremeWindCount / stats.count) * 100
-                    : 0;
+        const hourlyStats = {};
+        Object.keys(readingsByHour).forEach((hour) => {
+            hourlyStats[hour] = this.calculateBucketStats(readingsByHour[hour]);
         });
 
         return hourlyStats;
     }
 
     calculateDailyDistribution(data) {
-        const dailyStats = {};
+        const readingsByDay = {};
 
         data.forEach((reading) => {
-            const day = moment(reading.timestamp).format("YYYY-MM-DD");
-
-            if (!dailyStats[day]) {
-                dailyStats[day] = {
-                    count: 0,
-                    strongWindCount: 0,
-                    extremeWindCount: 0,
-                    totalWindSpeed: 0,
-                    totalWindSpeed100m: 0,
-                    totalWindGusts: 0,
-                    maxWindSpeed: 0,
-                    maxWindSpeed100m: 0,
-                    maxWindGusts: 0,
-                    minWindSpeed: Infinity,
-                };
-            }
-
-            const stats = dailyStats[day];
-            stats.count++;
-            stats.totalWindSpeed += reading.windSpeedKmh;
-            stats.totalWindSpeed100m += reading.windSpeed100mKmh || 0;
-            stats.totalWindGusts += reading.windGustsKmh || 0;
-            stats.maxWindSpeed = Math.max(
-                stats.maxWindSpeed,
-                reading.windSpeedKmh
-            );
-            stats.maxWindSpeed100m = Math.max(
-                stats.maxWindSpeed100m,
-                reading.windSpeed100mKmh || 0
-            );
-            stats.maxWindGusts = Math.max(
-                stats.maxWindGusts,
-                reading.windGustsKmh || 0
-            );
-            stats.minWindSpeed = Math.min(
-                stats.minWindSpeed,
-                reading.windSpeedKmh
-            );
-
-            if (reading.windSpeedKmh >= this.strongWindThreshold) {
-                stats.strongWindCount++;
-            }
-            if (reading.windSpeedKmh >= this.extremeWindThreshold) {
-                stats.extremeWindCount++;
+            const day = timeZoneService.localDate(reading.timestamp);
+            if (!readingsByDay[day]) {
+                readingsByDay[day] = [];
             }
+            readingsByDay[day].push(reading);
         });
 
-        // Calculate averages
-        Object.keys(dailyStats).forEach((day) => {
-            const stats = dailyStats[day];
-            stats.avgWindSpeed = stats.totalWindSpeed / stats.count;
-            stats.avgWindSpeed100m = stats.totalWindSpeed100m / stats.count;
-            stats.avgWindGusts = stats.totalWindGusts / stats.count;
-            stats.strongWindPercentage =
-                (stats.strongWindCount / stats.count) * 100;
-            stats.extremeWindPercentage =
-                (stats.extremeWindCount / stats.count) * 100;
-            stats.minWindSpeed =
-                stats.minWindSpeed === Infinity ? 0 : stats.minWindSpeed;
+        const dailyStats = {};
+        Object.keys(readingsByDay).forEach((day) => {
+            const stats = this.calculateBucketStats(readingsByDay[day]);
+            stats.minWindSpeed = dataQualityService.min(
+                dataQualityService.getValues(readingsByDay[day], "windSpeedKmh")
+            );
+            dailyStats[day] = stats;
         });
 
         return dailyStats;
     }
 
-    calculateWindRose(data) {
-        const directions = {};
-        const directionNames = [
-            "N",
-            "NNE",
-            "NE",
-            "ENE",
-            "E",
-            "ESE",
-            "SE",
-            "SSE",
-            "S",
-            "SSW",
-            "SW",
-            "WSW",
-            "W",
-            "WNW",
-            "NW",
-            "NNW",
-        ];
-
-        directionNames.forEach((dir) => {
-            directions[dir] = {
-                count: 0,
-                totalSpeed: 0,
-                totalSpeed100m: 0,
-                strongWindCount: 0,
-                extremeWindCount: 0,
-            };
-        });
-
-        data.forEach((reading) => {
-            const direction = this.getWindDirection(reading.windDirection);
-            directions[direction].count++;
-            directions[direction].totalSpeed += reading.windSpeedKmh;
-            directions[direction].totalSpeed100m +=
-                reading.windSpeed100mKmh || 0;
-
-            if (reading.windSpeedKmh >= this.strongWindThreshold) {
-                directions[direction].strongWindCount++;
-            }
-            if (reading.windSpeedKmh >= this.extremeWindThreshold) {
-                directions[direction].extremeWindCount++;
-            }
-        });
-
-        // Calculate averages and percentages
-        Object.keys(directions).forEach((dir) => {
-            const stats = directions[dir];
-            stats.avgSpeed =
-                stats.count > 0 ? stats.totalSpeed / stats.count : 0;
-            stats.avgSpeed100m =
-                stats.count > 0 ? stats.totalSpeed100m / stats.count : 0;
-            stats.strongWindPercentage =
-                stats.count > 0
-                    ? (stats.strongWindCount / stats.count) * 100
-                    : 0;
-            stats.extremeWindPercentage =
-                stats.count > 0
-                    ? (stats.extremeWindCount / stats.count) * 100
-                    : 0;
-        });
-
-        return directions;
-    }
+    calculateBucketStats(readings) {
+        const speeds = dataQualityService.getValues(readings, "windSpeedKmh");
+        const speeds100m = dataQualityService.getValues(
+            readings,
+            "windSpeed100mKmh"
+        );
+        const gusts = dataQualityService.getValues(readings, "windGustsKmh");
+        const sum = (values) => values.reduce((total, v) => total + v, 0);
+        const strongWindCount = speeds.filter(
+            (speed) => speed >= this.strongWindThreshold
+        ).length;
+        const extremeWindCount = speeds.filter(
+            (speed) => speed >= this.extremeWindThreshold
+        ).length;
 
-    getWindDirection(degrees) {
-        const directions = [
-            "N",
-            "NNE",
-            "NE",
-            "ENE",
-            "E",
-            "ESE",
-            "SE",
-            "SSE",
-            "S",
-            "SSW",
-            "SW",
-            "WSW",
-            "W",
-            "WNW",
-            "NW",
-            "NNW",
-        ];
-        const index = Math.round(degrees / 22.5) % 16;
-        return directions[index];
+        return {
+            totalReadings: readings.length,
+            count: speeds.length,
+            strongWindCount,
+            extremeWindCount,
+            totalWindSpeed: sum(speeds),
+            totalWindSpeed100m: sum(speeds100m),
+            totalWindGusts: sum(gusts),
+            maxWindSpeed: dataQualityService.max(speeds),
+            maxWindSpeed100m: dataQualityService.max(speeds100m),
+            maxWindGusts: dataQualityService.max(gusts),
+            avgWindSpeed: dataQualityService.average(speeds),
+            avgWindSpeed100m: dataQualityService.average(speeds100m),
+            avgWindGusts: dataQualityService.average(gusts),
+            strongWindPercentage: this.percentage(
+                strongWindCount,
+                speeds.length
+            ),
+            extremeWindPercentage: this.percentage(
+                extremeWindCount,
+                speeds.length
+            ),
+        };
     }
 
     generateRecommendations(data) {
@@ -485,7 +424,10 @@ class WindAnalysisService {
             });
         }
 
-        if (summary.averageWindSpeed < 20) {
+        if (
+            summary.averageWindSpeed !== null &&
+            summary.averageWindSpeed < 20
+        ) {
             recommendations.push({
                 type: "info",
                 message:
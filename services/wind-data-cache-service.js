@@ -0,0 +1,208 @@
+const moment = require("moment");
+const timeZoneService = require("./time-zone-service");
+const fs = require("fs").promises;
+const path = require("path");
+
+class WindDataCacheService {
+    constructor() {
+        this.cacheDir =
+            process.env.WIND_CACHE_DIR ||
+            path.join(__dirname, "../data/cache/archive");
+        this.enabled = process.env.WIND_CACHE_ENABLED !== "false";
+        // Archive days newer than this may still be revised, so never cache them
+        this.minAgeDays = parseInt(process.env.WIND_CACHE_MIN_AGE_DAYS || "5");
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            writes: 0,
+        };
+    }
+
+    getLocationKey(lat, lon) {
+        return `${parseFloat(lat).toFixed(4)}_${parseFloat(lon).toFixed(4)}`;
+    }
+
+    getDayFile(lat, lon, day) {
+        return path.join(
+            this.cacheDir,
+            this.getLocationKey(lat, lon),
+            `${day}.json`
+        );
+    }
+
+    isCacheable(day) {
+        return moment(day, "YYYY-MM-DD").isBefore(
+            moment().subtract(this.minAgeDays, "days"),
+            "day"
+        );
+    }
+
+    listDays(startDate, endDate) {
+        const days = [];
+        const current = moment(startDate, "YYYY-MM-DD");
+        const end = moment(endDate, "YYYY-MM-DD");
+
+        while (current.isSameOrBefore(end, "day")) {
+            days.push(current.format("YYYY-MM-DD"));
+            current.add(1, "day");
+        }
+
+        return days;
+    }
+
+    async getDays(lat, lon, days) {
+        const cached = {};
+
+        if (!this.enabled) {
+            this.stats.misses += days.length;
+            return cached;
+        }
+
+        for (const day of days) {
+            try {
+                const data = await fs.readFile(
+                    this.getDayFile(lat, lon, day),
+                    "utf8"
+                );
+                cached[day] = JSON.parse(data);
+                this.stats.hits++;
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    console.error(
+                        `Error reading cached wind data for ${day}:`,
+                        error.message
+                    );
+                }
+                this.stats.misses++;
+            }
+        }
+
+        return cached;
+    }
+
+    async storeReadings(lat, lon, readings) {
+        if (!this.enabled || readings.length === 0) {
+            return;
+        }
+
+        // Group readings by their NZ calendar day, the unit the archive is requested in
+        const readingsByDay = {};
+        readings.forEach((reading) => {
+            const day = timeZoneService.localDate(reading.timestamp);
+            if (!readingsByDay[day]) {
+                readingsByDay[day] = [];
+            }
+            readingsByDay[day].push(reading);
+        });
+
+        const locationDir = path.join(
+            this.cacheDir,
+            this.getLocationKey(lat, lon)
+        );
+        await fs.mkdir(locationDir, { recursive: true });
+
+        for (const [day, dayReadings] of Object.entries(readingsByDay)) {
+            if (!this.isCacheable(day)) continue;
+
+            try {
+                await fs.writeFile(
+                    this.getDayFile(lat, lon, day),
+                    JSON.stringify(dayReadings)
+                );
+                this.stats.writes++;
+            } catch (error) {
+                console.error(
+                    `Error writing cached wind data for ${day}:`,
+                    error.message
+                );
+            }
+        }
+    }
+
+    findMissingRanges(days, cached) {
+        const ranges = [];
+        let currentRange = null;
+
+        days.forEach((day) => {
+            if (!cached[day]) {
+                if (!currentRange) {
+                    currentRange = { start: day, end: day };
+                } else {
+                    currentRange.end = day;
+                }
+            } else if (currentRange) {
+                ranges.push(currentRange);
+                currentRange = null;
+            }
+        });
+
+        if (currentRange) {
+            ranges.push(currentRange);
+        }
+
+        return ranges;
+    }
+
+    async getCacheStats() {
+        const stats = {
+            enabled: this.enabled,
+            cacheDir: this.cacheDir,
+            minAgeDays: this.minAgeDays,
+            locations: 0,
+            days: 0,
+            totalBytes: 0,
+            oldestDay: null,
+            newestDay: null,
+            session: { ...this.stats },
+        };
+
+        let locationDirs;
+        try {
+            locationDirs = await fs.readdir(this.cacheDir);
+        } catch (error) {
+            if (error.code === "ENOENT") return stats;
+            throw error;
+        }
+
+        for (const locationDir of locationDirs) {
+            const files = await fs.readdir(
+                path.join(this.cacheDir, locationDir)
+            );
+            const dayFiles = files.filter((file) => file.endsWith(".json"));
+            if (dayFiles.length === 0) continue;
+
+            stats.locations++;
+            stats.days += dayFiles.length;
+
+            for (const file of dayFiles) {
+                const fileStat = await fs.stat(
+                    path.join(this.cacheDir, locationDir, file)
+                );
+                stats.totalBytes += fileStat.size;
+
+                const day = file.replace(".json", "");
+                if (!stats.oldestDay || day < stats.oldestDay) {
+                    stats.oldestDay = day;
+                }
+                if (!stats.newestDay || day > stats.newestDay) {
+                    stats.newestDay = day;
+                }
+            }
+        }
+
+        return stats;
+    }
+
+    async purge(lat = null, lon = null) {
+        const target =
+            lat !== null && lon !== null
+                ? path.join(this.cacheDir, this.getLocationKey(lat, lon))
+                : this.cacheDir;
+
+        await fs.rm(target, { recursive: true, force: true });
+
+        return { purged: target };
+    }
+}
+
+module.exports = new WindDataCacheService();
@@ -1,10 +1,32 @@
-const { fetchWeatherApi } = require("openmeteo");
 const moment = require("moment");
+const windDataCacheService = require("./wind-data-cache-service");
+const fetchSchedulerService = require("./fetch-scheduler-service");
+const timeZoneService = require("./time-zone-service");
+const OpenMeteoProvider = require("./providers/open-meteo-provider");
+const FileProvider = require("./providers/file-provider");
 
 class WindDataService {
     constructor() {
-        this.baseUrl = "https://archive-api.open-meteo.com/v1/archive";
-        this.forecastUrl = "https://api.open-meteo.com/v1/forecast";
+        this.provider = this.createProvider(
+            process.env.WIND_DATA_PROVIDER || "open-meteo"
+        );
+    }
+
+    createProvider(name) {
+        switch (name) {
+            case "open-meteo":
+                return new OpenMeteoProvider();
+            case "file":
+                return new FileProvider(process.env.WIND_DATA_FIXTURES_DIR);
+            default:
+                throw new Error(`Unknown wind data provider: ${name}`);
+        }
+    }
+
+    // Providers expose fetchHistorical(lat, lon, startDate, endDate) and
+    // fetchForecast(lat, lon), both resolving to formatted hourly readings
+    setProvider(provider) {
+        this.provider = provider;
     }
 
     async getWindData(lat, lon, startDate = null, endDate = null) {
@@ -48,154 +70,148 @@ class WindDataService {
                 startDate ||
                 moment().subtract(365, "days").format("YYYY-MM-DD");
 
-            const params = {
-                latitude: parseFloat(lat),
-                longitude: parseFloat(lon),
-                start_date: startDateFormatted,
-                end_date: endDateFormatted,
-                hourly: [
-                    "wind_speed_10m",
-                    "wind_speed_100m",
-                    "wind_direction_10m",
-                    "wind_direction_100m",
-                    "wind_gusts_10m",
-                    "temperature_2m",
-                    "relative_humidity_2m",
-                    "pressure_msl",
-                ],
-                timezone: "Pacific/Auckland",
-            };
-
-            const responses = await fetchWeatherApi(this.baseUrl, params);
-            const response = responses[0];
-
-            const hourly = response.hourly();
-            const utcOffsetSeconds = response.utcOffsetSeconds();
+            if (!this.provider.cacheable) {
+                return await this.fetchHistoricalData(
+                    lat,
+                    lon,
+                    startDateFormatted,
+                    endDateFormatted
+                );
+            }
 
-            // Process the hourly data
-            const timeArray = [
-                ...Array(
-                    (Number(hourly.timeEnd()) - Number(hourly.time())) /
-                        hourly.interval()
-                ),
-            ].map(
-                (_, i) =>
-                    new Date(
-                        (Number(hourly.time()) +
-                            i * hourly.interval() +
-                            utcOffsetSeconds) *
-                            1000
-                    )
+            const days = windDataCacheService.listDays(
+                startDateFormatted,
+                endDateFormatted
             );
+            const cached = await windDataCacheService.getDays(lat, lon, days);
 
-            const windSpeed10m = hourly.variables(0).valuesArray();
-            const windSpeed100m = hourly.variables(1).valuesArray();
-            const windDirection10m = hourly.variables(2).valuesArray();
-            const windDirection100m = hourly.variables(3).valuesArray();
-            const windGusts10m = hourly.variables(4).valuesArray();
-            const temperature2m = hourly.variables(5).valuesArray();
-            const relativeHumidity2m = hourly.variables(6).valuesArray();
-            const pressureMsl = hourly.variables(7).valuesArray();
+            // Only fetch the days that are not already on disk
+            const missingRanges = windDataCacheService.findMissingRanges(
+                days,
+                cached
+            );
+            const fetchedRanges = await Promise.all(
+                missingRanges.map(async (range) => {
+                    const fetched = await this.fetchHistoricalData(
+                        lat,
+                        lon,
+                        range.start,
+                        range.end
+                    );
+                    await windDataCacheService.storeReadings(lat, lon, fetched);
+                    return fetched;
+                })
+            );
 
-            // Format the data
-            const formattedData = timeArray.map((time, index) => ({
-                timestamp: time.toISOString(),
-                windSpeed: windSpeed10m[index] || 0,
-                windSpeedKmh: windSpeed10m[index] || 0, // Already in km/h from API
-                windSpeed100m: windSpeed100m[index] || 0,
-                windSpeed100mKmh: windSpeed100m[index] || 0, // Already in km/h from API
-                windDirection: windDirection10m[index] || 0,
-                windDirection100m: windDirection100m[index] || 0,
-                windGusts: windGusts10m[index] || 0,
-                windGustsKmh: windGusts10m[index] || 0, // Already in km/h from API
-                temperature: temperature2m[index] || 0,
-                humidity: relativeHumidity2m[index] || 0,
-                pressure: pressureMsl[index] || 0,
-            }));
+            fetchedRanges.flat().forEach((reading) => {
+                const day = timeZoneService.localDate(reading.timestamp);
+                if (!cached[day]) {
+                    cached[day] = [];
+                }
+                cached[day].push(reading);
+            });
 
-            return formattedData;
+            return days.flatMap((day) => cached[day] || []);
         } catch (error) {
             console.error("Error fetching historical data:", error.message);
             return [];
         }
     }
 
-    async getCurrentForecastData(lat, lon) {
-        try {
-            const params = {
-                latitude: parseFloat(lat),
-                longitude: parseFloat(lon),
-                hourly: [
-                    "wind_speed_10m",
-                    "wind_speed_100m",
-                    "wind_direction_10m",
-                    "wind_direction_100m",
-                    "wind_gusts_10m",
-                    "temperature_2m",
-                    "relative_humidity_2m",
-                    "pressure_msl",
-                ],
-                timezone: "Pacific/Auckland",
-            };
+    // Fetches the most recent days old enough to cache for each location, so
+    // analyses of them read from disk instead of the weather API
+    async warmCache(locations, days) {
+        const end = moment().subtract(
+            windDataCacheService.minAgeDays + 1,
+            "days"
+        );
+        const range = {
+            startDate: end
+                .clone()
+                .subtract(days - 1, "days")
+                .format("YYYY-MM-DD"),
+            endDate: end.format("YYYY-MM-DD"),
+        };
+
+        if (!this.provider.cacheable || !windDataCacheService.enabled) {
+            return { ...range, cached: false, locations: 0, readings: 0 };
+        }
 
-            const responses = await fetchWeatherApi(this.forecastUrl, params);
-            const response = responses[0];
+        const fetched = await Promise.all(
+            locations.map((location) =>
+                this.getHistoricalData(
+                    location.lat,
+                    location.lon,
+                    range.startDate,
+                    range.endDate
+                )
+            )
+        );
 
-            const hourly = response.hourly();
-            const utcOffsetSeconds = response.utcOffsetSeconds();
+        return {
+            ...range,
+            cached: true,
+            locations: locations.length,
+            readings: fetched.reduce(
+                (sum, readings) => sum + readings.length,
+                0
+            ),
+        };
+    }
+
+    async getHistoricalDataForPeriods(lat, lon, periods) {
+        // One request covering every period instead of one per period, from
+        // the NZ day the earliest period starts to the day the latest ends
+        const days = periods.flatMap((period) => [
+            timeZoneService.localDate(period.start),
+            timeZoneService.localDate(period.end),
+        ]);
+        if (days.length === 0) return [];
+
+        days.sort();
+        const allData = await this.getHistoricalData(
+            lat,
+            lon,
+            days[0],
+            days[days.length - 1]
+        );
+        const times = allData.map((reading) =>
+            moment(reading.timestamp).valueOf()
+        );
 
-            // Process the hourly data
-            const timeArray = [
-                ...Array(
-                    (Number(hourly.timeEnd()) - Number(hourly.time())) /
-                        hourly.interval()
-                ),
-            ].map(
-                (_, i) =>
-                    new Date(
-                        (Number(hourly.time()) +
-                            i * hourly.interval() +
-                            utcOffsetSeconds) *
-                            1000
-                    )
+        return periods.map((period) => {
+            const start = moment(period.start).valueOf();
+            const end = moment(period.end).valueOf();
+            return allData.filter(
+                (reading, index) => times[index] >= start && times[index] <= end
             );
+        });
+    }
 
-            const windSpeed10m = hourly.variables(0).valuesArray();
-            const windSpeed100m = hourly.variables(1).valuesArray();
-            const windDirection10m = hourly.variables(2).valuesArray();
-            const windDirection100m = hourly.variables(3).valuesArray();
-            const windGusts10m = hourly.variables(4).valuesArray();
-            const temperature2m = hourly.variables(5).valuesArray();
-            const relativeHumidity2m = hourly.variables(6).valuesArray();
-            const pressureMsl = hourly.variables(7).valuesArray();
+    async fetchHistoricalData(lat, lon, startDate, endDate) {
+        try {
+            return await fetchSchedulerService.schedule(
+                () =>
+                    this.provider.fetchHistorical(lat, lon, startDate, endDate),
+                {
+                    key: `historical|${lat}|${lon}|${startDate}|${endDate}`,
+                }
+            );
+        } catch (error) {
+            console.error("Error fetching historical data:", error.message);
+            return [];
+        }
+    }
 
-            // Format the data
-            const formattedData = timeArray.map((time, index) => ({
-                timestamp: time.toISOString(),
-                windSpeed: windSpeed10m[index] || 0,
-                windSpeedKmh: windSpeed10m[index] || 0, // Already in km/h from API
-                windSpeed100m: windSpeed100m[index] || 0,
-                windSpeed100mKmh: windSpeed100m[index] || 0, // Already in km/h from API
-                windDirection: windDirection10m[index] || 0,
-                windDirection100m: windDirection100m[index] || 0,
-                windGusts: windGusts10m[index] || 0,
-                windGustsKmh: windGusts10m[index] || 0, // Already in km/h from API
-                temperature: temperature2m[index] || 0,
-                humidity: relativeHumidity2m[index] || 0,
-                pressure: pressureMsl[index] || 0,
-            }));
+    async getCurrentForecastData(lat, lon) {
+        try {
+            const formattedData = await fetchSchedulerService.schedule(
+                () => this.provider.fetchForecast(lat, lon),
+                { key: `forecast|${lat}|${lon}` }
+            );
 
             // Get current conditions (first entry)
-            const current =
-                formattedData[0] ||
-                this.formatCurrentData({
-                    windSpeed: 0,
-                    windSpeedKmh: 0,
-                    windDirection: 0,
-                    temperature: 0,
-                    humidity: 0,
-                    pressure: 0,
-                });
+            const current = formattedData[0] || this.formatCurrentData({});
 
             // Get forecast (remaining entries)
             const forecast = formattedData.slice(1);
@@ -207,14 +223,7 @@ class WindDataService {
                 error.message
             );
             return {
-                current: this.formatCurrentData({
-                    windSpeed: 0,
-                    windSpeedKmh: 0,
-                    windDirection: 0,
-                    temperature: 0,
-                    humidity: 0,
-                    pressure: 0,
-                }),
+                current: this.formatCurrentData({}),
                 forecast: [],
             };
         }
@@ -223,13 +232,13 @@ class WindDataService {
     formatCurrentData(data) {
         return {
             timestamp: new Date().toISOString(),
-            windSpeed: data.windSpeed || 0,
-            windSpeedKmh: data.windSpeedKmh || 0,
-            windDirection: data.windDirection || 0,
-            temperature: data.temperature || 0,
-            humidity: data.humidity || 0,
-            pressure: data.pressure || 0,
-            description: "Current conditions from Open-Meteo",
+            windSpeed: data.windSpeed ?? null,
+            windSpeedKmh: data.windSpeedKmh ?? null,
+            windDirection: data.windDirection ?? null,
+            temperature: data.temperature ?? null,
+            humidity: data.humidity ?? null,
+            pressure: data.pressure ?? null,
+            description: `Current conditions from ${this.provider.name}`,
         };
     }
 
@@ -0,0 +1,327 @@
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const energyEstimationService = require("./energy-estimation-service");
+const windShearService = require("./wind-shear-service");
+
+class WindRoseService {
+    constructor() {
+        this.defaultSectorCount = 16;
+        this.defaultSpeedBins = [0, 10, 20, 30, 40, 60, 80]; // km/h, last bin open-ended
+        this.strongWindThreshold = 60; // km/h
+        // Hub-height speeds are extrapolated from 100m, so they use the 100m direction
+        this.directionFields = {
+            "10m": "windDirection",
+            "100m": "windDirection100m",
+            hub: "windDirection100m",
+        };
+        this.sectorNames = {
+            4: ["N", "E", "S", "W"],
+            8: ["N", "NE", "E", "SE", "S", "SW", "W", "NW"],
+            16: windShearService.directionNames,
+        };
+    }
+
+    getDirectionField(height) {
+        const field = this.directionFields[height];
+        if (!field) {
+            throw new Error(
+                `Unknown height "${height}", expected one of: ${Object.keys(
+                    this.directionFields
+                ).join(", ")}`
+            );
+        }
+        return field;
+    }
+
+    getSectorIndex(degrees, sectorCount = this.defaultSectorCount) {
+        return Math.round(degrees / (360 / sectorCount)) % sectorCount;
+    }
+
+    getSectorName(index, sectorCount = this.defaultSectorCount) {
+        const names = this.sectorNames[sectorCount];
+        return names ? names[index] : `${(index * 360) / sectorCount}°`;
+    }
+
+    buildSpeedBins(edges) {
+        return edges.map((from, i) => {
+            const to = i + 1 < edges.length ? edges[i + 1] : null;
+            return {
+                from,
+                to,
+                label: to === null ? `${from}+` : `${from}-${to}`,
+            };
+        });
+    }
+
+    getBinIndex(speed, edges) {
+        for (let i = edges.length - 1; i >= 0; i--) {
+            if (speed >= edges[i]) return i;
+        }
+        return 0;
+    }
+
+    calculateWindRose(data, options = {}) {
+        const {
+            height = "10m",
+            sectorCount = this.defaultSectorCount,
+            speedBins = this.defaultSpeedBins,
+            farm = null,
+        } = options;
+        const speedField = windShearService.getSpeedField(height);
+        const directionField = this.getDirectionField(height);
+        const bins = this.buildSpeedBins(speedBins);
+
+        // With a farm the energy rose uses its power curve, otherwise v³
+        const outputByTime = new Map();
+        if (farm) {
+            energyEstimationService
+                .estimateEnergy(data, farm, true)
+                .hourlyOutput.forEach((hour) =>
+                    outputByTime.set(hour.timestamp, hour.outputMW)
+                );
+        }
+
+        const sectors = [];
+        for (let i = 0; i < sectorCount; i++) {
+            sectors.push({
+                index: i,
+                name: this.getSectorName(i, sectorCount),
+                centerDegrees: (i * 360) / sectorCount,
+                speeds: [],
+                strongWindCount: 0,
+                energy: 0,
+                bins: bins.map((bin) => ({
+                    label: bin.label,
+                    count: 0,
+                    energy: 0,
+                })),
+            });
+        }
+
+        let totalReadings = 0;
+        let totalEnergy = 0;
+
+        data.forEach((reading) => {
+            const direction = reading[directionField];
+            const speed = reading[speedField];
+            // Hours without both direction and speed cannot be placed on the rose
+            if (direction === null || speed === null) return;
+            if (direction === undefined || speed === undefined) return;
+
+            const sector = sectors[this.getSectorIndex(direction, sectorCount)];
+            const bin = sector.bins[this.getBinIndex(speed, speedBins)];
+            const energy = farm
+                ? outputByTime.get(reading.timestamp) || 0
+                : Math.pow(speed / 3.6, 3);
+
+            totalReadings++;
+            totalEnergy += energy;
+            sector.speeds.push(speed);
+            sector.energy += energy;
+            bin.count++;
+            bin.energy += energy;
+            if (speed >= this.strongWindThreshold) sector.strongWindCount++;
+        });
+
+        const share = (value, total) => (total > 0 ? (value / total) * 100 : 0);
+
+        return {
+            height,
+            speedField,
+            directionField,
+            sectorCount,
+            sectorWidth: 360 / sectorCount,
+            speedBins: bins,
+            totalReadings,
+            // MWh from the farm's power curve, or relative wind power (m³/s³)
+            energyUnit: farm ? "MWh" : "relative",
+            totalEnergy,
+            sectors: sectors.map(({ speeds, ...sector }) => ({
+                ...sector,
+                count: speeds.length,
+                frequency: share(speeds.length, totalReadings),
+                avgSpeed: dataQualityService.average(speeds),
+                maxSpeed: dataQualityService.max(speeds),
+                strongWindPercentage: share(
+                    sector.strongWindCount,
+                    speeds.length
+                ),
+                energyShare: share(sector.energy, totalEnergy),
+                bins: sector.bins.map((bin) => ({
+                    ...bin,
+                    frequency: share(bin.count, totalReadings),
+                    energyShare: share(bin.energy, totalEnergy),
+                })),
+            })),
+        };
+    }
+
+    async analyzeFarmWindRose(farmName, startDate, endDate, options = {}) {
+        const windFarms = await energyEstimationService.loadWindFarms();
+        const farm = windFarms.find(
+            (f) => f.name.toLowerCase() === farmName.toLowerCase()
+        );
+
+        if (!farm) {
+            return null;
+        }
+
+        const rawData = await windDataService.getHistoricalData(
+            farm.lat,
+            farm.lon,
+            startDate,
+            endDate
+        );
+        const { readings: prepared, quality } =
+            dataQualityService.prepareReadings(rawData);
+        const readings =
+            options.height === "hub"
+                ? windShearService.addHubHeightSpeeds(
+                      prepared,
+                      farm.hubHeight || 100
+                  )
+                : prepared;
+        const rose = this.calculateWindRose(readings, { ...options, farm });
+
+        return {
+            farm,
+            dateRange: { start: startDate, end: endDate },
+            dataCoverage: dataQualityService.summarizeCoverage(quality),
+            windRose: rose,
+            svg: {
+                frequency: this.renderSvg(rose, {
+                    mode: "frequency",
+                    title: farm.name,
+                }),
+                energy: this.renderSvg(rose, {
+                    mode: "energy",
+                    title: farm.name,
+                }),
+            },
+        };
+    }
+
+    getBinColor(index, binCount) {
+        // Calm bins are blue, the strongest red
+        const hue = binCount > 1 ? 220 - (220 * index) / (binCount - 1) : 220;
+        return `hsl(${Math.round(hue)}, 75%, 50%)`;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    renderSvg(rose, options = {}) {
+        const { size = 400, mode = "frequency", title = "" } = options;
+        const valueKey = mode === "energy" ? "energyShare" : "frequency";
+        const center = size / 2;
+        const radius = size / 2 - 30;
+        const legendWidth = 110;
+
+        const maxTotal = Math.max(...rose.sectors.map((s) => s[valueKey]), 0);
+        const scale = maxTotal > 0 ? radius / maxTotal : 0;
+        const point = (r, degrees) => {
+            const radians = (degrees * Math.PI) / 180;
+            return [
+                (center + r * Math.sin(radians)).toFixed(2),
+                (center - r * Math.cos(radians)).toFixed(2),
+            ];
+        };
+
+        const wedges = [];
+        rose.sectors.forEach((sector) => {
+            const start = sector.centerDegrees - rose.sectorWidth / 2;
+            const end = sector.centerDegrees + rose.sectorWidth / 2;
+            let inner = 0;
+
+            // Stack speed bins outwards from the centre
+            sector.bins.forEach((bin, binIndex) => {
+                if (bin[valueKey] <= 0) return;
+                const outer = inner + bin[valueKey] * scale;
+                const [x1, y1] = point(outer, start);
+                const [x2, y2] = point(outer, end);
+                const [x3, y3] = point(inner, end);
+                const [x4, y4] = point(inner, start);
+
+                wedges.push(
+                    `<path d="M${x4},${y4} L${x1},${y1} A${outer.toFixed(
+                        2
+                    )},${outer.toFixed(
+                        2
+                    )} 0 0 1 ${x2},${y2} L${x3},${y3} A${inner.toFixed(
+                        2
+                    )},${inner.toFixed(
+                        2
+                    )} 0 0 0 ${x4},${y4} Z" fill="${this.getBinColor(
+                        binIndex,
+                        sector.bins.length
+                    )}" stroke="#fff" stroke-width="0.5"><title>${this.escapeXml(
+                        `${sector.name} ${bin.label} km/h: ${bin[
+                            valueKey
+                        ].toFixed(1)}%`
+                    )}</title></path>`
+                );
+                inner = outer;
+            });
+        });
+
+        const rings = [0.25, 0.5, 0.75, 1].map((fraction) => {
+            const r = radius * fraction;
+            return `<circle cx="${center}" cy="${center}" r="${r.toFixed(
+                2
+            )}" fill="none" stroke="#d1d5db" stroke-dasharray="2,2"/><text x="${(
+                center + 2
+            ).toFixed(2)}" y="${(center - r - 2).toFixed(
+                2
+            )}" font-size="9" fill="#6b7280">${(maxTotal * fraction).toFixed(
+                1
+            )}%</text>`;
+        });
+
+        const labels = ["N", "E", "S", "W"].map((name, i) => {
+            const [x, y] = point(radius + 14, i * 90);
+            return `<text x="${x}" y="${y}" font-size="12" font-weight="bold" text-anchor="middle" dominant-baseline="middle" fill="#374151">${name}</text>`;
+        });
+
+        const legend = rose.speedBins.map(
+            (bin, i) =>
+                `<rect x="${size + 10}" y="${
+                    30 + i * 18
+                }" width="12" height="12" fill="${this.getBinColor(
+                    i,
+                    rose.speedBins.length
+                )}"/><text x="${size + 28}" y="${
+                    40 + i * 18
+                }" font-size="11" fill="#374151">${this.escapeXml(
+                    bin.label
+                )} km/h</text>`
+        );
+
+        const heading = `${title ? `${title} - ` : ""}${
+            mode === "energy" ? "Energy" : "Frequency"
+        } rose (${rose.height})`;
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${
+                size + legendWidth
+            }" height="${size}" viewBox="0 0 ${
+                size + legendWidth
+            } ${size}" font-family="sans-serif">`,
+            `<title>${this.escapeXml(heading)}</title>`,
+            ...rings,
+            ...wedges,
+            ...labels,
+            `<text x="${
+                size + 10
+            }" y="16" font-size="11" font-weight="bold" fill="#374151">Speed</text>`,
+            ...legend,
+            `</svg>`,
+        ].join("");
+    }
+}
+
+module.exports = new WindRoseService();
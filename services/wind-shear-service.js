@@ -0,0 +1,183 @@
+const timeZoneService = require("./time-zone-service");
+const dataQualityService = require("./data-quality-service");
+
+class WindShearService {
+    constructor() {
+        // Power-law exponent for neutral conditions, used when shear cannot be measured
+        this.defaultShearExponent = 1 / 7;
+        // Measured exponents outside this range are almost always bad data
+        this.minShearExponent = -0.5;
+        this.maxShearExponent = 1;
+        this.speedFields = {
+            "10m": "windSpeedKmh",
+            "100m": "windSpeed100mKmh",
+            hub: "windSpeedHubKmh",
+        };
+        this.directionNames = [
+            "N",
+            "NNE",
+            "NE",
+            "ENE",
+            "E",
+            "ESE",
+            "SE",
+            "SSE",
+            "S",
+            "SSW",
+            "SW",
+            "WSW",
+            "W",
+            "WNW",
+            "NW",
+            "NNW",
+        ];
+    }
+
+    getSpeedField(height) {
+        const field = this.speedFields[height];
+        if (!field) {
+            throw new Error(
+                `Unknown height "${height}", expected one of: ${Object.keys(
+                    this.speedFields
+                ).join(", ")}`
+            );
+        }
+        return field;
+    }
+
+    calculateShearExponent(speed10m, speed100m) {
+        if (
+            speed10m === null ||
+            speed100m === null ||
+            speed10m <= 0 ||
+            speed100m <= 0
+        ) {
+            return null;
+        }
+
+        const exponent = Math.log(speed100m / speed10m) / Math.log(100 / 10);
+        return exponent >= this.minShearExponent &&
+            exponent <= this.maxShearExponent
+            ? exponent
+            : null;
+    }
+
+    addHubHeightSpeeds(data, hubHeight) {
+        const exponents = data.map((reading) =>
+            this.calculateShearExponent(
+                reading.windSpeedKmh,
+                reading.windSpeed100mKmh
+            )
+        );
+
+        // Hours where shear can't be measured fall back to the series median
+        const measured = exponents.filter((e) => e !== null);
+        const fallbackExponent =
+            measured.length > 0
+                ? this.percentile(measured, 50)
+                : this.defaultShearExponent;
+
+        return data.map((reading, index) => {
+            const exponent =
+                exponents[index] !== null ? exponents[index] : fallbackExponent;
+            const hubSpeed =
+                reading.windSpeed100mKmh === null
+                    ? null
+                    : reading.windSpeed100mKmh *
+                      Math.pow(hubHeight / 100, exponent);
+
+            return {
+                ...reading,
+                shearExponent: exponents[index],
+                hubHeight: hubHeight,
+                windSpeedHub: hubSpeed,
+                windSpeedHubKmh: hubSpeed,
+            };
+        });
+    }
+
+    summarizeShear(data) {
+        const byHourOfDay = {};
+        const byDirection = {};
+        const allExponents = [];
+
+        for (let hour = 0; hour < 24; hour++) {
+            byHourOfDay[hour] = [];
+        }
+        this.directionNames.forEach((dir) => {
+            byDirection[dir] = [];
+        });
+
+        data.forEach((reading) => {
+            const exponent =
+                reading.shearExponent !== undefined
+                    ? reading.shearExponent
+                    : this.calculateShearExponent(
+                          reading.windSpeedKmh,
+                          reading.windSpeed100mKmh
+                      );
+            if (exponent === null) return;
+
+            allExponents.push(exponent);
+            byHourOfDay[timeZoneService.localHour(reading.timestamp)].push(
+                exponent
+            );
+
+            if (reading.windDirection100m !== null) {
+                const index = Math.round(reading.windDirection100m / 22.5) % 16;
+                byDirection[this.directionNames[index]].push(exponent);
+            }
+        });
+
+        const distributions = (groups) => {
+            const result = {};
+            Object.keys(groups).forEach((key) => {
+                result[key] = this.describeDistribution(groups[key]);
+            });
+            return result;
+        };
+
+        return {
+            overall: this.describeDistribution(allExponents),
+            byHourOfDay: distributions(byHourOfDay),
+            byDirection: distributions(byDirection),
+        };
+    }
+
+    describeDistribution(values) {
+        if (values.length === 0) {
+            return {
+                count: 0,
+                mean: null,
+                median: null,
+                p10: null,
+                p90: null,
+                min: null,
+                max: null,
+            };
+        }
+
+        return {
+            count: values.length,
+            mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+            median: this.percentile(values, 50),
+            p10: this.percentile(values, 10),
+            p90: this.percentile(values, 90),
+            min: dataQualityService.min(values),
+            max: dataQualityService.max(values),
+        };
+    }
+
+    percentile(values, percent) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = (percent / 100) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+
+        return (
+            sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+        );
+    }
+}
+
+module.exports = new WindShearService();
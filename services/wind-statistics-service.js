@@ -0,0 +1,291 @@
+const windDataService = require("./wind-data-service");
+const dataQualityService = require("./data-quality-service");
+const energyEstimationService = require("./energy-estimation-service");
+
+class WindStatisticsService {
+    constructor() {
+        this.defaultBinWidth = 5; // km/h
+        // Narrower bins only add noise, and a tiny width means billions of bins
+        this.minBinWidth = 0.1; // km/h
+        this.maxIterations = 100;
+        this.tolerance = 1e-6;
+    }
+
+    // Lanczos approximation of the gamma function
+    gamma(x) {
+        const coefficients = [
+            676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+            9.9843695780195716e-6, 1.5056327351493116e-7,
+        ];
+
+        if (x < 0.5) {
+            return Math.PI / (Math.sin(Math.PI * x) * this.gamma(1 - x));
+        }
+
+        x -= 1;
+        let a = 0.99999999999980993;
+        const t = x + coefficients.length - 0.5;
+        coefficients.forEach((coefficient, i) => {
+            a += coefficient / (x + i + 1);
+        });
+
+        return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+    }
+
+    percentile(values, percent) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const position = (percent / 100) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+
+        return (
+            sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+        );
+    }
+
+    fitWeibullMomentMethod(values) {
+        const speeds = values.filter((v) => v > 0);
+        if (speeds.length < 2) return null;
+
+        const mean = speeds.reduce((sum, v) => sum + v, 0) / speeds.length;
+        const variance =
+            speeds.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) /
+            (speeds.length - 1);
+        const std = Math.sqrt(variance);
+        if (std === 0) return null;
+
+        // Justus empirical approximation for k
+        const k = Math.pow(std / mean, -1.086);
+        const c = mean / this.gamma(1 + 1 / k);
+
+        return { method: "moments", k, c, sampleSize: speeds.length };
+    }
+
+    fitWeibullMaximumLikelihood(values) {
+        const speeds = values.filter((v) => v > 0);
+        if (speeds.length < 2) return null;
+
+        const logs = speeds.map((v) => Math.log(v));
+        const meanLog = logs.reduce((sum, v) => sum + v, 0) / logs.length;
+
+        // Newton-Raphson on the MLE shape equation, starting from the moment estimate
+        const initial = this.fitWeibullMomentMethod(speeds);
+        let k = initial ? initial.k : 2;
+        let converged = false;
+        let iterations = 0;
+
+        for (; iterations < this.maxIterations; iterations++) {
+            let sumXk = 0;
+            let sumXkLog = 0;
+            let sumXkLog2 = 0;
+            speeds.forEach((v, i) => {
+                const xk = Math.pow(v, k);
+                sumXk += xk;
+                sumXkLog += xk * logs[i];
+                sumXkLog2 += xk * logs[i] * logs[i];
+            });
+
+            const f = sumXkLog / sumXk - 1 / k - meanLog;
+            const derivative =
+                (sumXkLog2 * sumXk - sumXkLog * sumXkLog) / (sumXk * sumXk) +
+                1 / (k * k);
+            const step = f / derivative;
+
+            k -= step;
+            if (k <= 0) {
+                k = 0.1;
+            }
+            if (Math.abs(step) < this.tolerance) {
+                converged = true;
+                break;
+            }
+        }
+
+        const c = Math.pow(
+            speeds.reduce((sum, v) => sum + Math.pow(v, k), 0) / speeds.length,
+            1 / k
+        );
+
+        return {
+            method: "maximum-likelihood",
+            k,
+            c,
+            sampleSize: speeds.length,
+            iterations: iterations + 1,
+            converged,
+        };
+    }
+
+    weibullCdf(x, k, c) {
+        return x <= 0 ? 0 : 1 - Math.exp(-Math.pow(x / c, k));
+    }
+
+    buildHistogram(values, binWidth = this.defaultBinWidth) {
+        if (values.length === 0) return [];
+
+        const maxValue = dataQualityService.max(values);
+        const binCount = Math.floor(maxValue / binWidth) + 1;
+        const bins = [];
+
+        for (let i = 0; i < binCount; i++) {
+            bins.push({
+                from: i * binWidth,
+                to: (i + 1) * binWidth,
+                label: `${i * binWidth}-${(i + 1) * binWidth}`,
+                count: 0,
+                frequency: 0,
+            });
+        }
+
+        values.forEach((value) => {
+            const index = Math.min(
+                Math.floor(Math.max(value, 0) / binWidth),
+                binCount - 1
+            );
+            bins[index].count++;
+        });
+
+        bins.forEach((bin) => {
+            bin.frequency = (bin.count / values.length) * 100;
+        });
+
+        return bins;
+    }
+
+    describeFit(fit, histogram) {
+        if (!fit) return null;
+
+        // Expected frequency per bin, to compare the fit against the histogram
+        let squaredError = 0;
+        histogram.forEach((bin) => {
+            const expected =
+                (this.weibullCdf(bin.to, fit.k, fit.c) -
+                    this.weibullCdf(bin.from, fit.k, fit.c)) *
+                100;
+            squaredError += Math.pow(expected - bin.frequency, 2);
+        });
+
+        return {
+            ...fit,
+            cMs: fit.c / 3.6,
+            mean: fit.c * this.gamma(1 + 1 / fit.k),
+            rmse:
+                histogram.length > 0
+                    ? Math.sqrt(squaredError / histogram.length)
+                    : null,
+        };
+    }
+
+    analyzeDistribution(
+        data,
+        speedField = "windSpeed100mKmh",
+        binWidth = this.defaultBinWidth
+    ) {
+        const values = dataQualityService.getValues(data, speedField);
+        const histogram = this.buildHistogram(values, binWidth);
+
+        const maximumLikelihood = this.describeFit(
+            this.fitWeibullMaximumLikelihood(values),
+            histogram
+        );
+        const moments = this.describeFit(
+            this.fitWeibullMomentMethod(values),
+            histogram
+        );
+
+        return {
+            speedField,
+            unit: "km/h",
+            sampleSize: values.length,
+            calmReadings: values.filter((v) => v <= 0).length,
+            mean: dataQualityService.average(values),
+            binWidth,
+            histogram,
+            weibull: {
+                maximumLikelihood,
+                moments,
+            },
+        };
+    }
+
+    async compareFleetDistributions(
+        startDate,
+        endDate,
+        binWidth = this.defaultBinWidth
+    ) {
+        try {
+            const windFarms = await energyEstimationService.loadWindFarms();
+
+            console.log(
+                `Fitting wind speed distributions from ${startDate} to ${endDate} across ${windFarms.length} wind farms...`
+            );
+
+            const farmResults = [];
+
+            for (const farm of windFarms) {
+                try {
+                    console.log(`Analyzing ${farm.name}...`);
+
+                    const rawData = await windDataService.getHistoricalData(
+                        farm.lat,
+                        farm.lon,
+                        startDate,
+                        endDate
+                    );
+                    const { readings, quality } =
+                        dataQualityService.prepareReadings(rawData);
+
+                    farmResults.push({
+                        farm: farm,
+                        dataCoverage:
+                            dataQualityService.summarizeCoverage(quality),
+                        ...this.analyzeDistribution(
+                            readings,
+                            "windSpeed100mKmh",
+                            binWidth
+                        ),
+                    });
+                } catch (error) {
+                    console.error(`Error analyzing ${farm.name}:`, error);
+                    farmResults.push({
+                        farm: farm,
+                        error: error.message,
+                    });
+                }
+            }
+
+            // Rank farms by the ML scale parameter (higher c = windier site)
+            const ranking = farmResults
+                .filter((r) => !r.error && r.weibull.maximumLikelihood)
+                .sort(
+                    (a, b) =>
+                        b.weibull.maximumLikelihood.c -
+                        a.weibull.maximumLikelihood.c
+                )
+                .map((r, index) => ({
+                    rank: index + 1,
+                    farmName: r.farm.name,
+                    k: r.weibull.maximumLikelihood.k,
+                    c: r.weibull.maximumLikelihood.c,
+                    cMs: r.weibull.maximumLikelihood.cMs,
+                    mean: r.mean,
+                }));
+
+            return {
+                dateRange: { start: startDate, end: endDate },
+                speedField: "windSpeed100mKmh",
+                binWidth,
+                ranking,
+                farmResults,
+            };
+        } catch (error) {
+            console.error("Error comparing wind speed distributions:", error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new WindStatisticsService();
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ExcelJS = require("exceljs");
+const exportService = require("../services/export-service");
+
+test("toCsv quotes text that would run as a formula", () => {
+    const csv = exportService.toCsv([
+        { windFarm: '=HYPERLINK("http://example.com")', region: "+1" },
+        { windFarm: "@SUM(A1:A2)", region: "-cmd" },
+        { windFarm: "\tTab", region: "\rReturn" },
+    ]);
+
+    assert.deepStrictEqual(csv.split("\r\n"), [
+        "windFarm,region",
+        '"\'=HYPERLINK(""http://example.com"")",+1',
+        "'@SUM(A1:A2),'-cmd",
+        "'\tTab,\"'\rReturn\"",
+        "",
+    ]);
+});
+
+test("toCsv leaves numbers and ordinary text alone", () => {
+    const csv = exportService.toCsv([
+        { windFarm: "West Wind", maxWindSpeed: -3.5, change: "-12.5" },
+    ]);
+
+    assert.strictEqual(
+        csv,
+        "windFarm,maxWindSpeed,change\r\nWest Wind,-3.5,-12.5\r\n"
+    );
+});
+
+test("toXlsx writes formula-like text as quoted text", async () => {
+    const buffer = await exportService.toXlsx({
+        farms: [{ name: "=1+1", capacity: -5 }],
+    });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const row = workbook.getWorksheet("farms").getRow(2);
+
+    assert.strictEqual(row.getCell(1).value, "'=1+1");
+    assert.strictEqual(row.getCell(2).value, -5);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const timeZoneService = require("../services/time-zone-service");
+
+// NZDT starts 2024-09-29 at 02:00 NZST (clocks jump to 03:00) and ends
+// 2024-04-07 at 03:00 NZDT (clocks go back to 02:00)
+
+test("toUtc converts NZ wall-clock times either side of daylight saving", () => {
+    assert.strictEqual(
+        timeZoneService.toUtc("2024-07-01T12:00:00"),
+        "2024-07-01T00:00:00.000Z"
+    );
+    assert.strictEqual(
+        timeZoneService.toUtc("2024-12-01T12:00:00"),
+        "2024-11-30T23:00:00.000Z"
+    );
+});
+
+test("toUtc keeps explicit offsets and rejects unparseable times", () => {
+    assert.strictEqual(
+        timeZoneService.toUtc("2024-09-29T02:30:00Z"),
+        "2024-09-29T02:30:00.000Z"
+    );
+    assert.strictEqual(
+        timeZoneService.toUtc("2024-04-07T02:30:00+12:00"),
+        "2024-04-06T14:30:00.000Z"
+    );
+    assert.strictEqual(timeZoneService.toUtc("not a time"), null);
+});
+
+test("toUtc returns null for the hour skipped when NZDT starts", () => {
+    assert.strictEqual(timeZoneService.toUtc("2024-09-29T02:30:00"), null);
+    assert.strictEqual(
+        timeZoneService.toUtc("2024-09-29T01:30:00"),
+        "2024-09-28T13:30:00.000Z"
+    );
+    assert.strictEqual(
+        timeZoneService.toUtc("2024-09-29T03:30:00"),
+        "2024-09-28T14:30:00.000Z"
+    );
+});
+
+test("toUtc resolves the repeated hour when NZDT ends to daylight time", () => {
+    assert.strictEqual(
+        timeZoneService.toUtc("2024-04-07T02:30:00"),
+        "2024-04-06T13:30:00.000Z"
+    );
+});
+
+test("resolveLocalSeries maps the repeated hour to two instants", () => {
+    const instants = timeZoneService.resolveLocalSeries([
+        "2024-04-07T01:00:00",
+        "2024-04-07T02:00:00",
+        "2024-04-07T02:00:00",
+        "2024-04-07T03:00:00",
+    ]);
+
+    assert.deepStrictEqual(instants, [
+        "2024-04-06T12:00:00.000Z",
+        "2024-04-06T13:00:00.000Z",
+        "2024-04-06T14:00:00.000Z",
+        "2024-04-06T15:00:00.000Z",
+    ]);
+    assert.strictEqual(new Set(instants).size, instants.length);
+});
+
+test("resolveLocalSeries leaves the skipped hour null", () => {
+    assert.deepStrictEqual(
+        timeZoneService.resolveLocalSeries([
+            "2024-09-29T01:00:00",
+            "2024-09-29T02:00:00",
+            "2024-09-29T03:00:00",
+        ]),
+        ["2024-09-28T13:00:00.000Z", null, "2024-09-28T14:00:00.000Z"]
+    );
+});
+
+test("localDate and localHour read UTC instants as NZ time", () => {
+    assert.strictEqual(
+        timeZoneService.localDate("2024-04-06T14:30:00.000Z"),
+        "2024-04-07"
+    );
+    assert.strictEqual(
+        timeZoneService.localHour("2024-04-06T13:30:00.000Z"),
+        2
+    );
+    assert.strictEqual(
+        timeZoneService.localHour("2024-04-06T14:30:00.000Z"),
+        2
+    );
+});
+
+test("recentDays ends on the NZ calendar day, not the server's", () => {
+    // 20:00 UTC on 18 October is already 19 October in NZ
+    assert.deepStrictEqual(
+        timeZoneService.recentDays(7, new Date("2026-10-18T20:00:00Z")),
+        { startDate: "2026-10-12", endDate: "2026-10-19" }
+    );
+});